@@ -3,9 +3,13 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { chromium, firefox, webkit, devices } from 'playwright';
+import { chromium, firefox, webkit, devices, request as apiRequest } from 'playwright';
 import fs from 'fs';
-import { createCanvas, loadImage } from 'canvas';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import zlib from 'zlib';
 import sharp from 'sharp';
 
 // Constants
@@ -13,7 +17,9 @@ const TIMEOUTS = {
   DEFAULT: 10000,
   HYDRATION: 15000,
   NAVIGATION: 5000,
-  SCREENSHOT_WAIT: 3000
+  SCREENSHOT_WAIT: 3000,
+  SESSION_IDLE: 30 * 60 * 1000,
+  POOL_ACQUIRE: 30000
 };
 
 const MOBILE_VIEWPORT = {
@@ -24,2397 +30,10142 @@ const MOBILE_VIEWPORT = {
 
 const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
 
-class WebScraperServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'web-scraper',
-        version: '1.0.0',
+const BROWSER_ENGINES = { chromium, firefox, webkit };
+
+const DATA_DIR = process.env.MCP_WEB_SCRAPER_HOME || path.join(os.homedir(), '.mcp-web-scraper');
+const PROFILES_DIR = process.env.MCP_PROFILES_DIR || path.join(DATA_DIR, 'profiles');
+const BASELINES_DIR = process.env.MCP_BASELINES_DIR || path.join(DATA_DIR, 'baselines');
+const CRAWLS_DIR = process.env.MCP_CRAWLS_DIR || path.join(DATA_DIR, 'crawls');
+
+const ARTIFACT_DEFAULTS = {
+  root: process.env.MCP_ARTIFACTS_DIR || path.join(os.tmpdir(), 'mcp-web-scraper'),
+  maxAge: (Number(process.env.MCP_ARTIFACTS_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000,
+  maxBytes: (Number(process.env.MCP_ARTIFACTS_MAX_SIZE_MB) || 500) * 1024 * 1024,
+  sweepInterval: 10 * 60 * 1000
+};
+
+const POOL_DEFAULTS = {
+  size: Number(process.env.MCP_BROWSER_POOL_SIZE) || 8,
+  idleTimeout: Number(process.env.MCP_BROWSER_IDLE_TIMEOUT) || 60000
+};
+
+const SESSION_ID_PROPERTY = {
+  type: 'string',
+  description: 'Reuse the live page of a session created with open_session instead of launching a fresh browser (url becomes optional)'
+};
+
+const NETWORK_CAPTURE_PROPERTY = {
+  type: ['boolean', 'object'],
+  description: 'Record every request/response made while the tool runs (true or an options object)',
+  properties: {
+    includeBodies: {
+      type: 'boolean',
+      default: false,
+      description: 'Also record request and response bodies'
+    },
+    bodyUrlPattern: {
+      type: 'string',
+      description: 'Regular expression; only bodies of matching URLs are recorded'
+    },
+    maxBodySize: {
+      type: 'number',
+      default: 100000,
+      description: 'Bodies larger than this many bytes are truncated'
+    },
+    saveHar: {
+      type: 'boolean',
+      default: false,
+      description: 'Write the captured traffic to a HAR file'
+    },
+    harPath: {
+      type: 'string',
+      description: 'Explicit HAR file path (implies saveHar)'
+    }
+  }
+};
+
+const ACTIONS_PROPERTY = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: ['click', 'fill', 'wait', 'screenshot', 'getText', 'getAttribute', 'swipe', 'scroll', 'tap', 'longPress', 'waitForNavigation']
       },
-      {
-        capabilities: {
-          tools: {},
+      selector: {
+        type: 'string',
+        description: 'CSS selector, testID, or accessibility label for the element'
+      },
+      value: {
+        type: 'string',
+        description: 'Value for fill actions, attribute name for getAttribute, or direction for swipe'
+      },
+      timeout: {
+        type: 'number',
+        default: 10000,
+        description: 'Timeout in milliseconds'
+      },
+      coordinates: {
+        type: 'object',
+        properties: {
+          x: { type: 'number' },
+          y: { type: 'number' }
         },
+        description: 'Coordinates for tap/swipe actions'
       }
-    );
+    },
+    required: ['type']
+  },
+  description: 'Array of actions to perform on the React Native web app'
+};
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+const INLINE_IMAGE_PROPERTY = {
+  type: ['boolean', 'object'],
+  description: 'Also return screenshots inline as MCP image content (true or an options object)',
+  properties: {
+    format: {
+      type: 'string',
+      enum: ['png', 'jpeg'],
+      default: 'png',
+      description: 'Image encoding; falls back to JPEG when a PNG exceeds maxBytes'
+    },
+    quality: {
+      type: 'number',
+      default: 80,
+      description: 'JPEG quality (1-100)'
+    },
+    maxWidth: {
+      type: 'number',
+      description: 'Downscale images wider than this many pixels'
+    },
+    maxHeight: {
+      type: 'number',
+      description: 'Downscale images taller than this many pixels (useful for full-page captures)'
+    },
+    maxBytes: {
+      type: 'number',
+      default: 1048576,
+      description: 'Re-encode and downscale until the image fits in this many bytes'
+    }
   }
+};
 
-  setupErrorHandling() {
-    this.server.onerror = (error) => console.error('[MCP Error]', error);
-    process.on('SIGINT', async () => {
-      await this.server.close();
-      process.exit(0);
-    });
-  }
+const SAVE_TO_DISK_PROPERTY = {
+  type: 'boolean',
+  default: true,
+  description: 'Write screenshots to disk; set to false to only return them inline'
+};
 
-  // Utility methods
-  validateArgs(args, required = []) {
-    if (!args) throw new Error('Arguments are required');
-    for (const field of required) {
-      if (!args[field]) throw new Error(`Missing required field: ${field}`);
-    }
+const CRAWL = {
+  maxPages: 50,
+  maxDepth: 3,
+  concurrency: 2,
+  maxConcurrency: 5,
+  pageTimeout: 30000,
+  maxContentChars: 20000,
+  // Token matched against robots.txt User-agent groups
+  userAgent: 'mcp-web-scraper',
+  skipExtensions: /\.(pdf|zip|gz|tgz|tar|rar|7z|dmg|exe|msi|apk|jpe?g|png|gif|webp|avif|svg|ico|mp3|mp4|m4a|webm|avi|mov|woff2?|ttf|otf|eot|css|js|mjs|json|xml|rss|txt|csv)$/i
+};
+
+const DISCOVERY = {
+  maxUrls: 5000,
+  maxSitemaps: 50,
+  // The sitemap protocol caps uncompressed sitemaps at 50MB
+  maxSitemapBytes: 50 * 1024 * 1024,
+  listLimit: 200
+};
+
+// Required and recommended properties follow the search engines' rich result guidelines
+const SCHEMA_RULES = {
+  Product: {
+    required: ['name'],
+    anyOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku'],
+    nested: { offers: 'Offer', aggregateRating: 'AggregateRating' }
+  },
+  Offer: {
+    required: ['price', 'priceCurrency'],
+    recommended: ['availability', 'url'],
+    dates: ['priceValidUntil']
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount']
+  },
+  AggregateRating: {
+    required: ['ratingValue'],
+    anyOf: [['ratingCount', 'reviewCount']]
+  },
+  Article: {
+    required: ['headline'],
+    recommended: ['image', 'author', 'datePublished', 'dateModified'],
+    dates: ['datePublished', 'dateModified'],
+    nested: { author: 'Person' }
+  },
+  Person: {
+    required: ['name']
+  },
+  Organization: {
+    required: ['name']
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    nested: { itemListElement: 'ListItem' },
+    objectOnly: ['itemListElement']
+  },
+  ListItem: {
+    required: ['position']
   }
+};
 
-  async getBrowser(browserType = 'chromium', deviceName = null) {
-    const browsers = { chromium, firefox, webkit };
-    const browser = await browsers[browserType].launch({ 
-      headless: true,
-      args: BROWSER_ARGS
-    });
-    
-    const context = deviceName && devices[deviceName] 
-      ? await browser.newContext(devices[deviceName])
-      : await browser.newContext();
-      
-    return { browser, context };
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const SCHEMA_ARTICLE_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report', 'ScholarlyArticle'];
+
+const TABLES = {
+  maxRows: 1000,
+  // Browsers clamp colspan to 1000 and rowspan to 65534
+  maxSpan: 1000
+};
+
+const RECORDS = {
+  maxPages: 5,
+  maxRecords: 1000
+};
+
+const RECORD_FIELD_TYPES = ['text', 'html', 'attribute', 'href', 'src', 'number', 'date', 'exists'];
+
+const SCROLL = {
+  maxIterations: 20,
+  idleIterations: 2,
+  delay: 1000
+};
+
+const SCROLL_TYPES = ['window', 'container', 'loadMore'];
+
+// Class/id patterns and thresholds from Mozilla Readability's main-content scoring
+const READABILITY = {
+  unlikelyCandidates: /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|newsletter|share/,
+  maybeCandidates: /and|article|body|column|content|main|shadow/,
+  positive: /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/,
+  negative: /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/,
+  minParagraphLength: 25,
+  siblingThreshold: 0.2
+};
+
+const COMPARISON_METRICS = ['perceptual', 'pixel'];
+
+const METRIC_PROPERTY = {
+  type: 'string',
+  enum: COMPARISON_METRICS,
+  default: 'perceptual',
+  description: 'perceptual: structural similarity (SSIM) score and a perceived-colour pixel diff that tolerates anti-aliasing; pixel: mean absolute RGB difference'
+};
+
+const SSIM = {
+  windowSize: 8,
+  // Largest possible YIQ delta (black vs white), used to scale diffThreshold
+  maxYiqDelta: 35215
+};
+
+const DOM_DIFF = {
+  maxNodes: 5000,
+  maxChanges: 200
+};
+
+const STYLE_DIFF = {
+  maxElements: 200,
+  properties: [
+    'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+    'text-align', 'text-transform', 'text-decoration-line',
+    'color', 'background-color', 'opacity', 'box-shadow',
+    'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+    'border-color', 'border-radius',
+    'display', 'position', 'flex-direction', 'flex-wrap', 'justify-content', 'align-items',
+    'align-self', 'flex-grow', 'flex-shrink', 'flex-basis', 'gap', 'z-index'
+  ]
+};
+
+const PIXEL_DIFF = {
+  threshold: 0.1,
+  cellSize: 8,
+  maxRegions: 25,
+  gap: 10
+};
+
+const REACT_FIBER = {
+  maxDepth: 25,
+  maxComponents: 500,
+  // Serialization limits for props, state and hook values
+  valueDepth: 3,
+  maxStringLength: 200,
+  maxKeys: 20,
+  maxLines: 200
+};
+
+const RENDER_PROFILE = {
+  maxComponents: 20,
+  settleTime: 500
+};
+
+const A11Y_SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const A11Y_RULES = {
+  'accessible-name': {
+    severity: 'critical',
+    description: 'Buttons, links and widget roles have an accessible name',
+    remediation: 'Give the element visible text, aria-label (accessibilityLabel in React Native) or aria-labelledby'
+  },
+  'invalid-role': {
+    severity: 'serious',
+    description: 'role attributes use roles defined by WAI-ARIA',
+    remediation: 'Use a role from the WAI-ARIA specification, or remove the role attribute and use a native element'
+  },
+  'color-contrast': {
+    severity: 'serious',
+    description: 'Text contrast meets WCAG AA (4.5:1, or 3:1 for large text)',
+    remediation: 'Darken the text or lighten its background (or vice versa) until the ratio meets the requirement'
+  },
+  'focus-order': {
+    severity: 'moderate',
+    description: 'Keyboard focus follows the reading order and reaches every interactive element',
+    remediation: 'Avoid positive tabindex values, keep the DOM order aligned with the visual order, and make custom controls focusable with tabindex="0"'
+  },
+  'form-label': {
+    severity: 'critical',
+    description: 'Form fields have a label',
+    remediation: 'Associate a <label for>, wrap the field in a <label>, or set aria-label / aria-labelledby; placeholders are not labels'
+  },
+  'image-alt': {
+    severity: 'critical',
+    description: 'Images have alternative text',
+    remediation: 'Add alt text describing the image (accessibilityLabel in React Native), or alt="" / role="presentation" if it is decorative'
+  },
+  'heading-order': {
+    severity: 'moderate',
+    description: 'Heading levels increase one at a time and are not empty',
+    remediation: 'Use heading levels in sequence (h1 → h2 → h3) and style them with CSS instead of picking levels by size'
   }
+};
 
-  async setupMobileViewport(page, deviceName = null) {
-    if (deviceName && devices[deviceName]) return;
-    
-    await page.setViewportSize({ width: MOBILE_VIEWPORT.width, height: MOBILE_VIEWPORT.height });
-    await page.setExtraHTTPHeaders({ 'User-Agent': MOBILE_VIEWPORT.userAgent });
+const A11Y_AUDIT = {
+  maxViolations: 200,
+  // A tab stop this many viewport heights above the previous one counts as focus jumping backwards
+  focusJump: 0.5
+};
+
+const A11Y_TREE = {
+  maxNodes: 1000,
+  // Node properties rendered as [state] or [key=value] after the role and name
+  states: [
+    'checked', 'pressed', 'selected', 'expanded', 'disabled', 'focused', 'modal', 'required', 'readonly',
+    'multiline', 'multiselectable', 'invalid', 'level', 'valuemin', 'valuemax', 'valuetext', 'haspopup',
+    'autocomplete', 'orientation', 'keyshortcuts', 'roledescription', 'description', 'active', 'url'
+  ],
+  // Dropped by interestingOnly when unnamed: wrappers that only add nesting
+  uninteresting: ['generic', 'none', 'presentation']
+};
+
+const ARTIFACT_LABEL_PROPERTY = {
+  type: 'string',
+  description: 'Appended to the run directory name so artifacts are easy to find (letters, digits, dot, dash and underscore)'
+};
+
+const MASK_COLOR = '#FF00FF';
+
+const SCREENSHOT_SCOPE_PROPERTIES = {
+  selector: {
+    type: 'string',
+    description: 'Capture only this element (CSS selector, testID or accessibility label)'
+  },
+  clip: {
+    type: 'object',
+    description: 'Capture only this rectangle in CSS pixels (relative to the full page when fullPage is true)',
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      width: { type: 'number' },
+      height: { type: 'number' }
+    },
+    required: ['x', 'y', 'width', 'height']
+  },
+  mask: {
+    type: 'array',
+    description: 'Rectangles (CSS pixels, relative to the captured image) painted over before saving or comparing',
+    items: {
+      type: 'object',
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        width: { type: 'number' },
+        height: { type: 'number' }
+      },
+      required: ['x', 'y', 'width', 'height']
+    }
+  },
+  ignoreSelectors: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Elements painted over before saving or comparing (timestamps, avatars, ads)'
   }
+};
 
-  async findElement(page, selector, timeout = TIMEOUTS.DEFAULT) {
-    const selectors = [
-      selector,
-      `[data-testid="${selector}"]`,
-      `[aria-label="${selector}"]`,
-      `[accessibilityLabel="${selector}"]`
-    ];
-    
-    for (const sel of selectors) {
-      try {
-        await page.waitForSelector(sel, { timeout: timeout / selectors.length });
-        return { element: await page.$(sel), usedSelector: sel };
-      } catch (e) {
-        continue;
+const BASELINE_CAPTURE_PROPERTIES = {
+  browser: {
+    type: 'string',
+    enum: ['chromium', 'firefox', 'webkit'],
+    default: 'chromium',
+    description: 'Browser engine to use'
+  },
+  device: {
+    type: 'string',
+    description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+  },
+  viewport: {
+    type: 'object',
+    description: 'Viewport size in CSS pixels (applied after device emulation)',
+    properties: {
+      width: { type: 'number' },
+      height: { type: 'number' }
+    },
+    required: ['width', 'height']
+  },
+  fullPage: {
+    type: 'boolean',
+    default: true,
+    description: 'Capture full page or just viewport'
+  },
+  waitForSPA: {
+    type: 'boolean',
+    default: true,
+    description: 'Wait for SPA frameworks to load and hydrate'
+  },
+  ...SCREENSHOT_SCOPE_PROPERTIES
+};
+
+const IMAGE_DEFAULTS = {
+  quality: 80,
+  minQuality: 40,
+  maxBytes: 1024 * 1024,
+  minWidth: 200
+};
+
+const PROFILE_PROPERTY = {
+  type: 'string',
+  description: 'Seed the browser context with a stored auth profile (cookies and localStorage); ignored when sessionId is given'
+};
+
+const STORAGE_STATE_PROPERTY = {
+  type: 'string',
+  description: 'Path to a Playwright storageState JSON file to seed the browser context with; ignored when sessionId is given'
+};
+
+const OUTPUT_FORMATS = ['text', 'json', 'both'];
+
+const OUTPUT_FORMAT_PROPERTY = {
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  default: 'text',
+  description: 'Return the human-readable report (text), the structured result as a JSON block (json), or both'
+};
+
+// Output schemas of the structuredContent payload returned by each tool
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+const NETWORK_OUTPUT_SCHEMA = {
+  type: ['object', 'null'],
+  description: 'Present when captureNetwork was requested',
+  properties: {
+    harPath: NULLABLE_STRING,
+    requests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          method: { type: 'string' },
+          url: { type: 'string' },
+          resourceType: { type: 'string' },
+          status: { type: ['number', 'null'] },
+          failure: NULLABLE_STRING,
+          time: { type: ['number', 'null'], description: 'Milliseconds from request start to response end' },
+          responseBodySize: { type: ['number', 'null'] },
+          requestHeaders: { type: 'object' },
+          responseHeaders: { type: ['object', 'null'] },
+          requestBody: { type: 'string' },
+          responseBody: { type: 'string' }
+        }
       }
     }
-    throw new Error(`Element not found with any selector: ${selector}`);
   }
+};
 
-  async waitForReactHydration(page, timeout = TIMEOUTS.HYDRATION) {
-    try {
-      await page.waitForFunction(() => {
-        return window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__ || 
-               document.querySelector('[data-reactroot]') ||
-               document.querySelector('#root [data-testid]') ||
-               document.querySelector('.expo-web-view');
-      }, { timeout });
+const ERRORS_OUTPUT_SCHEMA = {
+  type: 'array',
+  description: 'Console errors, page errors and failed requests captured while the tool ran',
+  items: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      message: { type: 'string' },
+      text: { type: 'string' },
+      stack: { type: 'string' },
+      timestamp: { type: 'number' }
+    }
+  }
+};
 
-      await page.waitForTimeout(1000);
-      
-      const loadingSelectors = [
-        '[data-testid*="loading"]',
-        '[data-testid*="spinner"]', 
-        '.loading',
-        '.spinner',
-        '[aria-label*="loading"]'
-      ];
-      
-      for (const selector of loadingSelectors) {
-        try {
-          await page.waitForSelector(selector, { state: 'detached', timeout: 5000 });
-        } catch (e) {
-          // Loading indicator might not exist, continue
-        }
+const SESSION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    sessionId: { type: 'string' },
+    label: NULLABLE_STRING,
+    browser: { type: 'string' },
+    device: NULLABLE_STRING,
+    url: NULLABLE_STRING,
+    createdAt: { type: 'string', format: 'date-time' },
+    lastUsedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const IMAGE_OUTPUT_SCHEMA = {
+  type: ['object', 'null'],
+  description: 'Encoding of the inline image content block, or null when no image was attached',
+  properties: {
+    mimeType: { type: 'string' },
+    width: { type: 'number' },
+    height: { type: 'number' },
+    bytes: { type: 'number' },
+    downscaled: { type: 'boolean', description: 'True when the image was resized, or fell back to JPEG or a lower quality, to fit the limits' }
+  }
+};
+
+const BASELINE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    url: { type: 'string' },
+    browser: { type: 'string' },
+    device: NULLABLE_STRING,
+    viewport: {
+      type: ['object', 'null'],
+      properties: { width: { type: 'number' }, height: { type: 'number' } }
+    },
+    fullPage: { type: 'boolean' },
+    selector: NULLABLE_STRING,
+    clip: { type: ['object', 'null'] },
+    mask: { type: 'array', items: { type: 'object' } },
+    ignoreSelectors: { type: 'array', items: { type: 'string' } },
+    width: { type: 'number' },
+    height: { type: 'number' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    pendingApproval: { type: 'boolean', description: 'The last check failed and its screenshot can be approved' },
+    path: { type: 'string' },
+    lastResult: {
+      type: ['object', 'null'],
+      properties: {
+        checkedAt: { type: 'string', format: 'date-time' },
+        url: { type: 'string' },
+        similarity: { type: 'number' },
+        passed: { type: 'boolean' },
+        sizeChanged: { type: 'boolean' },
+        changedRatio: { type: 'number' },
+        regionCount: { type: 'number' },
+        diffPath: NULLABLE_STRING,
+        approved: { type: 'boolean' }
       }
-      
-      return true;
-    } catch (error) {
-      console.warn('React hydration wait failed:', error.message);
-      return false;
     }
   }
+};
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'inspect_element',
-          description: 'Inspect a DOM element by selector and return its attributes, text, and computed styles',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: { type: 'string', description: 'Page URL to inspect' },
-              selector: { type: 'string', description: 'CSS selector of element' },
+const COUNTS_OUTPUT_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'number' }
+};
+
+const OUTPUT_SCHEMAS = {
+  inspect_element: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      selector: { type: 'string' },
+      element: {
+        type: 'object',
+        description: 'Element details, or { error } when the element is missing',
+        properties: {
+          tag: { type: 'string' },
+          id: { type: 'string' },
+          className: { type: 'string' },
+          text: { type: 'string' },
+          styles: { type: 'object', additionalProperties: { type: 'string' } },
+          error: { type: 'string' }
+        }
+      }
+    },
+    required: ['url', 'selector', 'element']
+  },
+  scrape_page: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      selector: NULLABLE_STRING,
+      items: { type: ['array', 'null'], items: { type: 'string' }, description: 'Text of every element matching selector' },
+      text: { type: ['string', 'null'], description: 'Body text when no selector was given' },
+      scroll: {
+        type: ['object', 'null'],
+        properties: {
+          type: { type: 'string', enum: SCROLL_TYPES },
+          iterations: { type: 'number' },
+          itemCount: { type: ['number', 'null'], description: 'Unique items collected across all scroll steps' },
+          stopReason: { type: 'string' }
+        }
+      },
+      screenshotPath: NULLABLE_STRING,
+      image: IMAGE_OUTPUT_SCHEMA,
+      network: NETWORK_OUTPUT_SCHEMA
+    },
+    required: ['url']
+  },
+  inspect_react_app: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      reactDetected: { type: 'boolean' },
+      expoDetected: { type: 'boolean' },
+      reactNativeElements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            tagName: { type: 'string' },
+            testId: NULLABLE_STRING,
+            accessibilityLabel: NULLABLE_STRING,
+            role: NULLABLE_STRING,
+            text: { type: 'string' }
+          }
+        }
+      },
+      fiberFound: { type: 'boolean', description: 'A React fiber tree was found via the DevTools hook or DOM fiber keys' },
+      componentCount: { type: 'number' },
+      truncated: { type: 'boolean' },
+      componentTree: {
+        type: ['array', 'null'],
+        description: 'Nested { name, key, source, props, state | hooks, children } components',
+        items: { type: 'object' }
+      },
+      component: {
+        type: ['object', 'null'],
+        description: 'Lookup result for selector',
+        properties: {
+          selector: { type: 'string' },
+          found: { type: 'boolean' },
+          component: { type: ['object', 'null'] },
+          ownerChain: { type: 'array', items: { type: 'string' }, description: 'Component names from the owner up to the root' }
+        }
+      },
+      errors: { type: 'array' },
+      performance: COUNTS_OUTPUT_SCHEMA
+    },
+    required: ['url', 'reactDetected', 'expoDetected']
+  },
+  wait_for_react_state: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      condition: { type: 'string' },
+      met: { type: 'boolean' },
+      matchedSelector: NULLABLE_STRING,
+      waitTime: { type: 'number' }
+    },
+    required: ['condition', 'met', 'waitTime']
+  },
+  execute_in_react_context: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      success: { type: 'boolean' },
+      result: { description: 'Serialized return value of the script' },
+      error: {
+        type: ['object', 'null'],
+        properties: { message: { type: 'string' }, stack: { type: 'string' } }
+      },
+      reactAvailable: { type: 'boolean' },
+      expoAvailable: { type: 'boolean' },
+      errors: ERRORS_OUTPUT_SCHEMA,
+      network: NETWORK_OUTPUT_SCHEMA
+    },
+    required: ['success', 'errors']
+  },
+  check_expo_dev_server: {
+    type: 'object',
+    properties: {
+      metroUrl: { type: 'string' },
+      running: { type: 'boolean' },
+      endpoints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            status: { type: ['number', 'string'] },
+            available: { type: 'boolean' }
+          }
+        }
+      },
+      error: NULLABLE_STRING
+    },
+    required: ['metroUrl', 'running']
+  },
+  test_react_app: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      hydrated: { type: ['boolean', 'null'] },
+      passed: { type: 'boolean', description: 'True when every action succeeded' },
+      actions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            selector: NULLABLE_STRING,
+            success: { type: 'boolean' },
+            value: { description: 'Text, attribute value or screenshot path produced by the action' },
+            image: IMAGE_OUTPUT_SCHEMA,
+            error: { type: 'string' }
+          }
+        }
+      },
+      savedProfile: {
+        type: ['object', 'null'],
+        properties: { name: { type: 'string' }, path: { type: 'string' } }
+      },
+      mocks: {
+        type: ['array', 'null'],
+        items: { type: 'object', properties: { mock: { type: 'string' }, hits: { type: 'number' } } }
+      },
+      network: NETWORK_OUTPUT_SCHEMA,
+      renderProfile: {
+        type: ['object', 'null'],
+        properties: {
+          available: { type: 'boolean' },
+          reason: NULLABLE_STRING,
+          timed: { type: 'boolean', description: 'Durations are only measured by development and profiling builds of React' },
+          phases: {
+            type: 'array',
+            description: 'Page load, then one entry per action; commits count toward the latest action',
+            items: {
+              type: 'object',
               properties: {
-                type: 'array',
-                items: { type: 'string' },
-                description: 'Optional list of CSS properties'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium','firefox','webkit'],
-                default: 'chromium'
+                label: { type: 'string' },
+                commits: { type: 'number' },
+                duration: { type: ['number', 'null'], description: 'Total render time of the commits in ms' },
+                maxCommitDuration: { type: ['number', 'null'] },
+                renders: { type: 'number' },
+                components: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      renders: { type: 'number' },
+                      mounts: { type: 'number' },
+                      unchangedProps: { type: 'number', description: 'Re-renders where props were shallowly equal and state was unchanged' },
+                      duration: { type: ['number', 'null'] }
+                    }
+                  }
+                },
+                truncated: { type: 'boolean' }
               }
-            },
-            required: ['url','selector'],
-            additionalProperties: false
+            }
           }
-        },	
-        {
-          name: 'scrape_page',
-          description: 'Scrape content from any web page (regular websites, React apps, or React Native web apps) using Playwright',
-          inputSchema: {
+        }
+      }
+    },
+    required: ['actions', 'passed']
+  },
+  get_page_info: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      url: { type: 'string' },
+      metaTags: {
+        type: 'array',
+        items: { type: 'object', properties: { name: { type: 'string' }, content: { type: 'string' } } }
+      },
+      headings: {
+        type: 'array',
+        items: { type: 'object', properties: { tag: { type: 'string' }, text: { type: 'string' } } }
+      },
+      links: { type: 'number' },
+      images: { type: 'number' },
+      forms: { type: 'number' },
+      reactNativeElements: COUNTS_OUTPUT_SCHEMA,
+      frameworks: { type: 'object', additionalProperties: { type: 'boolean' } },
+      performance: {
+        type: ['object', 'null'],
+        description: 'Milliseconds; present when includePerformance is true'
+      }
+    },
+    required: ['title', 'url']
+  },
+  test_dropdown_with_error_capture: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      dropdownFound: { type: 'boolean' },
+      clickedSelector: NULLABLE_STRING,
+      pageBlank: { type: 'boolean' },
+      pageState: { type: 'object' },
+      errors: ERRORS_OUTPUT_SCHEMA,
+      screenshots: {
+        type: ['object', 'null'],
+        properties: { before: { type: 'string' }, after: { type: 'string' } }
+      }
+    },
+    required: ['dropdownFound', 'pageBlank', 'errors']
+  },
+  wait_for_element: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      found: { type: 'boolean' },
+      usedSelector: { type: 'string' },
+      waitTime: { type: 'number' },
+      visible: { type: 'boolean' },
+      text: NULLABLE_STRING,
+      testId: NULLABLE_STRING,
+      accessibilityLabel: NULLABLE_STRING
+    },
+    required: ['found', 'usedSelector']
+  },
+  extract_content: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      format: { type: 'string' },
+      title: { type: ['string', 'null'], description: 'Article title (its h1, else the document title); null when selector was given' },
+      contentSelector: { type: 'string', description: 'Element detected (or given) as the main content; when sibling blocks were merged, their closest common ancestor' },
+      content: { type: 'string' },
+      links: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'number' },
+            text: { type: 'string' },
+            url: { type: 'string' },
+            type: { type: 'string', enum: ['internal', 'external', 'anchor', 'download', 'invalid'] }
+          }
+        }
+      }
+    },
+    required: ['url', 'content']
+  },
+  take_screenshot: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      screenshotPath: { type: ['string', 'null'], description: 'Null when saveToDisk is false' },
+      image: IMAGE_OUTPUT_SCHEMA,
+      title: { type: 'string' },
+      bodyText: { type: 'string' },
+      visibleElementCount: { type: 'number' },
+      hasContent: { type: 'boolean' },
+      mainElements: COUNTS_OUTPUT_SCHEMA
+    },
+    required: ['url', 'screenshotPath']
+  },
+  compare_screenshots: {
+    type: 'object',
+    properties: {
+      urlA: { type: 'string' },
+      urlB: { type: 'string' },
+      similarity: { type: 'number', description: '0-1' },
+      passed: { type: 'boolean' },
+      analysis: {
+        type: 'object',
+        description: 'dimensions, layout, colors, typography and pixelDiff analysis',
+        properties: {
+          metric: { type: 'string', enum: COMPARISON_METRICS },
+          pixelDiff: {
             type: 'object',
             properties: {
-              url: {
-                type: 'string',
-                description: 'URL to scrape'
-              },
-              selector: {
-                type: 'string',
-                description: 'CSS selector to target specific elements (supports regular CSS and React Native testID/aria-label fallbacks)'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              waitFor: {
-                type: 'string',
-                description: 'Wait for specific selector or timeout in ms (e.g., "2000" or "#my-element")'
-              },
-              screenshot: {
-                type: 'boolean',
-                default: false,
-                description: 'Take a screenshot of the page'
-              },
-              mobileViewport: {
-                type: 'boolean',
-                default: false,
-                description: 'Use mobile viewport (primarily for React Native web apps)'
-              },
-              device: {
-                type: 'string',
-                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5") - for mobile web apps'
+              changedPixels: { type: 'number' },
+              changedRatio: { type: 'number', description: '0-1' },
+              regionCount: { type: 'number' },
+              regions: {
+                type: 'array',
+                description: 'Bounding boxes of contiguous changed areas, largest first (at most 25)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    width: { type: 'number' },
+                    height: { type: 'number' },
+                    changedPixels: { type: 'number' }
+                  }
+                }
               }
-            },
-            required: ['url']
+            }
           }
-        },
-        {
-          name: 'inspect_react_app',
-          description: 'Inspect React Native web app with component tree, props, and state analysis',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL of the React Native web app'
-              },
-              waitForHydration: {
-                type: 'boolean',
-                default: true,
-                description: 'Wait for React hydration to complete'
-              },
-              includeComponentTree: {
-                type: 'boolean',
-                default: true,
-                description: 'Include React component tree analysis'
-              },
-              includeState: {
-                type: 'boolean',
-                default: false,
-                description: 'Include React state inspection (requires React DevTools)'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              device: {
-                type: 'string',
-                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
-              }
-            },
-            required: ['url']
+        }
+      },
+      contentComparison: {
+        type: 'object',
+        description: 'titles, elementCounts and structuralElements of both pages'
+      },
+      screenshots: {
+        type: 'object',
+        properties: {
+          pathA: NULLABLE_STRING,
+          pathB: NULLABLE_STRING,
+          diffPath: { type: ['string', 'null'], description: 'Changed pixels in red over the faded source, regions outlined' },
+          sideBySidePath: { type: ['string', 'null'], description: 'Source, target and diff next to each other' }
+        }
+      },
+      images: {
+        type: ['object', 'null'],
+        properties: { source: IMAGE_OUTPUT_SCHEMA, target: IMAGE_OUTPUT_SCHEMA, diff: IMAGE_OUTPUT_SCHEMA }
+      }
+    },
+    required: ['similarity', 'passed', 'analysis']
+  },
+  compare_dom: {
+    type: 'object',
+    properties: {
+      urlA: { type: 'string' },
+      urlB: { type: 'string' },
+      selector: NULLABLE_STRING,
+      identical: { type: 'boolean' },
+      counts: {
+        type: 'object',
+        properties: {
+          source: { type: 'number' },
+          target: { type: 'number' },
+          matched: { type: 'number' },
+          added: { type: 'number' },
+          removed: { type: 'number' },
+          moved: { type: 'number' },
+          textChanged: { type: 'number' }
+        }
+      },
+      changes: {
+        type: 'array',
+        description: 'Added and removed subtrees are reported once at their top node',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['added', 'removed', 'moved', 'textChanged'] },
+            path: { type: 'string', description: 'Path in the page the node belongs to (target, or source for removed nodes)' },
+            node: { type: 'string' },
+            fromPath: { type: 'string' },
+            from: NULLABLE_STRING,
+            to: NULLABLE_STRING,
+            descendants: { type: 'number' }
           }
-        },
-        {
-          name: 'wait_for_react_state',
-          description: 'Wait for React component state changes, data loading, or navigation',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL to monitor'
-              },
-              condition: {
-                type: 'string',
-                enum: ['hydration', 'navigation', 'data-loading', 'animation', 'custom'],
-                description: 'Type of condition to wait for'
-              },
-              selector: {
-                type: 'string',
-                description: 'CSS selector or testID to wait for (for custom condition)'
-              },
-              timeout: {
-                type: 'number',
-                default: 15000,
-                description: 'Maximum time to wait in milliseconds'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              }
+        }
+      },
+      truncated: { type: 'boolean' }
+    },
+    required: ['identical', 'counts', 'changes']
+  },
+  compare_styles: {
+    type: 'object',
+    properties: {
+      urlA: { type: 'string' },
+      urlB: { type: 'string' },
+      compared: { type: 'number' },
+      changed: { type: 'number', description: 'Elements with style or box differences, or found on one page only' },
+      elements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', description: 'Selector or data-testid (repeats get #n)' },
+            found: {
+              type: 'object',
+              properties: { source: { type: 'boolean' }, target: { type: 'boolean' } }
             },
-            required: ['url', 'condition']
-          }
-        },
-        {
-          name: 'execute_in_react_context',
-          description: 'Execute JavaScript in React context to inspect components, state, or trigger actions',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL of the React app'
-              },
-              script: {
-                type: 'string',
-                description: 'JavaScript code to execute in the browser context'
-              },
-              waitForReact: {
-                type: 'boolean',
-                default: true,
-                description: 'Wait for React to be available before executing'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
+            differences: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { property: { type: 'string' }, source: { type: 'string' }, target: { type: 'string' } }
               }
             },
-            required: ['url', 'script']
-          }
-        },
-        {
-          name: 'check_expo_dev_server',
-          description: 'Check if Expo development server is running and get app status',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              port: {
-                type: 'number',
-                default: 8081,
-                description: 'Port where Expo dev server is running'
-              },
-              host: {
-                type: 'string',
-                default: 'localhost',
-                description: 'Host where Expo dev server is running'
-              }
-            }
-          }
-        },
-        {
-          name: 'test_react_app',
-          description: 'Test any React app (regular React or React Native web) with enhanced interactions and mobile gestures',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL of the React app (e.g., http://localhost:3000 for regular React, http://localhost:8081 for RN web)'
-              },
-              actions: {
-                type: 'array',
-                items: {
+            box: {
+              type: ['object', 'null'],
+              description: 'Document coordinates in CSS pixels',
+              properties: {
+                source: { type: 'object' },
+                target: { type: 'object' },
+                delta: {
                   type: 'object',
-                  properties: {
-                    type: {
-                      type: 'string',
-                      enum: ['click', 'fill', 'wait', 'screenshot', 'getText', 'getAttribute', 'swipe', 'scroll', 'tap', 'longPress', 'waitForNavigation']
-                    },
-                    selector: {
-                      type: 'string',
-                      description: 'CSS selector, testID, or accessibility label for the element'
-                    },
-                    value: {
-                      type: 'string',
-                      description: 'Value for fill actions, attribute name for getAttribute, or direction for swipe'
-                    },
-                    timeout: {
-                      type: 'number',
-                      default: 10000,
-                      description: 'Timeout in milliseconds'
-                    },
-                    coordinates: {
-                      type: 'object',
-                      properties: {
-                        x: { type: 'number' },
-                        y: { type: 'number' }
-                      },
-                      description: 'Coordinates for tap/swipe actions'
-                    }
-                  },
-                  required: ['type']
+                  properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } }
                 },
-                description: 'Array of actions to perform on the React Native web app'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              device: {
-                type: 'string',
-                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
-              },
-              waitForHydration: {
-                type: 'boolean',
-                default: false,
-                description: 'Wait for React hydration before starting tests (recommended for React apps, especially React Native web)'
+                changed: { type: 'boolean' }
               }
-            },
-            required: ['url', 'actions']
+            }
           }
-        },
-        {
-          name: 'get_page_info',
-          description: 'Get comprehensive information about a web page (title, meta tags, performance metrics)',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL to analyze'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              includePerformance: {
-                type: 'boolean',
-                default: false,
-                description: 'Include performance metrics'
-              }
-            },
-            required: ['url']
+        }
+      }
+    },
+    required: ['compared', 'changed', 'elements']
+  },
+  audit_accessibility: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      scope: NULLABLE_STRING,
+      rules: { type: 'array', items: { type: 'string' } },
+      passed: { type: 'boolean', description: 'True when no rule reported a violation' },
+      counts: {
+        type: 'object',
+        properties: Object.fromEntries(A11Y_SEVERITIES.map(severity => [severity, { type: 'number' }]))
+      },
+      violations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rule: { type: 'string' },
+            severity: { type: 'string', enum: A11Y_SEVERITIES },
+            selector: { type: 'string', description: 'Unique CSS selector for the offending element' },
+            html: { type: 'string', description: 'Opening tag of the offending element' },
+            message: { type: 'string' },
+            remediation: { type: 'string' }
           }
-        },
-        {
-          name: 'test_dropdown_with_error_capture',
-          description: 'Test dropdown interactions with comprehensive console error capture and page state monitoring',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL of the React app'
-              },
-              dropdownSelector: {
-                type: 'string',
-                description: 'CSS selector, testID, or text content to identify the dropdown button'
-              },
-              waitAfterClick: {
-                type: 'number',
-                default: 3000,
-                description: 'Time to wait after clicking to capture errors (ms)'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              takeScreenshots: {
-                type: 'boolean',
-                default: true,
-                description: 'Take before/after screenshots'
+        }
+      },
+      truncated: { type: 'boolean' },
+      incomplete: {
+        type: 'array',
+        description: 'Elements a rule could not evaluate (e.g. text over background images)',
+        items: {
+          type: 'object',
+          properties: { rule: { type: 'string' }, selector: { type: 'string' }, reason: { type: 'string' } }
+        }
+      },
+      actions: {
+        type: ['array', 'null'],
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            selector: NULLABLE_STRING,
+            success: { type: 'boolean' },
+            value: {},
+            image: IMAGE_OUTPUT_SCHEMA,
+            error: { type: 'string' }
+          }
+        }
+      }
+    },
+    required: ['passed', 'counts', 'violations']
+  },
+  get_accessibility_tree: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      root: NULLABLE_STRING,
+      interestingOnly: { type: 'boolean' },
+      nodeCount: { type: 'number' },
+      truncated: { type: 'boolean', description: 'True when maxNodes or maxDepth cut the tree short' },
+      tree: {
+        type: ['object', 'null'],
+        description: 'Nested { role, name, value, states, children } nodes'
+      }
+    },
+    required: ['nodeCount', 'tree']
+  },
+  crawl_site: {
+    type: 'object',
+    properties: {
+      crawlId: { type: 'string', description: 'Pass back as crawlId to resume' },
+      startUrl: { type: 'string' },
+      status: { type: 'string', enum: ['complete', 'partial'] },
+      resumed: { type: 'boolean' },
+      dir: { type: 'string' },
+      combinedPath: { type: 'string' },
+      pages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            finalUrl: { type: 'string', description: 'Set when the page redirected' },
+            depth: { type: 'number' },
+            status: { type: ['number', 'null'] },
+            title: NULLABLE_STRING,
+            words: { type: 'number' },
+            links: { type: 'number' },
+            queued: { type: 'number', description: 'New URLs this page added to the queue' },
+            contentPath: NULLABLE_STRING,
+            error: NULLABLE_STRING
+          }
+        }
+      },
+      queued: { type: 'number', description: 'URLs still waiting to be crawled' },
+      skipped: {
+        type: 'object',
+        properties: {
+          robots: { type: 'number' },
+          external: { type: 'number' },
+          excluded: { type: 'number' },
+          depth: { type: 'number' }
+        }
+      },
+      content: { type: 'string', description: 'Combined content of all pages, truncated to maxContentChars' },
+      contentTruncated: { type: 'boolean' }
+    },
+    required: ['crawlId', 'status', 'pages']
+  },
+  discover_urls: {
+    type: 'object',
+    properties: {
+      origin: { type: 'string' },
+      robots: {
+        type: 'object',
+        properties: {
+          url: { type: ['string', 'null'], description: 'robots.txt location, null when the site has none' },
+          userAgent: { type: 'string' },
+          rules: {
+            type: 'array',
+            items: { type: 'object', properties: { allow: { type: 'boolean' }, path: { type: 'string' } } }
+          },
+          disallow: { type: 'array', items: { type: 'string' } },
+          crawlDelay: { type: ['number', 'null'] },
+          sitemaps: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      sitemaps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            source: { type: 'string', description: 'robots.txt, argument, default location, or the index that listed it' },
+            type: { type: ['string', 'null'], enum: ['index', 'urlset', 'text', null] },
+            urls: { type: 'number' },
+            sitemaps: { type: 'number' },
+            error: NULLABLE_STRING
+          }
+        }
+      },
+      urls: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            loc: { type: 'string' },
+            lastmod: NULLABLE_STRING,
+            changefreq: NULLABLE_STRING,
+            priority: { type: ['number', 'null'] },
+            allowed: { type: ['boolean', 'null'], description: 'robots.txt verdict for userAgent; null for URLs on other origins' }
+          }
+        }
+      },
+      total: { type: 'number' },
+      disallowed: { type: 'number' },
+      skipped: { type: 'number', description: 'Entries dropped by include, exclude or onlyAllowed, or with an invalid <loc>' },
+      truncated: { type: 'boolean' }
+    },
+    required: ['origin', 'robots', 'sitemaps', 'urls']
+  },
+  extract_metadata: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      basic: {
+        type: 'object',
+        properties: {
+          title: NULLABLE_STRING,
+          description: NULLABLE_STRING,
+          canonical: NULLABLE_STRING,
+          robots: NULLABLE_STRING,
+          lang: NULLABLE_STRING,
+          charset: NULLABLE_STRING,
+          author: NULLABLE_STRING,
+          keywords: NULLABLE_STRING,
+          alternates: {
+            type: 'array',
+            items: { type: 'object', properties: { hreflang: { type: 'string' }, href: { type: 'string' } } }
+          }
+        }
+      },
+      openGraph: { type: 'object', description: 'og:*, article:*, product:* and similar properties; og:image, og:video and og:audio are arrays of objects carrying their sub-properties' },
+      twitter: { type: 'object', description: 'twitter:* card properties' },
+      jsonLd: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'number' },
+            data: {},
+            error: { type: 'string' }
+          }
+        }
+      },
+      microdata: { type: 'array', items: { type: 'object' }, description: 'Top-level microdata items in JSON-LD form (@type, @id, properties)' },
+      rdfa: { type: 'array', items: { type: 'object' }, description: 'Top-level RDFa items in JSON-LD form' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', enum: ['json-ld', 'microdata', 'rdfa'] },
+            type: NULLABLE_STRING,
+            name: NULLABLE_STRING,
+            data: { type: 'object' },
+            issues: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  severity: { type: 'string', enum: ['error', 'warning'] },
+                  path: { type: 'string' },
+                  message: { type: 'string' }
+                }
               }
-            },
-            required: ['url', 'dropdownSelector']
+            }
           }
-        },
-        {
-          name: 'wait_for_element',
-          description: 'Wait for an element to appear on the page (useful for dynamic React content)',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL to monitor'
-              },
-              selector: {
-                type: 'string',
-                description: 'CSS selector to wait for'
-              },
-              timeout: {
-                type: 'number',
-                default: 10000,
-                description: 'Maximum time to wait in milliseconds'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              }
-            },
-            required: ['url', 'selector']
+        }
+      },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            index: { type: 'number' },
+            message: { type: 'string' },
+            snippet: { type: 'string' }
           }
-        },
-        {
-          name: 'extract_content',
-          description: 'Extract clean, readable content from web pages with semantic structure and hyperlinks',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL to extract content from'
-              },
-              includeLinks: {
-                type: 'boolean',
-                default: true,
-                description: 'Include hyperlinks with categorization'
-              },
-              format: {
-                type: 'string',
-                enum: ['markdown', 'text'],
-                default: 'markdown',
-                description: 'Output format'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              }
-            },
-            required: ['url']
+        }
+      }
+    },
+    required: ['url', 'basic', 'openGraph', 'twitter', 'items', 'errors']
+  },
+  extract_tables: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      count: { type: 'number', description: 'Tables found on the page (before index filtering)' },
+      tables: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'number' },
+            selector: { type: 'string' },
+            source: { type: 'string', enum: ['html', 'aria'] },
+            role: { type: 'string' },
+            caption: NULLABLE_STRING,
+            headers: { type: 'array', items: { type: 'string' } },
+            headerRowCount: { type: 'number' },
+            rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } },
+            records: { type: 'array', items: { type: 'object' }, description: 'One object per body row, keyed by header' },
+            csv: { type: 'string' },
+            rowCount: { type: 'number' },
+            columnCount: { type: 'number' },
+            truncated: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    required: ['url', 'count', 'tables']
+  },
+  extract_records: {
+    type: 'object',
+    properties: {
+      url: { type: 'string' },
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            selector: NULLABLE_STRING,
+            type: { type: 'string', enum: RECORD_FIELD_TYPES },
+            attribute: NULLABLE_STRING,
+            pattern: NULLABLE_STRING,
+            multiple: { type: 'boolean' },
+            required: { type: 'boolean' }
+          }
+        }
+      },
+      records: { type: 'array', items: { type: 'object' } },
+      pages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            items: { type: 'number', description: 'Items matched on the page' },
+            added: { type: 'number', description: 'Records kept after required-field checks and de-duplication' }
+          }
+        }
+      },
+      duplicates: { type: 'number' },
+      skipped: { type: 'number', description: 'Items dropped for missing required fields' },
+      stopReason: NULLABLE_STRING
+    },
+    required: ['url', 'records', 'pages']
+  },
+  open_session: SESSION_OUTPUT_SCHEMA,
+  close_session: {
+    type: 'object',
+    properties: { sessionId: { type: 'string' }, closed: { type: 'boolean' } }
+  },
+  list_sessions: {
+    type: 'object',
+    properties: { sessions: { type: 'array', items: SESSION_OUTPUT_SCHEMA } },
+    required: ['sessions']
+  },
+  save_auth_profile: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      path: { type: 'string' },
+      cookies: { type: 'number' },
+      origins: { type: 'number' }
+    }
+  },
+  list_auth_profiles: {
+    type: 'object',
+    properties: {
+      directory: { type: 'string' },
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            path: { type: 'string' },
+            savedAt: { type: 'string', format: 'date-time' },
+            cookies: { type: 'number' },
+            origins: { type: 'number' },
+            error: NULLABLE_STRING
+          }
+        }
+      }
+    },
+    required: ['profiles']
+  },
+  get_auth_profile: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      path: { type: 'string' },
+      cookies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            domain: { type: 'string' },
+            path: { type: 'string' },
+            expires: NULLABLE_STRING,
+            expired: { type: 'boolean' },
+            httpOnly: { type: 'boolean' },
+            secure: { type: 'boolean' }
           }
+        }
+      },
+      origins: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            origin: { type: 'string' },
+            localStorageKeys: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  },
+  delete_auth_profile: {
+    type: 'object',
+    properties: { name: { type: 'string' }, deleted: { type: 'boolean' } }
+  },
+  save_baseline: BASELINE_OUTPUT_SCHEMA,
+  check_against_baseline: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      url: { type: 'string' },
+      similarity: { type: 'number', description: '0-1' },
+      passed: { type: 'boolean', description: 'Similar enough and the same size as the baseline' },
+      sizeChanged: { type: 'boolean', description: 'The current screenshot is taller, shorter, wider or narrower than the baseline' },
+      analysis: {
+        type: 'object',
+        description: 'dimensions, layout, colors, typography and pixelDiff analysis (same shape as compare_screenshots)'
+      },
+      baselinePath: { type: 'string' },
+      candidatePath: { type: 'string', description: 'Screenshot approve_baseline would promote' },
+      screenshots: {
+        type: 'object',
+        properties: { currentPath: NULLABLE_STRING, diffPath: NULLABLE_STRING, sideBySidePath: NULLABLE_STRING }
+      },
+      images: {
+        type: ['object', 'null'],
+        properties: { current: IMAGE_OUTPUT_SCHEMA, diff: IMAGE_OUTPUT_SCHEMA }
+      }
+    },
+    required: ['name', 'similarity', 'passed']
+  },
+  update_baseline: BASELINE_OUTPUT_SCHEMA,
+  approve_baseline: BASELINE_OUTPUT_SCHEMA,
+  list_baselines: {
+    type: 'object',
+    properties: {
+      directory: { type: 'string' },
+      baselines: { type: 'array', items: BASELINE_OUTPUT_SCHEMA }
+    },
+    required: ['baselines']
+  },
+  delete_baseline: {
+    type: 'object',
+    properties: { name: { type: 'string' }, deleted: { type: 'boolean' } }
+  }
+};
+
+// Keeps one warm browser per engine and hands out isolated contexts.
+// `size` caps concurrently leased contexts per engine (sessions included);
+// a browser with no leases is closed after `idleTimeout` ms.
+class BrowserPool {
+  constructor({ size = POOL_DEFAULTS.size, idleTimeout = POOL_DEFAULTS.idleTimeout } = {}) {
+    this.size = size;
+    this.idleTimeout = idleTimeout;
+    this.browsers = new Map();
+    this.launching = new Map();
+    this.leases = new Map();
+    this.waiters = new Map();
+    this.idleTimers = new Map();
+  }
+
+  async getBrowser(engine) {
+    const existing = this.browsers.get(engine);
+    if (existing?.isConnected()) return existing;
+
+    // Concurrent callers share a single launch
+    if (!this.launching.has(engine)) {
+      const launch = BROWSER_ENGINES[engine].launch({ headless: true, args: BROWSER_ARGS })
+        .then(browser => {
+          this.browsers.set(engine, browser);
+          browser.on('disconnected', () => {
+            if (this.browsers.get(engine) === browser) this.browsers.delete(engine);
+          });
+          return browser;
+        })
+        .finally(() => this.launching.delete(engine));
+      this.launching.set(engine, launch);
+    }
+    return await this.launching.get(engine);
+  }
+
+  async reserveSlot(engine) {
+    const leases = this.leases.get(engine) || 0;
+    if (leases < this.size) {
+      this.leases.set(engine, leases + 1);
+      return;
+    }
+
+    // Released slots are handed straight to the oldest waiter
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      const queue = this.waiters.get(engine) || [];
+      queue.push(waiter);
+      this.waiters.set(engine, queue);
+
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(new Error(`Browser pool exhausted: ${this.size} ${engine} contexts in use (close idle sessions or raise MCP_BROWSER_POOL_SIZE)`));
+      }, TIMEOUTS.POOL_ACQUIRE);
+    });
+  }
+
+  async acquire(engine = 'chromium', contextOptions = {}) {
+    if (!BROWSER_ENGINES[engine]) throw new Error(`Unknown browser: ${engine}`);
+
+    await this.reserveSlot(engine);
+    clearTimeout(this.idleTimers.get(engine));
+
+    let browser;
+    let context;
+    try {
+      browser = await this.getBrowser(engine);
+      try {
+        context = await browser.newContext(contextOptions);
+      } catch (error) {
+        // The cached browser may have crashed without emitting `disconnected` yet
+        if (browser.isConnected()) throw error;
+        this.browsers.delete(engine);
+        browser = await this.getBrowser(engine);
+        context = await browser.newContext(contextOptions);
+      }
+    } catch (error) {
+      this.releaseSlot(engine);
+      throw error;
+    }
+
+    let released = false;
+    const release = async () => {
+      if (released) return;
+      released = true;
+      try {
+        await context.close();
+      } catch (e) {
+        // Context already gone with a crashed browser
+      }
+      this.releaseSlot(engine);
+    };
+
+    return { browser, context, release };
+  }
+
+  releaseSlot(engine) {
+    const waiter = this.waiters.get(engine)?.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+      return;
+    }
+
+    const leases = Math.max((this.leases.get(engine) || 1) - 1, 0);
+    this.leases.set(engine, leases);
+
+    if (leases === 0) {
+      const timer = setTimeout(() => this.closeBrowser(engine).catch(() => {}), this.idleTimeout);
+      timer.unref();
+      this.idleTimers.set(engine, timer);
+    }
+  }
+
+  async closeBrowser(engine) {
+    const browser = this.browsers.get(engine);
+    this.browsers.delete(engine);
+    if (browser?.isConnected()) await browser.close();
+  }
+
+  async shutdown() {
+    for (const timer of this.idleTimers.values()) clearTimeout(timer);
+    await Promise.allSettled(Object.keys(BROWSER_ENGINES).map(engine => this.closeBrowser(engine)));
+  }
+}
+
+// Every tool call that produces files gets its own run directory with a manifest,
+// so artifacts never collide and old runs can be pruned safely
+class ArtifactStore {
+  constructor({
+    root = ARTIFACT_DEFAULTS.root,
+    maxAge = ARTIFACT_DEFAULTS.maxAge,
+    maxBytes = ARTIFACT_DEFAULTS.maxBytes,
+    sweepInterval = ARTIFACT_DEFAULTS.sweepInterval
+  } = {}) {
+    this.root = root;
+    this.maxAge = maxAge;
+    this.maxBytes = maxBytes;
+    this.sweepInterval = sweepInterval;
+    this.active = new Set();
+  }
+
+  startRun(tool, { label, url } = {}) {
+    if (label && !/^[\w.-]+$/.test(label)) {
+      throw new Error(`Invalid artifactLabel: ${label}. Use letters, digits, dot, dash and underscore`);
+    }
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    const baseName = [stamp, tool, label].filter(Boolean).join('-');
+    const store = this;
+    const manifest = {
+      runId: null,
+      tool,
+      label: label || null,
+      url: url || null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      artifacts: []
+    };
+    let dir = null;
+
+    const ensureDir = () => {
+      if (dir) return dir;
+      fs.mkdirSync(store.root, { recursive: true });
+      // Runs started in the same millisecond get a numeric suffix instead of overwriting each other
+      for (let attempt = 1; ; attempt++) {
+        const runId = attempt === 1 ? baseName : `${baseName}-${attempt}`;
+        try {
+          fs.mkdirSync(path.join(store.root, runId));
+          manifest.runId = runId;
+          dir = path.join(store.root, runId);
+          store.active.add(runId);
+          return dir;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+    };
+
+    const writeManifest = () => {
+      if (dir) fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    };
+
+    return {
+      get dir() {
+        return dir;
+      },
+      get manifestPath() {
+        return dir ? path.join(dir, 'manifest.json') : null;
+      },
+
+      // Names are deterministic within a run; repeats get a numeric suffix
+      write(name, data, meta = {}) {
+        const runDir = ensureDir();
+        const { name: stem, ext } = path.parse(name);
+        let fileName = name;
+        for (let n = 2; manifest.artifacts.some(artifact => artifact.name === fileName); n++) {
+          fileName = `${stem}-${n}${ext}`;
+        }
+
+        const filePath = path.join(runDir, fileName);
+        fs.writeFileSync(filePath, data);
+        manifest.artifacts.push({
+          name: fileName,
+          path: filePath,
+          bytes: Buffer.byteLength(data),
+          createdAt: new Date().toISOString(),
+          ...meta
+        });
+        writeManifest();
+        return filePath;
+      },
+
+      // Files written outside the run directory (e.g. an explicit harPath) are still listed
+      record(filePath, meta = {}) {
+        ensureDir();
+        manifest.artifacts.push({
+          name: path.basename(filePath),
+          path: filePath,
+          bytes: fs.statSync(filePath).size,
+          createdAt: new Date().toISOString(),
+          ...meta
+        });
+        writeManifest();
+        return filePath;
+      },
+
+      finish() {
+        if (!dir) return;
+        manifest.finishedAt = new Date().toISOString();
+        writeManifest();
+        store.active.delete(manifest.runId);
+      }
+    };
+  }
+
+  listRuns() {
+    if (!fs.existsSync(this.root)) return [];
+
+    return fs.readdirSync(this.root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        const dir = path.join(this.root, entry.name);
+        const manifestPath = path.join(dir, 'manifest.json');
+        // Only directories we created are ever considered for deletion
+        if (!fs.existsSync(manifestPath)) return null;
+
+        let bytes = 0;
+        let modifiedAt = fs.statSync(manifestPath).mtimeMs;
+        for (const file of fs.readdirSync(dir)) {
+          const stat = fs.statSync(path.join(dir, file));
+          bytes += stat.size;
+          modifiedAt = Math.max(modifiedAt, stat.mtimeMs);
+        }
+        return { runId: entry.name, dir, bytes, modifiedAt };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.modifiedAt - b.modifiedAt);
+  }
+
+  enforceRetention() {
+    const runs = this.listRuns();
+    const now = Date.now();
+    let totalBytes = runs.reduce((sum, run) => sum + run.bytes, 0);
+    const removed = [];
+
+    // Oldest first: expired runs go, then more until the total fits
+    for (const run of runs) {
+      if (this.active.has(run.runId)) continue;
+      if (now - run.modifiedAt <= this.maxAge && totalBytes <= this.maxBytes) continue;
+
+      fs.rmSync(run.dir, { recursive: true, force: true });
+      totalBytes -= run.bytes;
+      removed.push(run.runId);
+    }
+
+    return { removed, totalBytes };
+  }
+
+  startSweeper() {
+    try {
+      this.enforceRetention();
+    } catch (error) {
+      console.error('[Artifacts] Retention sweep failed:', error.message);
+    }
+
+    this.sweeper = setInterval(() => {
+      try {
+        this.enforceRetention();
+      } catch (error) {
+        console.error('[Artifacts] Retention sweep failed:', error.message);
+      }
+    }, this.sweepInterval);
+    this.sweeper.unref();
+  }
+
+  shutdown() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// Parsed robots.txt for one user agent: the most specific matching group wins,
+// and within it the longest matching rule (Allow on ties), as in RFC 9309
+class RobotsTxt {
+  constructor(text = '', userAgent = CRAWL.userAgent, { url = null } = {}) {
+    const groups = [];
+    // Agents are compared by product token, case-insensitively: "Googlebot/2.1 (+http://…)" is "googlebot"
+    const productToken = value => value.trim().split(/[\s/]/)[0].toLowerCase();
+    // Where the file was loaded from; null when the site has none
+    this.url = url;
+    let group = null;
+    let previousWasAgent = false;
+    this.sitemaps = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        continue;
+      }
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!previousWasAgent) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          groups.push(group);
+        }
+        // An empty User-agent still opens a group, but one that matches no crawler
+        const token = productToken(value);
+        if (token) group.agents.push(token);
+        previousWasAgent = true;
+        continue;
+      }
+      previousWasAgent = false;
+      if (!group) continue;
+
+      if ((field === 'allow' || field === 'disallow') && value) {
+        // * matches any run of characters and a trailing $ anchors the end
+        const anchored = value.endsWith('$');
+        const pattern = (anchored ? value.slice(0, -1) : value)
+          .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '.*');
+        group.rules.push({ allow: field === 'allow', path: value, pattern: new RegExp(`^${pattern}${anchored ? '$' : ''}`) });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) group.crawlDelay = delay;
+      }
+    }
+
+    const agent = productToken(userAgent);
+    const specific = groups.filter(candidate => candidate.agents.some(name => name !== '*' && name === agent));
+    const matched = specific.length > 0 ? specific : groups.filter(candidate => candidate.agents.includes('*'));
+    this.rules = matched.flatMap(candidate => candidate.rules);
+    this.crawlDelay = matched.map(candidate => candidate.crawlDelay).find(delay => delay !== null) ?? null;
+  }
+
+  isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const target = `${pathname}${search}`;
+    let decisive = null;
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!decisive || rule.path.length > decisive.path.length || (rule.path.length === decisive.path.length && rule.allow)) {
+        decisive = rule;
+      }
+    }
+    return !decisive || decisive.allow;
+  }
+}
+
+class WebScraperServer {
+  constructor({ pool, artifacts } = {}) {
+    this.server = new Server(
+      {
+        name: 'web-scraper',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
         },
-        {
-          name: 'take_screenshot',
-          description: 'Take screenshot of a page without extracting HTML/CSS content',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              url: {
-                type: 'string',
-                description: 'URL to capture screenshot from'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              device: {
-                type: 'string',
-                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
-              },
-              fullPage: {
-                type: 'boolean',
-                default: true,
-                description: 'Capture full page or just viewport'
-              },
-              waitForSPA: {
-                type: 'boolean',
-                default: true,
-                description: 'Wait for SPA frameworks to load and hydrate'
+      }
+    );
+
+    this.pool = new BrowserPool(pool);
+    this.artifacts = new ArtifactStore(artifacts);
+    this.sessions = new Map();
+
+    this.setupToolHandlers();
+    this.setupErrorHandling();
+    this.setupSessionSweeper();
+    this.artifacts.startSweeper();
+  }
+
+  setupErrorHandling() {
+    this.server.onerror = (error) => console.error('[MCP Error]', error);
+    process.on('SIGINT', async () => {
+      await this.closeAllSessions();
+      await this.pool.shutdown();
+      this.artifacts.shutdown();
+      await this.server.close();
+      process.exit(0);
+    });
+  }
+
+  // Utility methods
+  validateArgs(args, required = []) {
+    if (!args) throw new Error('Arguments are required');
+    for (const field of required) {
+      // A live session already has a page loaded, so the URL becomes optional
+      if (field === 'url' && args.sessionId) continue;
+      if (!args[field]) throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  async getBrowser(browserType = 'chromium', deviceName = null, storageState = null) {
+    const contextOptions = deviceName && devices[deviceName] ? { ...devices[deviceName] } : {};
+    if (storageState) contextOptions.storageState = storageState;
+    return await this.pool.acquire(browserType, contextOptions);
+  }
+
+  // Auth profiles
+  getProfilePath(name) {
+    if (!/^[\w.-]+$/.test(name || '')) {
+      throw new Error(`Invalid profile name: ${name}. Use letters, digits, dot, dash and underscore`);
+    }
+    return path.join(PROFILES_DIR, `${name}.json`);
+  }
+
+  resolveStorageState({ profile, storageState } = {}) {
+    if (profile && storageState) {
+      throw new Error('Pass either profile or storageState, not both');
+    }
+    if (profile) {
+      const profilePath = this.getProfilePath(profile);
+      if (!fs.existsSync(profilePath)) {
+        throw new Error(`Unknown auth profile: ${profile}. Use list_auth_profiles to see stored profiles`);
+      }
+      return profilePath;
+    }
+    if (storageState && !fs.existsSync(storageState)) {
+      throw new Error(`Storage state file not found: ${storageState}`);
+    }
+    return storageState || null;
+  }
+
+  async saveStorageState(context, name) {
+    const profilePath = this.getProfilePath(name);
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
+    const state = await context.storageState();
+    fs.writeFileSync(profilePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+    return { profilePath, state };
+  }
+
+  // Session management
+  setupSessionSweeper() {
+    this.sessionSweeper = setInterval(() => {
+      const now = Date.now();
+      for (const session of this.sessions.values()) {
+        if (now - session.lastUsedAt > TIMEOUTS.SESSION_IDLE) {
+          this.closeSession({ sessionId: session.id }).catch(() => {});
+        }
+      }
+    }, 60000);
+    this.sessionSweeper.unref();
+  }
+
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown session: ${sessionId}. Use list_sessions to see open sessions`);
+    }
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  async acquirePage(args = {}, { freshPage = false } = {}) {
+    const { sessionId, browser: browserType = 'chromium', device } = args;
+
+    if (sessionId) {
+      const session = this.getSession(sessionId);
+      if (session.page.isClosed()) {
+        session.page = await session.context.newPage();
+      }
+      if (!freshPage) {
+        return { page: session.page, context: session.context, session, release: async () => {} };
+      }
+
+      // Extra tabs share the session's cookies and storage but are closed after the call
+      const page = await session.context.newPage();
+      return { page, context: session.context, session, release: async () => await page.close() };
+    }
+
+    const storageState = this.resolveStorageState(args);
+    const { context, release } = await this.getBrowser(browserType, device, storageState);
+    try {
+      const page = await context.newPage();
+      return { page, context, session: null, release };
+    } catch (error) {
+      await release();
+      throw error;
+    }
+  }
+
+  async navigate(page, url, session = null) {
+    // Session pages keep their state unless the caller asks for a different URL
+    if (session && (!url || this.isSameUrl(page.url(), url))) return null;
+    return await page.goto(url, { waitUntil: 'networkidle' });
+  }
+
+  isSameUrl(current, requested) {
+    try {
+      return new URL(current).href === new URL(requested).href;
+    } catch {
+      return current === requested;
+    }
+  }
+
+  trackPageListeners(page, session, listeners) {
+    for (const [event, handler] of Object.entries(listeners)) {
+      page.on(event, handler);
+    }
+
+    // Session pages outlive the call, so listeners must not pile up across calls
+    return () => {
+      if (!session) return;
+      for (const [event, handler] of Object.entries(listeners)) {
+        page.off(event, handler);
+      }
+    };
+  }
+
+  // Network capture
+  startNetworkCapture(page, session, options) {
+    if (!options) return null;
+
+    const {
+      includeBodies = false,
+      bodyUrlPattern,
+      maxBodySize = 100000
+    } = options === true ? {} : options;
+    const bodyFilter = bodyUrlPattern ? new RegExp(bodyUrlPattern) : null;
+    const shouldKeepBody = (url) => includeBodies && (!bodyFilter || bodyFilter.test(url));
+    const truncate = (text) => text && text.length > maxBodySize
+      ? `${text.substring(0, maxBodySize)}… [truncated ${text.length - maxBodySize} chars]`
+      : text;
+
+    const entries = new Map();
+    const pending = new Set();
+    const track = (promise) => {
+      pending.add(promise);
+      promise.finally(() => pending.delete(promise));
+    };
+
+    const complete = async (request, failure = null) => {
+      const entry = entries.get(request);
+      if (!entry) return;
+
+      const timing = request.timing();
+      entry.timing = timing;
+      entry.time = timing.responseEnd >= 0 ? timing.responseEnd : Date.now() - entry.startedAt;
+      entry.failure = failure;
+
+      try {
+        const sizes = await request.sizes();
+        entry.requestBodySize = sizes.requestBodySize;
+        entry.responseBodySize = sizes.responseBodySize;
+        entry.responseHeadersSize = sizes.responseHeadersSize;
+      } catch (e) {
+        // Sizes are unavailable for failed requests
+      }
+
+      const response = failure ? null : await request.response();
+      if (response) {
+        entry.status = response.status();
+        entry.statusText = response.statusText();
+        entry.responseHeaders = await response.allHeaders();
+        entry.mimeType = entry.responseHeaders['content-type'] || '';
+
+        if (shouldKeepBody(entry.url)) {
+          try {
+            const body = await response.body();
+            const isText = /text|json|javascript|xml|html|css|urlencoded/.test(entry.mimeType);
+            entry.responseBody = isText ? truncate(body.toString('utf8')) : truncate(body.toString('base64'));
+            entry.responseBodyEncoding = isText ? undefined : 'base64';
+          } catch (e) {
+            entry.responseBody = null;
+          }
+        }
+      }
+    };
+
+    const detach = this.trackPageListeners(page, session, {
+      request: request => {
+        entries.set(request, {
+          method: request.method(),
+          url: request.url(),
+          resourceType: request.resourceType(),
+          startedAt: Date.now(),
+          requestHeaders: request.headers(),
+          requestBody: shouldKeepBody(request.url()) ? truncate(request.postData()) : undefined,
+          status: null
+        });
+        track(request.allHeaders().then(headers => {
+          entries.get(request).requestHeaders = headers;
+        }).catch(() => {}));
+      },
+      requestfinished: request => track(complete(request).catch(() => {})),
+      requestfailed: request => track(complete(request, request.failure()?.errorText || 'failed').catch(() => {}))
+    });
+
+    let detached = false;
+    const detachOnce = () => {
+      if (detached) return;
+      detached = true;
+      detach();
+    };
+
+    return {
+      stop: async () => {
+        await Promise.allSettled(Array.from(pending));
+        // Listeners on throwaway pages go away with the context
+        detachOnce();
+        return Array.from(entries.values());
+      },
+      // For handlers' finally blocks: a call that throws before stop() must not leave
+      // listeners recording on a session page
+      detach: detachOnce
+    };
+  }
+
+  // Route mocking
+  async applyRouteMocks(page, { mocks = [], replayHar } = {}) {
+    if (mocks.length === 0 && !replayHar) return null;
+
+    // Everything is validated before the first route is registered, so a bad mock
+    // cannot leave a HAR replay attached to a session page
+    const harOptions = typeof replayHar === 'string' ? { path: replayHar } : replayHar;
+    if (harOptions && (!harOptions.path || !fs.existsSync(harOptions.path))) {
+      throw new Error(`HAR file not found: ${harOptions.path}`);
+    }
+
+    const stats = mocks.map((mock, index) => {
+      if (!mock.url && !mock.urlPattern) {
+        throw new Error(`Mock #${index + 1} needs a url glob or urlPattern regex`);
+      }
+      if (mock.file && !fs.existsSync(mock.file)) {
+        throw new Error(`Mock #${index + 1} file not found: ${mock.file}`);
+      }
+      let matcher = mock.url;
+      if (mock.urlPattern) {
+        try {
+          matcher = new RegExp(mock.urlPattern);
+        } catch (error) {
+          throw new Error(`Mock #${index + 1} urlPattern is not a valid regex: ${error.message}`);
+        }
+      }
+      return { mock, matcher, label: `${mock.method ? `${mock.method.toUpperCase()} ` : ''}${mock.url || `/${mock.urlPattern}/`}`, hits: 0 };
+    });
+
+    try {
+      if (harOptions) {
+        await page.routeFromHAR(harOptions.path, {
+          notFound: harOptions.notFound || 'abort',
+          ...(harOptions.url && { url: harOptions.url })
+        });
+      }
+      await this.registerRouteMocks(page, stats);
+    } catch (error) {
+      await page.unrouteAll({ behavior: 'ignoreErrors' }).catch(() => {});
+      throw error;
+    }
+
+    return {
+      hits: () => stats.map(stat => ({ mock: stat.label, hits: stat.hits })),
+      describe: () => [
+        ...(harOptions ? [`HAR replay from ${harOptions.path}`] : []),
+        ...(stats.length > 0 ? [`${stats.length} mock${stats.length === 1 ? '' : 's'}`] : [])
+      ].join(', '),
+      summary: () => stats.length > 0
+        ? stats.map(stat => `- ${stat.label} → ${stat.mock.abort ? `abort (${stat.mock.abort === true ? 'failed' : stat.mock.abort})` : stat.mock.status || 200}: ${stat.hits} hit${stat.hits === 1 ? '' : 's'}${stat.hits === 0 ? ' ⚠️' : ''}`).join('\n')
+        : '- HAR replay only'
+    };
+  }
+
+  async registerRouteMocks(page, stats) {
+    // Playwright runs the most recently registered matching route first, so
+    // register in reverse to let earlier mocks take precedence (and over the HAR)
+    for (const stat of [...stats].reverse()) {
+      const { mock, matcher } = stat;
+
+      await page.route(matcher, async (route) => {
+        const request = route.request();
+        if (mock.method && request.method() !== mock.method.toUpperCase()) return route.fallback();
+        if (mock.times && stat.hits >= mock.times) return route.fallback();
+
+        stat.hits++;
+        if (mock.delay) await new Promise(resolve => setTimeout(resolve, mock.delay));
+
+        if (mock.abort) {
+          return route.abort(typeof mock.abort === 'string' ? mock.abort : 'failed');
+        }
+
+        await route.fulfill({
+          status: mock.status || 200,
+          headers: mock.headers,
+          contentType: mock.contentType,
+          ...(mock.json !== undefined && { json: mock.json }),
+          ...(mock.body !== undefined && { body: mock.body }),
+          ...(mock.file && { path: mock.file })
+        });
+      });
+    }
+  }
+
+  buildHar(entries) {
+    const toNameValue = (headers = {}) => Object.entries(headers).map(([name, value]) => ({ name, value }));
+    const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'mcp-web-scraper', version: '1.0.0' },
+        pages: [],
+        entries: entries.map(entry => {
+          const timing = entry.timing || {};
+          const url = new URL(entry.url);
+          const contentType = entry.requestHeaders?.['content-type'];
+
+          return {
+            startedDateTime: new Date(entry.startedAt).toISOString(),
+            time: entry.time ?? -1,
+            request: {
+              method: entry.method,
+              url: entry.url,
+              // Playwright's client API does not expose the negotiated protocol, and guessing
+              // HTTP/1.1 would mislabel HTTP/2 and HTTP/3 traffic
+              httpVersion: '',
+              cookies: [],
+              headers: toNameValue(entry.requestHeaders),
+              queryString: Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value })),
+              ...(entry.requestBody != null && {
+                postData: { mimeType: contentType || 'application/octet-stream', text: entry.requestBody }
+              }),
+              headersSize: -1,
+              bodySize: entry.requestBodySize ?? -1
+            },
+            response: {
+              status: entry.status || 0,
+              statusText: entry.statusText || entry.failure || '',
+              httpVersion: '',
+              cookies: [],
+              headers: toNameValue(entry.responseHeaders),
+              content: {
+                size: entry.responseBodySize ?? -1,
+                mimeType: entry.mimeType || 'x-unknown',
+                ...(entry.responseBody != null && { text: entry.responseBody }),
+                ...(entry.responseBodyEncoding && { encoding: entry.responseBodyEncoding })
+              },
+              redirectURL: entry.responseHeaders?.location || '',
+              headersSize: entry.responseHeadersSize ?? -1,
+              bodySize: entry.responseBodySize ?? -1
+            },
+            cache: {},
+            timings: {
+              blocked: -1,
+              dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+              connect: span(timing.connectStart, timing.connectEnd),
+              ssl: span(timing.secureConnectionStart, timing.connectEnd),
+              send: 0,
+              wait: span(timing.requestStart, timing.responseStart),
+              receive: span(timing.responseStart, timing.responseEnd)
+            },
+            ...(entry.failure && { _failure: entry.failure }),
+            _resourceType: entry.resourceType
+          };
+        })
+      }
+    };
+  }
+
+  async finishNetworkCapture(recorder, options, artifacts) {
+    if (!recorder) return null;
+
+    const entries = await recorder.stop();
+    const { saveHar = false, harPath } = options === true ? {} : options;
+    let savedHarPath = null;
+
+    if (saveHar || harPath) {
+      const har = JSON.stringify(this.buildHar(entries), null, 2);
+      if (harPath) {
+        fs.mkdirSync(path.dirname(harPath), { recursive: true });
+        fs.writeFileSync(harPath, har);
+        savedHarPath = artifacts.record(harPath);
+      } else {
+        savedHarPath = artifacts.write('network.har', har);
+      }
+    }
+
+    return {
+      content: { type: 'text', text: this.formatNetworkReport(entries, savedHarPath) },
+      data: {
+        harPath: savedHarPath,
+        requests: entries.map(entry => ({
+          method: entry.method,
+          url: entry.url,
+          resourceType: entry.resourceType,
+          status: entry.status,
+          failure: entry.failure || null,
+          time: entry.time ?? null,
+          responseBodySize: entry.responseBodySize ?? null,
+          requestHeaders: entry.requestHeaders,
+          responseHeaders: entry.responseHeaders || null,
+          ...(entry.requestBody != null && { requestBody: entry.requestBody }),
+          ...(entry.responseBody != null && { responseBody: entry.responseBody })
+        }))
+      }
+    };
+  }
+
+  formatNetworkReport(entries, harPath = null) {
+    const failed = entries.filter(entry => entry.failure);
+    const clientErrors = entries.filter(entry => entry.status >= 400 && entry.status < 500);
+    const serverErrors = entries.filter(entry => entry.status >= 500);
+    const apiCalls = entries.filter(entry => ['fetch', 'xhr'].includes(entry.resourceType));
+    const totalBytes = entries.reduce((sum, entry) => sum + Math.max(entry.responseBodySize || 0, 0), 0);
+
+    const describe = (entry) =>
+      `- ${entry.method} ${entry.url} → ${entry.failure ? `❌ ${entry.failure}` : entry.status ?? 'pending'} (${Math.round(entry.time ?? 0)}ms, ${entry.responseBodySize ?? '?'} bytes)`;
+
+    return `🌐 Network Activity:
+- Requests: ${entries.length} (${apiCalls.length} fetch/XHR)
+- Transferred: ${(totalBytes / 1024).toFixed(1)} KB
+- Failed: ${failed.length}
+- 4xx responses: ${clientErrors.length}
+- 5xx responses: ${serverErrors.length}
+${harPath ? `- HAR saved to: ${harPath}\n` : ''}
+${[...failed, ...clientErrors, ...serverErrors].length > 0 ? `🚨 Problem Requests:
+${[...failed, ...clientErrors, ...serverErrors].map(describe).join('\n')}
+
+` : ''}${apiCalls.length > 0 ? `📡 API Calls:
+${apiCalls.slice(0, 50).map(describe).join('\n')}${apiCalls.length > 50 ? `\n… ${apiCalls.length - 50} more` : ''}` : '📡 No fetch/XHR calls recorded'}`;
+  }
+
+  // Inline images
+  async toImageContent(buffer, options = true) {
+    const {
+      format = 'png',
+      quality = IMAGE_DEFAULTS.quality,
+      maxWidth,
+      maxHeight,
+      maxBytes = IMAGE_DEFAULTS.maxBytes
+    } = options === true ? {} : options;
+
+    const metadata = await sharp(buffer).metadata();
+    let width = Math.min(metadata.width, maxWidth || metadata.width);
+    let height = Math.round(metadata.height * (width / metadata.width));
+    if (maxHeight && height > maxHeight) {
+      width = Math.max(Math.round(width * (maxHeight / height)), 1);
+      height = maxHeight;
+    }
+
+    let currentFormat = format;
+    let currentQuality = quality;
+    let data;
+
+    // Try the requested encoding first, then trade quality and finally resolution for size
+    for (;;) {
+      const image = sharp(buffer).resize({ width, height, fit: 'inside', withoutEnlargement: true });
+      data = currentFormat === 'jpeg'
+        ? await image.jpeg({ quality: currentQuality, mozjpeg: true }).toBuffer()
+        : await image.png({ compressionLevel: 9 }).toBuffer();
+
+      if (data.length <= maxBytes) break;
+      if (currentFormat === 'png') {
+        currentFormat = 'jpeg';
+      } else if (currentQuality > IMAGE_DEFAULTS.minQuality) {
+        currentQuality = Math.max(currentQuality - 15, IMAGE_DEFAULTS.minQuality);
+      } else if (width > IMAGE_DEFAULTS.minWidth) {
+        width = Math.round(width * 0.75);
+        height = Math.round(height * 0.75);
+      } else {
+        break;
+      }
+    }
+
+    const { width: finalWidth, height: finalHeight } = await sharp(data).metadata();
+
+    return {
+      content: {
+        type: 'image',
+        data: data.toString('base64'),
+        mimeType: `image/${currentFormat}`
+      },
+      info: {
+        mimeType: `image/${currentFormat}`,
+        width: finalWidth,
+        height: finalHeight,
+        bytes: data.length,
+        // Falling back to JPEG or a lower quality loses detail just like shrinking does
+        downscaled: finalWidth < metadata.width || currentFormat !== format || currentQuality !== quality
+      }
+    };
+  }
+
+  // Element or rectangle capture with dynamic regions painted over before any analyzer sees them
+  async captureScreenshot(page, { fullPage = true, selector, clip, mask = [], ignoreSelectors = [] } = {}) {
+    if (selector && clip) throw new Error('Pass either selector or clip, not both');
+
+    const options = {
+      type: 'png',
+      mask: ignoreSelectors.map(ignored => page.locator(ignored)),
+      maskColor: MASK_COLOR
+    };
+
+    let screenshot;
+    if (selector) {
+      const { element } = await this.findElement(page, selector);
+      screenshot = await element.screenshot(options);
+    } else {
+      screenshot = await page.screenshot({ ...options, fullPage, ...(clip && { clip }) });
+    }
+    if (mask.length === 0) return screenshot;
+
+    // Mask rectangles are CSS pixels relative to the captured image
+    const scale = await page.evaluate(() => window.devicePixelRatio || 1);
+    const { width, height } = await sharp(screenshot).metadata();
+    const overlays = mask
+      .map(rect => {
+        const left = Math.max(Math.round(rect.x * scale), 0);
+        const top = Math.max(Math.round(rect.y * scale), 0);
+        return {
+          left,
+          top,
+          width: Math.min(Math.round((rect.x + rect.width) * scale), width) - left,
+          height: Math.min(Math.round((rect.y + rect.height) * scale), height) - top
+        };
+      })
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => ({
+        input: { create: { width: rect.width, height: rect.height, channels: 3, background: MASK_COLOR } },
+        left: rect.left,
+        top: rect.top
+      }));
+
+    return overlays.length > 0 ? await sharp(screenshot).composite(overlays).png().toBuffer() : screenshot;
+  }
+
+  describeCaptureScope({ selector, clip, mask = [], ignoreSelectors = [] } = {}) {
+    const lines = [];
+    if (selector) lines.push(`🎯 Captured element: ${selector}`);
+    if (clip) lines.push(`🎯 Captured area: ${clip.width}x${clip.height} at (${clip.x}, ${clip.y})`);
+    if (mask.length > 0 || ignoreSelectors.length > 0) {
+      lines.push(`🙈 Masked: ${[
+        ...(mask.length > 0 ? [`${mask.length} region${mask.length === 1 ? '' : 's'}`] : []),
+        ...ignoreSelectors
+      ].join(', ')}`);
+    }
+    return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+  }
+
+  async setupMobileViewport(page, deviceName = null) {
+    if (deviceName && devices[deviceName]) return;
+    
+    await page.setViewportSize({ width: MOBILE_VIEWPORT.width, height: MOBILE_VIEWPORT.height });
+    await page.setExtraHTTPHeaders({ 'User-Agent': MOBILE_VIEWPORT.userAgent });
+  }
+
+  async findElement(page, selector, timeout = TIMEOUTS.DEFAULT) {
+    const selectors = [
+      selector,
+      `[data-testid="${selector}"]`,
+      `[aria-label="${selector}"]`,
+      `[accessibilityLabel="${selector}"]`
+    ];
+    
+    for (const sel of selectors) {
+      try {
+        await page.waitForSelector(sel, { timeout: timeout / selectors.length });
+        return { element: await page.$(sel), usedSelector: sel };
+      } catch (e) {
+        continue;
+      }
+    }
+    throw new Error(`Element not found with any selector: ${selector}`);
+  }
+
+  async waitForReactHydration(page, timeout = TIMEOUTS.HYDRATION) {
+    try {
+      await page.waitForFunction(() => {
+        // A DevTools hook without renderers (e.g. the render profiler's) does not mean React has loaded
+        const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+        return window.React || (hook && (!hook.renderers || hook.renderers.size > 0)) ||
+               document.querySelector('[data-reactroot]') ||
+               document.querySelector('#root [data-testid]') ||
+               document.querySelector('.expo-web-view');
+      }, { timeout });
+
+      await page.waitForTimeout(1000);
+      
+      const loadingSelectors = [
+        '[data-testid*="loading"]',
+        '[data-testid*="spinner"]', 
+        '.loading',
+        '.spinner',
+        '[aria-label*="loading"]'
+      ];
+      
+      for (const selector of loadingSelectors) {
+        try {
+          await page.waitForSelector(selector, { state: 'detached', timeout: 5000 });
+        } catch (e) {
+          // Loading indicator might not exist, continue
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      console.warn('React hydration wait failed:', error.message);
+      return false;
+    }
+  }
+
+  setupToolHandlers() {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [
+        {
+          name: 'inspect_element',
+          description: 'Inspect a DOM element by selector and return its attributes, text, and computed styles',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: { type: 'string', description: 'Page URL to inspect' },
+              selector: { type: 'string', description: 'CSS selector of element' },
+              properties: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Optional list of CSS properties'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium','firefox','webkit'],
+                default: 'chromium'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['selector'],
+            additionalProperties: false
+          }
+        },	
+        {
+          name: 'scrape_page',
+          description: 'Scrape content from any web page (regular websites, React apps, or React Native web apps) using Playwright',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to scrape'
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector to target specific elements (supports regular CSS and React Native testID/aria-label fallbacks)'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              waitFor: {
+                type: 'string',
+                description: 'Wait for specific selector or timeout in ms (e.g., "2000" or "#my-element")'
+              },
+              screenshot: {
+                type: 'boolean',
+                default: false,
+                description: 'Take a screenshot of the page'
+              },
+              mobileViewport: {
+                type: 'boolean',
+                default: false,
+                description: 'Use mobile viewport (primarily for React Native web apps)'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5") - for mobile web apps'
+              },
+              scrollStrategy: {
+                type: 'object',
+                description: 'Load more content before scraping (infinite scroll, FlatList feeds, "load more" buttons). Items matching itemSelector are collected after every step, so virtualized lists that unmount old rows are captured in full',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: SCROLL_TYPES,
+                    default: 'window',
+                    description: 'window: scroll the page; container: scroll an inner element; loadMore: click loadMoreSelector repeatedly'
+                  },
+                  container: {
+                    type: 'string',
+                    description: 'CSS selector of the scroll container (default: the largest scrollable element)'
+                  },
+                  loadMoreSelector: {
+                    type: 'string',
+                    description: 'CSS selector of the "load more" button (type loadMore)'
+                  },
+                  itemSelector: {
+                    type: 'string',
+                    description: 'CSS selector of one feed item (default: selector)'
+                  },
+                  maxIterations: {
+                    type: 'number',
+                    default: 20,
+                    description: 'Maximum number of scrolls or clicks'
+                  },
+                  maxItems: {
+                    type: 'number',
+                    description: 'Stop once this many unique items are collected'
+                  },
+                  idleIterations: {
+                    type: 'number',
+                    default: 2,
+                    description: 'Stop after this many steps in a row add no items and no page height'
+                  },
+                  delay: {
+                    type: 'number',
+                    default: 1000,
+                    description: 'Milliseconds to wait after each step'
+                  },
+                  dedupeBy: {
+                    type: 'string',
+                    default: 'text',
+                    description: 'What makes an item unique: "text", "html", or an attribute name such as "data-testid" or "href"'
+                  }
+                }
+              },
+              captureNetwork: NETWORK_CAPTURE_PROPERTY,
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'inspect_react_app',
+          description: 'Inspect a React or React Native web app: real component hierarchy from the fiber tree with props, state and hooks, plus a lookup from a DOM element to the component that renders it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the React Native web app'
+              },
+              waitForHydration: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for React hydration to complete'
+              },
+              includeComponentTree: {
+                type: 'boolean',
+                default: true,
+                description: 'Include the React component hierarchy, read from the fiber tree'
+              },
+              includeProps: {
+                type: 'boolean',
+                default: true,
+                description: 'Include each component\'s props in the tree (functions are redacted)'
+              },
+              includeState: {
+                type: 'boolean',
+                default: false,
+                description: 'Include class component state and hook values (useState, useReducer, useRef, useMemo)'
+              },
+              selector: {
+                type: 'string',
+                description: 'Report the component that renders this element (CSS selector, testID, or accessibility label), with its props, state and owner chain'
+              },
+              maxDepth: {
+                type: 'number',
+                default: 25,
+                description: 'Maximum component nesting depth (host elements are not counted)'
+              },
+              maxComponents: {
+                type: 'number',
+                default: 500,
+                description: 'Maximum number of components to return'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'wait_for_react_state',
+          description: 'Wait for React component state changes, data loading, or navigation',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to monitor'
+              },
+              condition: {
+                type: 'string',
+                enum: ['hydration', 'navigation', 'data-loading', 'animation', 'custom'],
+                description: 'Type of condition to wait for'
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector or testID to wait for (for custom condition)'
+              },
+              timeout: {
+                type: 'number',
+                default: 15000,
+                description: 'Maximum time to wait in milliseconds'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['condition']
+          }
+        },
+        {
+          name: 'execute_in_react_context',
+          description: 'Execute JavaScript in React context to inspect components, state, or trigger actions',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the React app'
+              },
+              script: {
+                type: 'string',
+                description: 'JavaScript code to execute in the browser context'
+              },
+              waitForReact: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for React to be available before executing'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              captureNetwork: NETWORK_CAPTURE_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['script']
+          }
+        },
+        {
+          name: 'check_expo_dev_server',
+          description: 'Check if Expo development server is running and get app status',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              port: {
+                type: 'number',
+                default: 8081,
+                description: 'Port where Expo dev server is running'
+              },
+              host: {
+                type: 'string',
+                default: 'localhost',
+                description: 'Host where Expo dev server is running'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Probe the dev server from a new tab inside this session (shares its cookies)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'test_react_app',
+          description: 'Test any React app (regular React or React Native web) with enhanced interactions and mobile gestures',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the React app (e.g., http://localhost:3000 for regular React, http://localhost:8081 for RN web)'
+              },
+              actions: ACTIONS_PROPERTY,
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForHydration: {
+                type: 'boolean',
+                default: false,
+                description: 'Wait for React hydration before starting tests (recommended for React apps, especially React Native web)'
+              },
+              profileRenders: {
+                type: 'boolean',
+                default: false,
+                description: 'Instrument React commits and report, per action, which components rendered, how often, how long commits took, and which re-rendered with unchanged props. The profiler must be installed before React loads, so with sessionId the test runs in a new tab of the session (same cookies and storage) that loads url, or the session page\'s URL, and is closed afterwards. The profile is reported unavailable when no page load happens'
+              },
+              saveProfile: {
+                type: 'string',
+                description: 'Save the cookies and localStorage left after the actions (e.g. a login flow) as a named auth profile'
+              },
+              mocks: {
+                type: 'array',
+                description: 'Route interceptions applied before navigation; earlier entries win when several match',
+                items: {
+                  type: 'object',
+                  properties: {
+                    url: { type: 'string', description: 'URL glob, e.g. "**/api/orders*"' },
+                    urlPattern: { type: 'string', description: 'Regular expression alternative to url' },
+                    method: { type: 'string', description: 'Only intercept this HTTP method' },
+                    status: { type: 'number', default: 200, description: 'Response status code' },
+                    headers: { type: 'object', description: 'Response headers' },
+                    contentType: { type: 'string', description: 'Response content type' },
+                    json: { description: 'JSON response body' },
+                    body: { type: 'string', description: 'Raw response body' },
+                    file: { type: 'string', description: 'Path of a file to serve as the response body' },
+                    delay: { type: 'number', description: 'Delay before responding in milliseconds' },
+                    abort: {
+                      type: ['boolean', 'string'],
+                      description: 'Abort the request instead (true or an error code such as "connectionrefused", "timedout", "failed")'
+                    },
+                    times: { type: 'number', description: 'Only intercept the first N matching requests' }
+                  }
+                }
+              },
+              replayHar: {
+                type: ['string', 'object'],
+                description: 'Serve responses from a previously captured HAR file (path or options object) so the flow runs without the real API',
+                properties: {
+                  path: { type: 'string', description: 'HAR file path' },
+                  url: { type: 'string', description: 'Only replay requests matching this URL glob' },
+                  notFound: {
+                    type: 'string',
+                    enum: ['abort', 'fallback'],
+                    default: 'abort',
+                    description: 'What to do with requests missing from the HAR'
+                  }
+                }
+              },
+              captureNetwork: NETWORK_CAPTURE_PROPERTY,
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['actions']
+          }
+        },
+        {
+          name: 'get_page_info',
+          description: 'Get comprehensive information about a web page (title, meta tags, performance metrics)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to analyze'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              includePerformance: {
+                type: 'boolean',
+                default: false,
+                description: 'Include performance metrics'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'test_dropdown_with_error_capture',
+          description: 'Test dropdown interactions with comprehensive console error capture and page state monitoring',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the React app'
+              },
+              dropdownSelector: {
+                type: 'string',
+                description: 'CSS selector, testID, or text content to identify the dropdown button'
+              },
+              waitAfterClick: {
+                type: 'number',
+                default: 3000,
+                description: 'Time to wait after clicking to capture errors (ms)'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              takeScreenshots: {
+                type: 'boolean',
+                default: true,
+                description: 'Take before/after screenshots'
+              },
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['dropdownSelector']
+          }
+        },
+        {
+          name: 'wait_for_element',
+          description: 'Wait for an element to appear on the page (useful for dynamic React content)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to monitor'
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector to wait for'
+              },
+              timeout: {
+                type: 'number',
+                default: 10000,
+                description: 'Maximum time to wait in milliseconds'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['selector']
+          }
+        },
+        {
+          name: 'extract_content',
+          description: 'Extract the main content of a page (detected by Readability-style text and link density scoring) as Markdown or text, keeping inline formatting, nested lists, tables, images and links in place',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to extract content from'
+              },
+              selector: {
+                type: 'string',
+                description: 'CSS selector of the content element, skipping main-content detection'
+              },
+              includeLinks: {
+                type: 'boolean',
+                default: true,
+                description: 'Include hyperlinks with categorization'
+              },
+              format: {
+                type: 'string',
+                enum: ['markdown', 'text'],
+                default: 'markdown',
+                description: 'Output format'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'take_screenshot',
+          description: 'Take screenshot of a page without extracting HTML/CSS content',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL to capture screenshot from'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              fullPage: {
+                type: 'boolean',
+                default: true,
+                description: 'Capture full page or just viewport'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              ...SCREENSHOT_SCOPE_PROPERTIES,
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'compare_screenshots',
+          description: 'Take screenshots of two pages and compare them visually for layout, colors, and typography',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              urlA: {
+                type: 'string',
+                description: 'First page (source)'
+              },
+              urlB: {
+                type: 'string',
+                description: 'Second page (target)'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              threshold: {
+                type: 'number',
+                default: 0.1,
+                description: 'Allowed difference ratio (0–1)'
+              },
+              analyzeLayout: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze layout positioning and alignment'
+              },
+              analyzeColors: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze exact color differences'
+              },
+              analyzeTypography: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze font sizes, weights, and spacing'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              selector: {
+                type: 'string',
+                description: 'Capture only this element on both pages'
+              },
+              clip: SCREENSHOT_SCOPE_PROPERTIES.clip,
+              mask: SCREENSHOT_SCOPE_PROPERTIES.mask,
+              ignoreSelectors: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Elements painted over on both pages before comparing (timestamps, avatars, ads)'
+              },
+              diffImage: {
+                type: 'boolean',
+                default: true,
+                description: 'Render a diff image and a side-by-side composite of source, target and diff'
+              },
+              metric: METRIC_PROPERTY,
+              diffThreshold: {
+                type: 'number',
+                default: 0.1,
+                description: 'Per-pixel colour distance (0–1) above which a pixel counts as changed'
+              },
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: {
+                type: 'string',
+                description: 'Load both pages in new tabs inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['urlA', 'urlB']
+          }
+        },
+        {
+          name: 'compare_dom',
+          description: 'Compare the rendered DOM of two pages and report added, removed, moved and text-changed nodes as a tree diff',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              urlA: {
+                type: 'string',
+                description: 'First page (source)'
+              },
+              urlB: {
+                type: 'string',
+                description: 'Second page (target)'
+              },
+              selector: {
+                type: 'string',
+                description: 'Only compare the subtree under the first element matching this CSS selector on each page'
+              },
+              ignoreSelectors: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Skip elements (and their subtrees) matching these CSS selectors'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              maxNodes: {
+                type: 'number',
+                default: 5000,
+                description: 'Stop walking each DOM after this many elements'
+              },
+              maxChanges: {
+                type: 'number',
+                default: 200,
+                description: 'Maximum number of changes to report'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Load both pages in new tabs inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['urlA', 'urlB']
+          }
+        },
+        {
+          name: 'compare_styles',
+          description: 'Compare computed CSS and bounding boxes of the same elements on two pages (by selector, or every data-testid element)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              urlA: {
+                type: 'string',
+                description: 'First page (source)'
+              },
+              urlB: {
+                type: 'string',
+                description: 'Second page (target)'
+              },
+              selectors: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Elements to compare (CSS selector, testID or accessibility label). Defaults to every element with data-testid'
+              },
+              properties: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Computed CSS properties to compare. Defaults to font, color, spacing, border and flex properties'
+              },
+              boxTolerance: {
+                type: 'number',
+                default: 1,
+                description: 'Bounding-box changes up to this many CSS pixels are ignored'
+              },
+              maxElements: {
+                type: 'number',
+                default: 200,
+                description: 'Maximum number of data-testid elements to compare'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Load both pages in new tabs inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['urlA', 'urlB']
+          }
+        },
+        {
+          name: 'audit_accessibility',
+          description: 'Audit the rendered page for accessibility problems (accessible names, ARIA roles, color contrast, focus order, form labels, image alt text, heading order) with selectors and fixes',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the page to audit'
+              },
+              selector: {
+                type: 'string',
+                description: 'Only audit the subtree under the first element matching this CSS selector'
+              },
+              actions: {
+                ...ACTIONS_PROPERTY,
+                description: 'test_react_app actions to run before auditing, e.g. to open a menu or trigger validation errors'
+              },
+              rules: {
+                type: 'array',
+                items: { type: 'string', enum: Object.keys(A11Y_RULES) },
+                description: 'Rules to run (default: all)'
+              },
+              maxViolations: {
+                type: 'number',
+                default: 200,
+                description: 'Maximum number of violations to report'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY,
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'get_accessibility_tree',
+          description: "Return the browser's accessibility tree (role, name, value, states, children) as compact YAML-style text, the way a screen reader sees the page",
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the page'
+              },
+              selector: {
+                type: 'string',
+                description: 'Root the tree at this element (CSS selector, testID, or accessibility label)'
+              },
+              interestingOnly: {
+                type: 'boolean',
+                default: true,
+                description: 'Drop unnamed generic, none and presentation nodes, keeping their children'
+              },
+              maxDepth: {
+                type: 'number',
+                description: 'Stop descending after this many levels'
+              },
+              maxNodes: {
+                type: 'number',
+                default: 1000,
+                description: 'Maximum number of nodes to return'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'crawl_site',
+          description: 'Crawl a site from a start URL, following links (same-origin by default) and extracting clean content from every page; honors robots.txt and can be resumed',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Start URL (required unless resuming with crawlId)'
+              },
+              crawlId: {
+                type: 'string',
+                description: 'Name of the crawl. Calling again with the same crawlId resumes it from its saved queue'
+              },
+              sameOrigin: {
+                type: 'boolean',
+                default: true,
+                description: 'Only follow links on the start URL\'s origin'
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Regular expressions; when set, only URLs matching one of them are crawled'
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Regular expressions for URLs to skip'
+              },
+              maxDepth: {
+                type: 'number',
+                default: 3,
+                description: 'Maximum number of link hops from the start URL'
+              },
+              maxPages: {
+                type: 'number',
+                default: 50,
+                description: 'Stop after this many pages in total (including pages from earlier runs of a resumed crawl)'
+              },
+              concurrency: {
+                type: 'number',
+                default: 2,
+                description: 'Pages loaded in parallel (max 5)'
+              },
+              delay: {
+                type: 'number',
+                default: 0,
+                description: 'Minimum milliseconds between page requests; a larger robots.txt Crawl-delay wins'
+              },
+              respectRobots: {
+                type: 'boolean',
+                default: true,
+                description: 'Skip URLs disallowed by robots.txt'
+              },
+              format: {
+                type: 'string',
+                enum: ['markdown', 'text'],
+                default: 'markdown',
+                description: 'Content format, as in extract_content'
+              },
+              maxContentChars: {
+                type: 'number',
+                default: 20000,
+                description: 'Truncate the combined content in the response (the full text is saved to disk)'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Crawl in new tabs inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'discover_urls',
+          description: 'List the pages a site declares: parses robots.txt and sitemaps (indexes and .gz included) and returns URLs with lastmod/priority plus the paths disallowed for a user agent',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Any URL on the site; robots.txt and /sitemap.xml are looked up on its origin'
+              },
+              sitemaps: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Extra sitemap URLs to read besides those listed in robots.txt'
+              },
+              userAgent: {
+                type: 'string',
+                default: 'mcp-web-scraper',
+                description: 'User agent whose robots.txt rules are reported and applied, matched by its product token (e.g. "Googlebot")'
+              },
+              include: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Regular expressions; when set, only URLs matching one of them are returned'
+              },
+              exclude: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Regular expressions for URLs to leave out'
+              },
+              onlyAllowed: {
+                type: 'boolean',
+                default: false,
+                description: 'Leave out URLs robots.txt disallows for userAgent'
+              },
+              maxUrls: {
+                type: 'number',
+                default: 5000,
+                description: 'Stop after this many URLs'
+              },
+              maxSitemaps: {
+                type: 'number',
+                default: 50,
+                description: 'Maximum number of sitemap files to fetch (indexes included)'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Fetch with this session\'s cookies'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'extract_metadata',
+          description: 'Extract page metadata as normalized JSON: title/description/canonical, OpenGraph, Twitter cards, JSON-LD, microdata and RDFa. Validates Product, Article and BreadcrumbList items and reports JSON-LD parse errors',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the page'
+              },
+              validate: {
+                type: 'boolean',
+                default: true,
+                description: 'Check Product, Article and BreadcrumbList items for missing or malformed properties'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'extract_tables',
+          description: 'Extract HTML tables and ARIA table/grid structures (as rendered by React Native Web) as JSON records and CSV. Expands colspan/rowspan and combines stacked header rows',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the page'
+              },
+              selector: {
+                type: 'string',
+                description: 'Only extract tables inside (or matching) this element (CSS selector, testID, or accessibility label)'
+              },
+              index: {
+                type: 'number',
+                description: 'Only return the Nth table found (1-based)'
+              },
+              headerRows: {
+                type: 'number',
+                description: 'Number of leading rows to use as headers. Default: <thead> rows, or leading rows made only of header cells'
+              },
+              format: {
+                type: 'string',
+                enum: ['csv', 'json'],
+                default: 'csv',
+                description: 'How tables are shown in the text output (structured output always has both)'
+              },
+              includeHidden: {
+                type: 'boolean',
+                default: false,
+                description: 'Include hidden tables, rows and cells'
+              },
+              maxRows: {
+                type: 'number',
+                default: 1000,
+                description: 'Maximum number of body rows per table'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['url']
+          }
+        },
+        {
+          name: 'extract_records',
+          description: 'Extract a list of typed records (products, search results, listings) using an item selector and a field map, following "next page" links or a page URL pattern and removing duplicates',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'URL of the first page'
+              },
+              itemSelector: {
+                type: 'string',
+                description: 'CSS selector matching one element per record (e.g., ".product-card")'
+              },
+              fields: {
+                type: 'object',
+                description: 'Field name → CSS selector relative to the item, or { selector, type, attribute, pattern, multiple, required }. Omit selector to read the item element itself',
+                additionalProperties: {
+                  oneOf: [
+                    { type: 'string' },
+                    {
+                      type: 'object',
+                      properties: {
+                        selector: { type: 'string' },
+                        type: {
+                          type: 'string',
+                          enum: RECORD_FIELD_TYPES,
+                          default: 'text',
+                          description: 'text, html, attribute (needs attribute), href/src (absolute URLs), number (parses "1,234.50"), date (ISO string; reads datetime first), exists (boolean)'
+                        },
+                        attribute: { type: 'string' },
+                        pattern: {
+                          type: 'string',
+                          description: 'Regular expression applied before conversion; keeps the first capture group (or the whole match)'
+                        },
+                        multiple: {
+                          type: 'boolean',
+                          default: false,
+                          description: 'Return an array of every match instead of the first'
+                        },
+                        required: {
+                          type: 'boolean',
+                          default: false,
+                          description: 'Drop items where this field is missing'
+                        }
+                      }
+                    }
+                  ]
+                }
+              },
+              nextSelector: {
+                type: 'string',
+                description: 'Selector of the "next page" link or button. Links are followed; buttons are clicked and the items are re-read once they change'
+              },
+              pagePattern: {
+                type: 'string',
+                description: 'URL template for later pages with a {page} placeholder (e.g., "https://example.com/list?page={page}")'
+              },
+              startPage: {
+                type: 'number',
+                default: 2,
+                description: 'Page number pagePattern starts from after the first URL'
+              },
+              maxPages: {
+                type: 'number',
+                default: 5,
+                description: 'Maximum number of pages to read, including the first'
+              },
+              maxRecords: {
+                type: 'number',
+                default: 1000,
+                description: 'Stop after this many records'
+              },
+              dedupe: {
+                type: 'boolean',
+                default: true,
+                description: 'Drop records identical to one already extracted'
+              },
+              dedupeBy: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Fields that identify a record for de-duplication (default: all fields)'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              waitForSPA: {
+                type: 'boolean',
+                default: true,
+                description: 'Wait for SPA frameworks to load and hydrate'
+              },
+              sessionId: SESSION_ID_PROPERTY,
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['url', 'itemSelector', 'fields']
+          }
+        },
+        {
+          name: 'open_session',
+          description: 'Open a persistent browser session whose page survives between tool calls (log in once, then inspect)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              url: {
+                type: 'string',
+                description: 'Optional URL to open right away'
+              },
+              browser: {
+                type: 'string',
+                enum: ['chromium', 'firefox', 'webkit'],
+                default: 'chromium',
+                description: 'Browser engine to use'
+              },
+              device: {
+                type: 'string',
+                description: 'Device to emulate (e.g., "iPhone 12", "Pixel 5")'
+              },
+              mobileViewport: {
+                type: 'boolean',
+                default: false,
+                description: 'Use mobile viewport (primarily for React Native web apps)'
+              },
+              waitForHydration: {
+                type: 'boolean',
+                default: false,
+                description: 'Wait for React hydration after opening the URL'
+              },
+              label: {
+                type: 'string',
+                description: 'Optional human-readable label shown by list_sessions'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'close_session',
+          description: 'Close a browser session opened with open_session',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              sessionId: {
+                type: 'string',
+                description: 'Session to close'
+              }
+            },
+            required: ['sessionId']
+          }
+        },
+        {
+          name: 'list_sessions',
+          description: 'List open browser sessions with their current URL and age',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'save_auth_profile',
+          description: 'Save the storage state (cookies, localStorage) of a session as a named auth profile',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name (letters, digits, dot, dash and underscore)'
+              },
+              sessionId: {
+                type: 'string',
+                description: 'Session whose storage state should be saved'
+              }
+            },
+            required: ['name', 'sessionId']
+          }
+        },
+        {
+          name: 'list_auth_profiles',
+          description: 'List stored auth profiles',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'get_auth_profile',
+          description: 'Inspect a stored auth profile: cookie names, domains and expiry plus localStorage keys per origin (values are not returned)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'delete_auth_profile',
+          description: 'Delete a stored auth profile',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Profile name'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'save_baseline',
+          description: 'Capture a page under a name as the visual baseline for later regression checks',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name (letters, digits, dot, dash and underscore)'
+              },
+              url: {
+                type: 'string',
+                description: 'URL to capture'
+              },
+              ...BASELINE_CAPTURE_PROPERTIES,
+              sessionId: {
+                type: 'string',
+                description: 'Capture in a new tab inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['name', 'url']
+          }
+        },
+        {
+          name: 'check_against_baseline',
+          description: 'Capture the page of a stored baseline again with the same browser, device and viewport and compare it to the baseline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name'
+              },
+              url: {
+                type: 'string',
+                description: 'Check a different URL (e.g. a preview deployment) against the baseline'
+              },
+              threshold: {
+                type: 'number',
+                default: 0.1,
+                description: 'Allowed difference ratio (0–1)'
+              },
+              metric: METRIC_PROPERTY,
+              diffThreshold: {
+                type: 'number',
+                default: 0.1,
+                description: 'Per-pixel colour distance (0–1) above which a pixel counts as changed'
+              },
+              analyzeLayout: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze layout positioning and alignment'
+              },
+              analyzeColors: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze exact color differences'
+              },
+              analyzeTypography: {
+                type: 'boolean',
+                default: true,
+                description: 'Analyze font sizes, weights, and spacing'
+              },
+              inlineImage: INLINE_IMAGE_PROPERTY,
+              saveToDisk: SAVE_TO_DISK_PROPERTY,
+              artifactLabel: ARTIFACT_LABEL_PROPERTY,
+              sessionId: {
+                type: 'string',
+                description: 'Capture in a new tab inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'update_baseline',
+          description: 'Re-capture a stored baseline now, optionally changing its URL or capture settings',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name'
+              },
+              url: {
+                type: 'string',
+                description: 'New URL (defaults to the stored one)'
+              },
+              ...BASELINE_CAPTURE_PROPERTIES,
+              sessionId: {
+                type: 'string',
+                description: 'Capture in a new tab inside this session (shares its cookies and storage)'
+              },
+              profile: PROFILE_PROPERTY,
+              storageState: STORAGE_STATE_PROPERTY
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'approve_baseline',
+          description: 'Accept the screenshot from the last check_against_baseline run as the new baseline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'list_baselines',
+          description: 'List stored visual baselines with their capture settings and last check result',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'delete_baseline',
+          description: 'Delete a stored visual baseline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Baseline name'
+              }
+            },
+            required: ['name']
+          }
+        }
+      ].map(tool => this.withOutputOptions(tool))
+    }));
+
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        const outputFormat = args?.outputFormat ?? 'text';
+        if (!OUTPUT_FORMATS.includes(outputFormat)) {
+          throw new Error(`Unknown outputFormat: ${outputFormat}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+        }
+
+        const result = await this.callTool(name, args);
+        return this.formatOutput(result, outputFormat);
+      } catch (error) {
+        return {
+          content: [{ type: 'text', text: `Error: ${error.message}` }],
+          isError: true
+        };
+      }
+    });
+  }
+
+  async callTool(name, args) {
+    switch (name) {
+      case 'inspect_element': {
+        const normalized = Array.isArray(args) ? { url: args[0], selector: args[1] } : args;
+        return await this.inspectElement(normalized);
+      }
+      case 'scrape_page':
+        return await this.scrapePage(args);
+      case 'inspect_react_app':
+        return await this.inspectReactApp(args);
+      case 'wait_for_react_state':
+        return await this.waitForReactState(args);
+      case 'execute_in_react_context':
+        return await this.executeInReactContext(args);
+      case 'check_expo_dev_server':
+        return await this.checkExpoDevServer(args);
+      case 'test_react_app':
+        return await this.testReactApp(args);
+      case 'get_page_info':
+        return await this.getPageInfo(args);
+      case 'test_dropdown_with_error_capture':
+        return await this.testDropdownWithErrorCapture(args);
+      case 'wait_for_element':
+        return await this.waitForElement(args);
+      case 'extract_content':
+        return await this.extractContent(args);
+      case 'take_screenshot':
+        return await this.takeScreenshot(args);
+      case 'compare_screenshots':
+        return await this.compareScreenshots(args);
+      case 'compare_dom':
+        return await this.compareDom(args);
+      case 'compare_styles':
+        return await this.compareStyles(args);
+      case 'audit_accessibility':
+        return await this.auditAccessibility(args);
+      case 'get_accessibility_tree':
+        return await this.getAccessibilityTree(args);
+      case 'crawl_site':
+        return await this.crawlSite(args);
+      case 'discover_urls':
+        return await this.discoverUrls(args);
+      case 'extract_metadata':
+        return await this.extractMetadata(args);
+      case 'extract_tables':
+        return await this.extractTables(args);
+      case 'extract_records':
+        return await this.extractRecords(args);
+      case 'open_session':
+        return await this.openSession(args);
+      case 'close_session':
+        return await this.closeSession(args);
+      case 'list_sessions':
+        return await this.listSessions();
+      case 'save_auth_profile':
+        return await this.saveAuthProfile(args);
+      case 'list_auth_profiles':
+        return await this.listAuthProfiles();
+      case 'get_auth_profile':
+        return await this.getAuthProfile(args);
+      case 'delete_auth_profile':
+        return await this.deleteAuthProfile(args);
+      case 'save_baseline':
+        return await this.saveBaseline(args);
+      case 'check_against_baseline':
+        return await this.checkAgainstBaseline(args);
+      case 'update_baseline':
+        return await this.updateBaseline(args);
+      case 'approve_baseline':
+        return await this.approveBaseline(args);
+      case 'list_baselines':
+        return await this.listBaselines();
+      case 'delete_baseline':
+        return await this.deleteBaseline(args);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  // Every tool returns prose plus a structuredContent payload; outputFormat picks
+  // which of the two end up in the content blocks
+  formatOutput(result, outputFormat = 'text') {
+    if (!result.structuredContent || outputFormat === 'text') return result;
+
+    const json = { type: 'text', text: JSON.stringify(result.structuredContent, null, 2) };
+    const content = outputFormat === 'json'
+      ? [json, ...result.content.filter(block => block.type !== 'text')]
+      : [...result.content, json];
+
+    return { ...result, content };
+  }
+
+  withOutputOptions(tool) {
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: { ...tool.inputSchema.properties, outputFormat: OUTPUT_FORMAT_PROPERTY }
+      },
+      ...(OUTPUT_SCHEMAS[tool.name] && { outputSchema: OUTPUT_SCHEMAS[tool.name] })
+    };
+  }
+
+  async inspectElement(args) {
+    this.validateArgs(args, ['url', 'selector']);
+    const { url, selector, properties = [] } = args;
+
+    const { page, session, release } = await this.acquirePage(args);
+
+    try {
+      await this.navigate(page, url, session);
+
+      const data = await page.evaluate(({ selector: sel, properties: props }) => {
+        const el = document.querySelector(sel);
+        if (!el) return { error: `Element ${sel} not found` };
+
+        const styles = window.getComputedStyle(el);
+        const selected = props?.length > 0
+          ? props.reduce((acc, p) => { acc[p] = styles.getPropertyValue(p); return acc; }, {})
+          : Object.fromEntries(Array.from(styles).map(p => [p, styles.getPropertyValue(p)]));
+
+        return {
+          tag: el.tagName,
+          id: el.id,
+          className: el.className,
+          text: el.textContent?.trim(),
+          styles: selected
+        };
+      }, { selector, properties });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Inspection result for ${selector} on ${page.url()}:\n\n${JSON.stringify(data, null, 2)}`
+        }],
+        structuredContent: { url: page.url(), selector, element: data }
+      };
+    } finally {
+      await release();
+    }
+  }
+  
+
+  async scrapePage(args) {
+    this.validateArgs(args, ['url']);
+    const { 
+      url, 
+      selector, 
+      waitFor, 
+      screenshot,
+      mobileViewport = false,
+      device,
+      captureNetwork,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel,
+      scrollStrategy
+    } = args;
+    
+    const artifacts = this.artifacts.startRun('scrape_page', { label: artifactLabel, url });
+    const { page, session, release } = await this.acquirePage(args);
+    let networkRecorder = null;
+    
+    try {
+      if (mobileViewport && !device && !session) {
+        await this.setupMobileViewport(page);
+      }
+
+      networkRecorder = this.startNetworkCapture(page, session, captureNetwork);
+      const response = await this.navigate(page, url, session);
+      
+      if (response && (mobileViewport || device || url.includes('expo') || url.includes(':8081'))) {
+        await this.waitForReactHydration(page);
+      }
+      
+      if (waitFor) {
+        if (waitFor.match(/^\d+$/)) {
+          await page.waitForTimeout(parseInt(waitFor));
+        } else {
+          try {
+            await this.findElement(page, waitFor);
+          } catch (e) {
+            throw new Error(`Element not found with any selector strategy: ${waitFor}`);
+          }
+        }
+      }
+
+      let scroll = null;
+      if (scrollStrategy) {
+        scroll = await this.scrollForContent(page, scrollStrategy, scrollStrategy.itemSelector || selector);
+      }
+
+      let content;
+      if (scroll?.items) {
+        content = scroll.items;
+      } else if (selector) {
+        try {
+          const { element } = await this.findElement(page, selector);
+          const elements = await page.$$(selector);
+          content = await Promise.all(elements.map(async (el) => await el.textContent()));
+        } catch (e) {
+          content = 'No elements found with the provided selector';
+        }
+      } else {
+        content = await page.textContent('body');
+      }
+
+      const result = {
+        content: [{
+          type: 'text',
+          text: `Scraped content from ${page.url()}:\n${
+            scroll ? `🔄 ${scroll.type === 'loadMore' ? 'Clicked load more' : 'Scrolled'} ${scroll.iterations} time${scroll.iterations === 1 ? '' : 's'}${scroll.itemCount !== null ? `, ${scroll.itemCount} unique items` : ''} (stopped: ${scroll.stopReason})\n` : ''
+          }\n${
+            Array.isArray(content) 
+              ? content.map(item => typeof item === 'object' 
+                  ? `${item.tagName}: "${item.text}" (testId: ${item.testId}, label: ${item.accessibilityLabel})`
+                  : item
+                ).join('\n---\n')
+              : content
+          }`
+        }],
+        structuredContent: {
+          url: page.url(),
+          selector: selector || null,
+          items: Array.isArray(content) ? content : selector ? [] : null,
+          text: selector || scroll?.items ? null : content,
+          scroll: scroll && {
+            type: scroll.type,
+            iterations: scroll.iterations,
+            itemCount: scroll.itemCount,
+            stopReason: scroll.stopReason
+          },
+          screenshotPath: null,
+          image: null,
+          network: null
+        }
+      };
+
+      if (screenshot) {
+        const screenshotBuffer = await page.screenshot({ fullPage: true });
+        if (saveToDisk) {
+          const screenshotPath = artifacts.write('screenshot.png', screenshotBuffer, { url: page.url() });
+          result.content.push({
+            type: 'text',
+            text: `Screenshot saved to: ${screenshotPath}`
+          });
+          result.structuredContent.screenshotPath = screenshotPath;
+        }
+        if (inlineImage || !saveToDisk) {
+          const image = await this.toImageContent(screenshotBuffer, inlineImage || true);
+          result.content.push(image.content);
+          result.structuredContent.image = image.info;
+        }
+      }
+
+      const network = await this.finishNetworkCapture(networkRecorder, captureNetwork, artifacts);
+      if (network) {
+        result.content.push(network.content);
+        result.structuredContent.network = network.data;
+      }
+
+      return result;
+    } finally {
+      networkRecorder?.detach();
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async scrollForContent(page, strategy, itemSelector) {
+    const {
+      type = 'window',
+      container,
+      loadMoreSelector,
+      maxIterations = SCROLL.maxIterations,
+      maxItems,
+      idleIterations = SCROLL.idleIterations,
+      delay = SCROLL.delay,
+      dedupeBy = 'text'
+    } = strategy;
+
+    if (!SCROLL_TYPES.includes(type)) {
+      throw new Error(`Unknown scrollStrategy type "${type}". Use one of: ${SCROLL_TYPES.join(', ')}`);
+    }
+    if (type === 'loadMore' && !loadMoreSelector) {
+      throw new Error('scrollStrategy type "loadMore" needs loadMoreSelector');
+    }
+    if (maxItems && !itemSelector) {
+      throw new Error('scrollStrategy.maxItems needs an itemSelector (or selector) to count items');
+    }
+
+    // Virtualized lists (FlatList, react-window) unmount rows that scroll away, so items are gathered after every step
+    const items = new Map();
+    const collect = async () => {
+      if (!itemSelector) return 0;
+      const found = await page.$$eval(itemSelector, (elements, dedupeBy) => elements.map(el => {
+        const text = (el.innerText ?? el.textContent).replace(/\s+/g, ' ').trim();
+        const key = dedupeBy === 'text' ? text : dedupeBy === 'html' ? el.outerHTML : el.getAttribute(dedupeBy) ?? text;
+        return { key, text };
+      }), dedupeBy);
+      let added = 0;
+      for (const { key, text } of found) {
+        if (!key || items.has(key)) continue;
+        items.set(key, text);
+        added++;
+      }
+      return added;
+    };
+    const target = await page.evaluateHandle(({ type, container }) => {
+      if (type !== 'container') return document.scrollingElement;
+      if (container) return document.querySelector(container);
+      // Without a selector, the largest scrollable element is usually the feed
+      const scrollable = Array.from(document.querySelectorAll('*')).filter(el => {
+        const style = getComputedStyle(el);
+        return /(auto|scroll)/.test(style.overflowY) && el.scrollHeight > el.clientHeight;
+      });
+      scrollable.sort((a, b) => b.clientWidth * b.clientHeight - a.clientWidth * a.clientHeight);
+      return scrollable[0] || null;
+    }, { type, container: container || null });
+    if (!target.asElement()) {
+      await target.dispose();
+      throw new Error(container ? `Scroll container not found: ${container}` : 'No scrollable container found on the page');
+    }
+    const measure = () => target.evaluate(el => ({ height: el.scrollHeight, length: document.body.innerText.length }));
+
+    let idle = 0;
+    let iterations = 0;
+    let stopReason;
+
+    try {
+      await collect();
+      let previous = await measure();
+
+      while (true) {
+        if (maxItems && items.size >= maxItems) {
+          stopReason = `reached maxItems (${maxItems})`;
+          break;
+        }
+        if (iterations >= maxIterations) {
+          stopReason = `reached maxIterations (${maxIterations})`;
+          break;
+        }
+
+        if (type === 'loadMore') {
+          // A locator holds no handle, so repeated clicks leave nothing behind on session pages
+          const button = page.locator(loadMoreSelector).first();
+          const usable = await button.count() > 0 && await button.isVisible() && await button.isEnabled() &&
+            await button.getAttribute('aria-disabled') !== 'true';
+          if (!usable) {
+            stopReason = 'load more control is gone or disabled';
+            break;
+          }
+          await button.scrollIntoViewIfNeeded();
+          await button.click();
+        } else {
+          await target.evaluate(el => {
+            el.scrollTop = el.scrollHeight;
+          });
+        }
+        iterations++;
+
+        await page.waitForTimeout(delay);
+        await page.waitForLoadState('networkidle', { timeout: TIMEOUTS.NAVIGATION }).catch(() => {});
+
+        const added = await collect();
+        const current = await measure();
+        const grew = current.height > previous.height || current.length !== previous.length;
+        previous = current;
+        if (added === 0 && !grew) {
+          idle++;
+          if (idle >= idleIterations) {
+            stopReason = `no new content after ${idle} ${idle === 1 ? 'try' : 'tries'}`;
+            break;
+          }
+        } else {
+          idle = 0;
+        }
+      }
+    } finally {
+      await target.dispose();
+    }
+
+    const collected = Array.from(items.values()).slice(0, maxItems || undefined);
+    return {
+      type,
+      iterations,
+      stopReason,
+      itemCount: itemSelector ? collected.length : null,
+      items: itemSelector ? collected : null
+    };
+  }
+
+  async inspectReactApp(args) {
+    this.validateArgs(args, ['url']);
+    const { 
+      url, 
+      waitForHydration = true,
+      includeComponentTree = true,
+      includeProps = true,
+      includeState = false,
+      selector,
+      maxDepth = REACT_FIBER.maxDepth,
+      maxComponents = REACT_FIBER.maxComponents,
+      device
+    } = args;
+    
+    const { page, session, release } = await this.acquirePage(args);
+    
+    try {
+      if (!device && !session) {
+        await this.setupMobileViewport(page);
+      }
+
+      await this.navigate(page, url, session);
+      
+      if (waitForHydration) {
+        await this.waitForReactHydration(page);
+      }
+
+      const inspection = await page.evaluate(() => {
+        const results = {
+          reactDetected: false,
+          expoDetected: false,
+          reactNativeElements: [],
+          errors: [],
+          performance: {}
+        };
+
+        // Detect React
+        if (window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
+          results.reactDetected = true;
+        }
+
+        // Detect Expo
+        if (window.expo || document.querySelector('.expo-web-view') || 
+            window.__EXPO_WEB__ || window.ExpoModules) {
+          results.expoDetected = true;
+        }
+
+        // Find React Native web elements
+        const rnElements = document.querySelectorAll('[data-testid], [accessibilityLabel], [role]');
+        results.reactNativeElements = Array.from(rnElements).map(el => ({
+          tagName: el.tagName.toLowerCase(),
+          testId: el.getAttribute('data-testid'),
+          accessibilityLabel: el.getAttribute('aria-label') || el.getAttribute('accessibilityLabel'),
+          role: el.getAttribute('role'),
+          text: el.textContent?.trim().substring(0, 100),
+          className: el.className,
+          id: el.id
+        }));
+
+        // Capture console errors
+        results.errors = window.__REACT_ERRORS__ || [];
+
+        // Basic performance info
+        results.performance = {
+          domElements: document.querySelectorAll('*').length,
+          reactElements: document.querySelectorAll('[data-reactroot] *').length,
+          testIdElements: document.querySelectorAll('[data-testid]').length
+        };
+
+        return results;
+      });
+
+      const fibers = await this.inspectReactFibers(page, {
+        selector,
+        includeTree: includeComponentTree,
+        includeProps,
+        includeState,
+        maxDepth,
+        maxComponents
+      });
+      if (fibers.fiberFound) inspection.reactDetected = true;
+
+      let componentSection = '';
+      if (includeComponentTree) {
+        if (!fibers.fiberFound) {
+          componentSection = '\n⚠️ No React fiber tree found (not a React app, or the root has not rendered yet)\n';
+        } else {
+          const treeLines = this.formatComponentTree(fibers.componentTree, { includeProps, includeState });
+          const hidden = fibers.componentCount - treeLines.length;
+          componentSection = `
+🌳 Component Tree (${fibers.componentCount} components${fibers.truncated ? `, truncated at depth ${maxDepth} / ${maxComponents} components` : ''}):
+${treeLines.join('\n')}${hidden > 0 ? `\n... ${hidden} more components in structuredContent.componentTree` : ''}
+`;
+        }
+      }
+
+      let lookupSection = '';
+      if (fibers.lookup) {
+        const { lookup } = fibers;
+        if (!lookup.found) {
+          lookupSection = `\n❌ No element matches ${selector}\n`;
+        } else if (!lookup.component) {
+          lookupSection = `\n⚠️ ${selector} is not rendered by a React component\n`;
+        } else {
+          const { component } = lookup;
+          lookupSection = `
+🎯 ${selector} is rendered by <${component.name}>${component.source ? ` (${component.source})` : ''}
+- Owner chain: ${lookup.ownerChain.join(' ← ')}
+- Props: ${JSON.stringify(component.props, null, 2)}
+${component.state !== undefined ? `- State: ${JSON.stringify(component.state, null, 2)}` : `- Hooks: ${component.hooks.length > 0 ? component.hooks.map(hook => `\n  [${hook.index}] ${hook.kind}: ${JSON.stringify(hook.value)}`).join('') : 'none'}`}
+`;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `React Native Web App Inspection for ${page.url()}:
+
+🔍 Detection Results:
+- React Detected: ${inspection.reactDetected ? '✅' : '❌'}
+- Expo Detected: ${inspection.expoDetected ? '✅' : '❌'}
+
+📊 Element Analysis:
+- Total DOM Elements: ${inspection.performance.domElements}
+- React Elements: ${inspection.performance.reactElements}
+- Elements with testID: ${inspection.performance.testIdElements}
+
+🎯 React Native Elements Found: ${inspection.reactNativeElements.length}
+${inspection.reactNativeElements.slice(0, 10).map(el => 
+  `- ${el.tagName.toUpperCase()}${el.testId ? ` (testId: ${el.testId})` : ''}${el.accessibilityLabel ? ` (label: ${el.accessibilityLabel})` : ''}: "${el.text}"`
+).join('\n')}
+
+${componentSection}${lookupSection}
+
+${inspection.errors.length > 0 ? `
+❌ Errors Detected:
+${inspection.errors.join('\n')}
+` : '✅ No errors detected'}`
+          }
+        ],
+        structuredContent: {
+          url: page.url(),
+          ...inspection,
+          fiberFound: fibers.fiberFound,
+          componentCount: fibers.componentCount,
+          truncated: fibers.truncated,
+          componentTree: fibers.componentTree,
+          component: fibers.lookup
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async inspectReactFibers(page, options) {
+    return await page.evaluate(({ selector, includeTree, includeProps, includeState, maxDepth, maxComponents, valueDepth, maxStringLength, maxKeys }) => {
+      // Function, class, indeterminate, forwardRef, memo and simple memo components
+      const COMPOSITE_TAGS = new Set([0, 1, 2, 11, 14, 15]);
+      const HOST_ROOT = 3;
+
+      const fiberOf = node => {
+        const key = node && Object.keys(node).find(name => name.startsWith('__reactFiber$') || name.startsWith('__reactInternalInstance$'));
+        return key ? node[key] : null;
+      };
+
+      const componentName = type => {
+        if (!type) return null;
+        if (typeof type === 'string') return type;
+        if (typeof type === 'function') return type.displayName || type.name || 'Anonymous';
+        if (type.displayName) return type.displayName;
+        if (type.render) return `ForwardRef(${type.render.displayName || type.render.name || ''})`;
+        if (type.type) return `Memo(${componentName(type.type) || ''})`;
+        return null;
+      };
+
+      const findRoots = () => {
+        const roots = new Set();
+        const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+        if (hook?.renderers && typeof hook.getFiberRoots === 'function') {
+          for (const id of hook.renderers.keys()) {
+            for (const root of hook.getFiberRoots(id) || []) roots.add(root.current);
+          }
+        }
+        if (roots.size > 0) return [...roots];
+
+        for (const el of document.querySelectorAll('*')) {
+          const containerKey = Object.keys(el).find(name => name.startsWith('__reactContainer$'));
+          // The container points at a HostRoot fiber; its FiberRoot knows the current tree
+          if (containerKey) roots.add(el[containerKey].stateNode?.current || el[containerKey]);
+          else if (el._reactRootContainer) {
+            const root = el._reactRootContainer._internalRoot || el._reactRootContainer;
+            if (root.current) roots.add(root.current);
+          }
+        }
+        if (roots.size > 0) return [...roots];
+
+        // Older renderers only tag rendered nodes, so climb from the first one to its HostRoot
+        const tagged = Array.from(document.querySelectorAll('body *')).find(el => fiberOf(el));
+        let fiber = fiberOf(tagged);
+        while (fiber?.return) fiber = fiber.return;
+        if (fiber?.tag === HOST_ROOT) roots.add(fiber.stateNode?.current || fiber);
+        return [...roots];
+      };
+
+      const serialize = (value, depth = 0, stack = []) => {
+        if (value === undefined || value === null) return null;
+        switch (typeof value) {
+          case 'string':
+            return value.length > maxStringLength ? `${value.slice(0, maxStringLength)}…` : value;
+          case 'number':
+          case 'boolean':
+            return value;
+          case 'bigint':
+            return `${value}n`;
+          case 'symbol':
+            return value.toString();
+          case 'function':
+            return `[Function ${value.displayName || value.name || 'anonymous'}]`;
+        }
+        if (value.$$typeof) return `<${componentName(value.type) || 'Element'} />`;
+        if (value instanceof Node) return `[${value.nodeName.toLowerCase()}]`;
+        if (value === window) return '[Window]';
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof Map || value instanceof Set) return `[${value.constructor.name}(${value.size})]`;
+        if (stack.includes(value)) return '[Circular]';
+        if (depth >= valueDepth) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+
+        const nested = [...stack, value];
+        if (Array.isArray(value)) {
+          const items = value.slice(0, maxKeys).map(item => serialize(item, depth + 1, nested));
+          if (value.length > maxKeys) items.push(`… ${value.length - maxKeys} more`);
+          return items;
+        }
+        const keys = Object.keys(value);
+        const result = {};
+        for (const key of keys.slice(0, maxKeys)) result[key] = serialize(value[key], depth + 1, nested);
+        if (keys.length > maxKeys) result['…'] = `${keys.length - maxKeys} more keys`;
+        return result;
+      };
+
+      // Hooks are a linked list on memoizedState; their kind has to be inferred from its shape
+      const hooksOf = fiber => {
+        const hooks = [];
+        let hook = fiber.memoizedState;
+        for (let index = 0; hook && typeof hook === 'object' && 'next' in hook && index < 100; index++, hook = hook.next) {
+          const state = hook.memoizedState;
+          if (hook.queue) {
+            hooks.push({ index, kind: 'state', value: serialize(state) });
+          } else if (state && typeof state === 'object' && 'create' in state && 'tag' in state) {
+            continue; // Effects hold callbacks, not values
+          } else if (state && typeof state === 'object' && !Array.isArray(state) && Object.keys(state).length === 1 && 'current' in state) {
+            hooks.push({ index, kind: 'ref', value: serialize(state.current) });
+          } else if (Array.isArray(state) && state.length === 2 && (state[1] === null || Array.isArray(state[1]))) {
+            hooks.push({ index, kind: typeof state[0] === 'function' ? 'callback' : 'memo', value: serialize(state[0]) });
+          } else {
+            hooks.push({ index, kind: 'other', value: serialize(state) });
+          }
+        }
+        return hooks;
+      };
+
+      const describe = (fiber, withProps, withState) => {
+        const node = { name: componentName(fiber.type) || 'Anonymous', key: fiber.key ?? null };
+        if (fiber._debugSource) node.source = `${fiber._debugSource.fileName}:${fiber._debugSource.lineNumber}`;
+        if (withProps) {
+          const { children, ...props } = fiber.memoizedProps || {};
+          if (typeof children === 'string' || typeof children === 'number') props.children = children;
+          node.props = serialize(props);
+        }
+        if (withState) {
+          if (fiber.tag === 1) node.state = serialize(fiber.memoizedState);
+          else node.hooks = hooksOf(fiber);
+        }
+        return node;
+      };
+
+      const roots = findRoots();
+      let componentCount = 0;
+      let truncated = false;
+
+      const hasComponent = fiber => {
+        for (let child = fiber.child; child; child = child.sibling) {
+          if (COMPOSITE_TAGS.has(child.tag) || hasComponent(child)) return true;
+        }
+        return false;
+      };
+
+      // Host elements and fragments are transparent: components nest directly under their nearest component
+      const build = (fiber, depth, out) => {
+        for (let child = fiber.child; child; child = child.sibling) {
+          if (componentCount >= maxComponents) {
+            truncated = true;
+            return;
+          }
+          if (!COMPOSITE_TAGS.has(child.tag)) {
+            build(child, depth, out);
+            continue;
+          }
+          componentCount++;
+          const node = { ...describe(child, includeProps, includeState), children: [] };
+          out.push(node);
+          if (depth + 1 >= maxDepth) {
+            if (hasComponent(child)) truncated = node.truncated = true;
+            continue;
+          }
+          build(child, depth + 1, node.children);
+        }
+      };
+
+      let componentTree = null;
+      if (includeTree && roots.length > 0) {
+        componentTree = [];
+        for (const root of roots) build(root, 0, componentTree);
+      }
+
+      let lookup = null;
+      if (selector) {
+        let el = null;
+        for (const candidate of [selector, `[data-testid="${selector}"]`, `[aria-label="${selector}"]`]) {
+          try {
+            el = document.querySelector(candidate);
+          } catch (e) {
+            el = null;
+          }
+          if (el) break;
+        }
+        let fiber = null;
+        for (let node = el; node && !fiber; node = node.parentElement) fiber = fiberOf(node);
+
+        const owners = [];
+        for (let current = fiber; current; current = current.return) {
+          if (COMPOSITE_TAGS.has(current.tag)) owners.push(current);
+        }
+        lookup = {
+          selector,
+          found: !!el,
+          component: owners.length > 0 ? describe(owners[0], true, true) : null,
+          ownerChain: owners.map(owner => componentName(owner.type) || 'Anonymous')
+        };
+      }
+
+      return { fiberFound: roots.length > 0, rootCount: roots.length, componentCount, truncated, componentTree, lookup };
+    }, {
+      selector: options.selector,
+      includeTree: options.includeTree,
+      includeProps: options.includeProps,
+      includeState: options.includeState,
+      maxDepth: options.maxDepth,
+      maxComponents: options.maxComponents,
+      valueDepth: REACT_FIBER.valueDepth,
+      maxStringLength: REACT_FIBER.maxStringLength,
+      maxKeys: REACT_FIBER.maxKeys
+    });
+  }
+
+  formatComponentTree(nodes, { includeProps, includeState, maxLines = REACT_FIBER.maxLines }) {
+    const lines = [];
+    const compact = value => {
+      const text = JSON.stringify(value);
+      return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+    };
+    const hooksText = hooks => hooks.map(hook => `${hook.kind}=${compact(hook.value)}`).join(', ');
+
+    const visit = (node, depth) => {
+      if (lines.length >= maxLines) return;
+      let line = `${'  '.repeat(depth)}${node.name}`;
+      if (node.key !== null) line += ` key=${JSON.stringify(node.key)}`;
+      if (includeProps && node.props && Object.keys(node.props).length > 0) line += ` ${compact(node.props)}`;
+      if (includeState && node.state) line += ` state=${compact(node.state)}`;
+      if (includeState && node.hooks?.length > 0) line += ` hooks: ${hooksText(node.hooks)}`;
+      if (node.truncated) line += ' …';
+      lines.push(line);
+      for (const child of node.children) visit(child, depth + 1);
+    };
+    for (const node of nodes) visit(node, 0);
+    return lines;
+  }
+
+  async waitForReactState(args) {
+    this.validateArgs(args, ['url', 'condition']);
+    const { 
+      url, 
+      condition, 
+      selector, 
+      timeout = TIMEOUTS.HYDRATION
+    } = args;
+    
+    const { page, session, release } = await this.acquirePage(args);
+    
+    try {
+      if (!session) {
+        await this.setupMobileViewport(page);
+      }
+      await this.navigate(page, url, session);
+      
+      const startTime = Date.now();
+      let result = '';
+      let met = true;
+      let matchedSelector = null;
+
+      switch (condition) {
+        case 'hydration':
+          const hydrated = await this.waitForReactHydration(page, timeout);
+          result = hydrated ? '✅ React hydration completed' : '❌ React hydration timeout';
+          met = hydrated;
+          break;
+          
+        case 'navigation':
+          await page.waitForFunction(() => {
+            return !document.querySelector('[aria-label*="loading"]') &&
+                   !document.querySelector('[data-testid*="loading"]');
+          }, { timeout });
+          result = '✅ Navigation completed';
+          break;
+          
+        case 'data-loading':
+          await page.waitForFunction(() => {
+            const loadingElements = document.querySelectorAll(
+              '[data-testid*="loading"], [aria-label*="loading"], .loading, .spinner'
+            );
+            return loadingElements.length === 0;
+          }, { timeout });
+          result = '✅ Data loading completed';
+          break;
+          
+        case 'animation':
+          await page.waitForTimeout(2000);
+          result = '✅ Animation wait completed';
+          break;
+          
+        case 'custom':
+          if (!selector) throw new Error('Selector required for custom condition');
+          const { usedSelector } = await this.findElement(page, selector, timeout);
+          result = `✅ Custom condition met: ${usedSelector}`;
+          matchedSelector = usedSelector;
+          break;
+          
+        default:
+          throw new Error(`Unknown condition: ${condition}`);
+      }
+      
+      const waitTime = Date.now() - startTime;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${result}\nWait time: ${waitTime}ms`
+        }],
+        structuredContent: { url: page.url(), condition, met, matchedSelector, waitTime }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async extractMetadata(args) {
+    this.validateArgs(args, ['url']);
+    const { url, validate = true, waitForSPA = true } = args;
+
+    const { page, session, release } = await this.acquirePage(args);
+
+    try {
+      const response = await this.navigate(page, url, session);
+      if (response && waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      }
+
+      const raw = await this.collectMetadata(page);
+      const errors = [];
+
+      const jsonLd = raw.jsonLd.map((text, index) => {
+        try {
+          return { index, data: JSON.parse(text) };
+        } catch (error) {
+          errors.push({ source: 'json-ld', index, message: error.message, snippet: text.trim().slice(0, 200) });
+          return { index, data: null, error: error.message };
+        }
+      });
+
+      // Top-level arrays and @graph containers both hold independent entities
+      const entities = [];
+      for (const block of jsonLd) {
+        if (!block.data) continue;
+        const roots = Array.isArray(block.data) ? block.data : [block.data];
+        for (const root of roots) {
+          const members = root && Array.isArray(root['@graph']) ? root['@graph'] : [root];
+          for (const data of members) {
+            if (data && typeof data === 'object') entities.push({ source: 'json-ld', data });
+          }
+        }
+      }
+      entities.push(...raw.microdata.map(data => ({ source: 'microdata', data })));
+      entities.push(...raw.rdfa.map(data => ({ source: 'rdfa', data })));
+
+      const items = entities.map(({ source, data }) => {
+        const types = this.schemaTypesOf(data);
+        const issues = validate ? this.validateSchemaEntity(data, types) : [];
+        return { source, type: types.join(', ') || null, name: this.schemaValue(data.name) ?? this.schemaValue(data.headline) ?? null, data, issues };
+      });
+
+      const openGraph = this.groupMetaProperties(raw.meta.filter(meta => /^(og|article|product|profile|book|music|video):/.test(meta.key)));
+      const twitter = this.groupMetaProperties(raw.meta.filter(meta => meta.key.startsWith('twitter:')));
+
+      const formatProperties = properties => Object.entries(properties)
+        .map(([key, value]) => `- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join('\n');
+      const itemLines = items.map(item => {
+        const errorCount = item.issues.filter(issue => issue.severity === 'error').length;
+        const warningCount = item.issues.length - errorCount;
+        const verdict = !validate || !SCHEMA_RULES[this.schemaRuleFor(this.schemaTypesOf(item.data))]
+          ? ''
+          : item.issues.length === 0 ? ' ✅ valid' : ` ${errorCount > 0 ? `❌ ${errorCount} error${errorCount === 1 ? '' : 's'}` : ''}${errorCount > 0 && warningCount > 0 ? ', ' : ''}${warningCount > 0 ? `⚠️ ${warningCount} warning${warningCount === 1 ? '' : 's'}` : ''}`;
+        const lines = [`- ${item.type || '(untyped)'}${item.name ? ` "${String(item.name).slice(0, 80)}"` : ''} (${item.source})${verdict}`];
+        for (const issue of item.issues) {
+          lines.push(`    ${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.path}: ${issue.message}`);
+        }
+        return lines.join('\n');
+      });
+
+      const { basic } = raw;
+      const sections = [
+        `📄 Basic:\n- title: ${basic.title || '(none)'}\n- description: ${basic.description || '(none)'}\n- canonical: ${basic.canonical || '(none)'}\n- lang: ${basic.lang || '(none)'}${basic.robots ? `\n- robots: ${basic.robots}` : ''}`,
+        `🌐 OpenGraph (${Object.keys(openGraph).length}):${Object.keys(openGraph).length > 0 ? `\n${formatProperties(openGraph)}` : ' none'}`,
+        `🐦 Twitter Card (${Object.keys(twitter).length}):${Object.keys(twitter).length > 0 ? `\n${formatProperties(twitter)}` : ' none'}`,
+        `🧩 Structured Data (${items.length} item${items.length === 1 ? '' : 's'}: ${jsonLd.length} JSON-LD block${jsonLd.length === 1 ? '' : 's'}, ${raw.microdata.length} microdata, ${raw.rdfa.length} RDFa):${itemLines.length > 0 ? `\n${itemLines.join('\n')}` : ' none'}`
+      ];
+      if (errors.length > 0) {
+        sections.push(`❌ Parse Errors:\n${errors.map(error => `- JSON-LD block #${error.index + 1}: ${error.message}\n    ${error.snippet}`).join('\n')}`);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Metadata for ${page.url()}:\n\n${sections.join('\n\n')}`
+        }],
+        structuredContent: {
+          url: page.url(),
+          basic,
+          openGraph,
+          twitter,
+          jsonLd,
+          microdata: raw.microdata,
+          rdfa: raw.rdfa,
+          items,
+          errors
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async collectMetadata(page) {
+    return await page.evaluate(() => {
+      const attr = (selector, name) => document.querySelector(selector)?.getAttribute(name)?.trim() || null;
+      const basic = {
+        title: document.title || null,
+        description: attr('meta[name="description" i]', 'content'),
+        canonical: document.querySelector('link[rel~="canonical"]')?.href || null,
+        robots: attr('meta[name="robots" i]', 'content'),
+        lang: document.documentElement.getAttribute('lang'),
+        charset: document.characterSet,
+        author: attr('meta[name="author" i]', 'content'),
+        keywords: attr('meta[name="keywords" i]', 'content'),
+        alternates: Array.from(document.querySelectorAll('link[rel~="alternate"][hreflang]'), link => ({ hreflang: link.getAttribute('hreflang'), href: link.href }))
+      };
+
+      // OpenGraph uses property=, Twitter uses name=, and both show up either way in the wild
+      const meta = Array.from(document.querySelectorAll('meta[property], meta[name]'))
+        .map(el => ({ key: (el.getAttribute('property') || el.getAttribute('name')).trim().toLowerCase(), value: el.getAttribute('content') }))
+        .filter(entry => entry.key.includes(':') && entry.value !== null);
+
+      const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json" i]'), script => script.textContent);
+
+      const urlValue = (el, name) => {
+        const value = el.getAttribute(name);
+        try {
+          return value === null ? null : new URL(value, document.baseURI).href;
+        } catch (e) {
+          return value;
+        }
+      };
+      const addValue = (item, name, value) => {
+        if (name in item) item[name] = [].concat(item[name], value);
+        else item[name] = value;
+      };
+      const text = el => el.textContent.replace(/\s+/g, ' ').trim();
+
+      // https://html.spec.whatwg.org/multipage/microdata.html#values
+      const microdataValue = el => {
+        if (el.hasAttribute('itemscope')) return microdataItem(el);
+        if (el.hasAttribute('content')) return el.getAttribute('content');
+        switch (el.tagName) {
+          case 'AUDIO': case 'EMBED': case 'IFRAME': case 'IMG': case 'SOURCE': case 'TRACK': case 'VIDEO':
+            return urlValue(el, 'src');
+          case 'A': case 'AREA': case 'LINK':
+            return urlValue(el, 'href');
+          case 'OBJECT':
+            return urlValue(el, 'data');
+          case 'DATA': case 'METER':
+            return el.getAttribute('value');
+          case 'TIME':
+            return el.getAttribute('datetime') || text(el);
+          default:
+            return text(el);
+        }
+      };
+      const microdataItem = root => {
+        const item = {};
+        const type = root.getAttribute('itemtype');
+        if (type) {
+          const types = type.trim().split(/\s+/).map(value => value.replace(/^https?:\/\/schema\.org\//, ''));
+          item['@type'] = types.length === 1 ? types[0] : types;
+        }
+        if (root.getAttribute('itemid')) item['@id'] = root.getAttribute('itemid');
+
+        const visit = el => {
+          for (const child of el.children) {
+            if (child.hasAttribute('itemprop')) {
+              for (const name of child.getAttribute('itemprop').trim().split(/\s+/)) addValue(item, name, microdataValue(child));
+            }
+            // Nested items own their descendants
+            if (!child.hasAttribute('itemscope')) visit(child);
+          }
+        };
+        visit(root);
+        for (const id of (root.getAttribute('itemref') || '').split(/\s+/).filter(Boolean)) {
+          const ref = document.getElementById(id);
+          if (!ref) continue;
+          if (ref.hasAttribute('itemprop')) {
+            for (const name of ref.getAttribute('itemprop').trim().split(/\s+/)) addValue(item, name, microdataValue(ref));
+          }
+          if (!ref.hasAttribute('itemscope')) visit(ref);
+        }
+        return item;
+      };
+      const microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'), microdataItem);
+
+      // RDFa Lite: vocab/prefix + typeof/property/resource; names are reduced to their local part
+      const localName = value => value.replace(/^.*[/#:]/, '');
+      const rdfaValue = el => {
+        if (el.hasAttribute('typeof')) return rdfaItem(el);
+        if (el.hasAttribute('content')) return el.getAttribute('content');
+        if (el.hasAttribute('resource')) return urlValue(el, 'resource');
+        if (el.hasAttribute('href')) return urlValue(el, 'href');
+        if (el.hasAttribute('src')) return urlValue(el, 'src');
+        if (el.tagName === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+        return text(el);
+      };
+      const rdfaItem = root => {
+        const item = {};
+        const types = root.getAttribute('typeof').trim().split(/\s+/).filter(Boolean).map(localName);
+        if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+        if (root.hasAttribute('resource')) item['@id'] = urlValue(root, 'resource');
+        const visit = el => {
+          for (const child of el.children) {
+            if (child.hasAttribute('property')) {
+              for (const name of child.getAttribute('property').trim().split(/\s+/)) addValue(item, localName(name), rdfaValue(child));
+            }
+            if (!child.hasAttribute('typeof')) visit(child);
+          }
+        };
+        visit(root);
+        return item;
+      };
+      const rdfa = Array.from(document.querySelectorAll('[typeof]:not([property])'), rdfaItem);
+
+      return { basic, meta, jsonLd, microdata, rdfa };
+    });
+  }
+
+  groupMetaProperties(entries) {
+    // og:image:width describes the og:image before it, so structured properties become arrays of objects
+    const result = {};
+    for (const { key, value } of entries) {
+      const [prefix, name, ...rest] = key.split(':');
+      const property = `${prefix}:${name}`;
+      if (rest.length === 0 || (rest.length === 1 && rest[0] === 'url' && prefix === 'og')) {
+        if (['og:image', 'og:video', 'og:audio'].includes(property)) {
+          result[property] = [...(result[property] || []), { url: value }];
+        } else if (property in result) {
+          result[property] = [].concat(result[property], value);
+        } else {
+          result[property] = value;
+        }
+        continue;
+      }
+      const parent = result[property];
+      if (Array.isArray(parent) && parent.length > 0 && typeof parent[parent.length - 1] === 'object') {
+        parent[parent.length - 1][rest.join(':')] = value;
+      } else {
+        result[key] = key in result ? [].concat(result[key], value) : value;
+      }
+    }
+    return result;
+  }
+
+  schemaTypesOf(entity) {
+    const type = entity?.['@type'];
+    return (Array.isArray(type) ? type : type ? [type] : []).map(value => String(value).replace(/^https?:\/\/schema\.org\//, ''));
+  }
+
+  schemaRuleFor(types) {
+    for (const type of types) {
+      if (SCHEMA_RULES[type]) return type;
+      if (SCHEMA_ARTICLE_TYPES.includes(type)) return 'Article';
+    }
+    return null;
+  }
+
+  schemaValue(value) {
+    if (Array.isArray(value)) return this.schemaValue(value[0]);
+    if (value && typeof value === 'object') return value['@value'] ?? value.name ?? null;
+    return value ?? null;
+  }
+
+  validateSchemaEntity(entity, types, pathPrefix = '', defaultType = null) {
+    const ruleName = this.schemaRuleFor(types.length > 0 ? types : [defaultType].filter(Boolean));
+    if (!ruleName) return [];
+    const rule = SCHEMA_RULES[ruleName];
+    const issues = [];
+    const at = property => `${pathPrefix}${property}`;
+    const has = property => {
+      const value = entity[property];
+      return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    };
+
+    for (const property of rule.required || []) {
+      if (!has(property)) issues.push({ severity: 'error', path: at(property), message: `Missing required property for ${ruleName}` });
+    }
+    for (const group of rule.anyOf || []) {
+      if (!group.some(has)) issues.push({ severity: 'error', path: at(group.join('|')), message: `${ruleName} needs at least one of ${group.join(', ')}` });
+    }
+    for (const property of rule.recommended || []) {
+      if (!has(property)) issues.push({ severity: 'warning', path: at(property), message: 'Missing recommended property' });
+    }
+    for (const property of rule.dates || []) {
+      const value = this.schemaValue(entity[property]);
+      if (value && (!ISO_DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) issues.push({ severity: 'error', path: at(property), message: `"${value}" is not an ISO 8601 date` });
+    }
+    for (const [property, childType] of Object.entries(rule.nested || {})) {
+      if (!has(property)) continue;
+      const values = [].concat(entity[property]);
+      values.forEach((value, index) => {
+        const childPath = `${at(property)}${values.length > 1 ? `[${index}]` : ''}.`;
+        if (value && typeof value === 'object') {
+          issues.push(...this.validateSchemaEntity(value, this.schemaTypesOf(value), childPath, childType));
+        } else if (rule.objectOnly?.includes(property)) {
+          issues.push({ severity: 'error', path: childPath.slice(0, -1), message: `Expected a ${childType} object` });
+        }
+      });
+    }
+
+    if (ruleName === 'Article' && typeof entity.headline === 'string' && entity.headline.length > 110) {
+      issues.push({ severity: 'warning', path: at('headline'), message: `Headline is ${entity.headline.length} characters; search engines may truncate beyond 110` });
+    }
+    if (ruleName === 'BreadcrumbList' && has('itemListElement')) {
+      const elements = [].concat(entity.itemListElement);
+      elements.forEach((element, index) => {
+        const elementPath = at(`itemListElement[${index}]`);
+        if (!element || typeof element !== 'object') return;
+        if (Number(element.position) !== index + 1) {
+          issues.push({ severity: 'error', path: `${elementPath}.position`, message: `Expected position ${index + 1}, got ${element.position ?? 'none'}` });
+        }
+        const item = element.item;
+        if (!element.name && !(item && typeof item === 'object' && item.name)) {
+          issues.push({ severity: 'error', path: `${elementPath}.name`, message: 'Breadcrumb has no name' });
+        }
+        // The last crumb is the current page and may omit its URL
+        if (!item && index < elements.length - 1) {
+          issues.push({ severity: 'error', path: `${elementPath}.item`, message: 'Breadcrumb has no item URL' });
+        }
+      });
+    }
+    return issues;
+  }
+
+  async extractTables(args) {
+    this.validateArgs(args, ['url']);
+    const {
+      url,
+      selector,
+      index,
+      headerRows,
+      format = 'csv',
+      includeHidden = false,
+      maxRows = TABLES.maxRows,
+      waitForSPA = true
+    } = args;
+
+    const { page, session, release } = await this.acquirePage(args);
+    let scope = null;
+
+    try {
+      const response = await this.navigate(page, url, session);
+      if (response && waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      }
+
+      if (selector) {
+        ({ element: scope } = await this.findElement(page, selector));
+      }
+      const found = await this.collectTables(page, { scope, includeHidden, headerRows, maxRows });
+
+      if (index !== undefined && (!Number.isInteger(index) || index < 1 || index > found.length)) {
+        throw new Error(`Table #${index} not found (index is a whole number from 1); ${found.length} table${found.length === 1 ? '' : 's'} on the page${selector ? ` within ${selector}` : ''}`);
+      }
+      const tables = (index !== undefined ? [found[index - 1]] : found).map(table => {
+        const records = table.rows.map(row => Object.fromEntries(table.headers.map((header, i) => [header, row[i] ?? ''])));
+        const csv = [table.headers, ...table.rows].map(row => row.map(this.toCsvField).join(',')).join('\n');
+        return { ...table, records, csv };
+      });
+
+      const sections = tables.map(table => {
+        const title = `📊 Table #${table.index}${table.caption ? ` "${table.caption}"` : ''} (${table.selector}${table.source === 'aria' ? `, role=${table.role}` : ''}): ${table.rowCount} row${table.rowCount === 1 ? '' : 's'} × ${table.columnCount} column${table.columnCount === 1 ? '' : 's'}${table.truncated ? ` (first ${table.rows.length} rows)` : ''}`;
+        if (table.rows.length === 0 && table.headers.length === 0) return `${title}\n(empty)`;
+        const body = format === 'json' ? JSON.stringify(table.records, null, 2) : table.csv;
+        return `${title}\n\`\`\`${format}\n${body}\n\`\`\``;
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: tables.length > 0
+            ? `Found ${found.length} table${found.length === 1 ? '' : 's'} on ${page.url()}${selector ? ` within ${selector}` : ''}:\n\n${sections.join('\n\n')}`
+            : `No tables found on ${page.url()}${selector ? ` within ${selector}` : ''}`
+        }],
+        structuredContent: {
+          url: page.url(),
+          count: found.length,
+          tables
+        }
+      };
+    } finally {
+      if (scope) await scope.dispose();
+      await release();
+    }
+  }
+
+  toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async collectTables(page, { scope, includeHidden, headerRows, maxRows }) {
+    return await page.evaluate(({ scope, includeHidden, headerRows, maxRows, maxSpan }) => {
+      const root = scope || document.body;
+      const tableRoles = ['table', 'grid', 'treegrid'];
+      const candidateSelector = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+      const roleOf = el => (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+
+      const isHidden = el => el.getClientRects().length === 0 ||
+        getComputedStyle(el).visibility === 'hidden' ||
+        el.closest('[aria-hidden="true"]') !== null;
+      const textOf = el => (el.innerText ?? el.textContent).replace(/\s+/g, ' ').trim();
+
+      const selectorFor = el => {
+        const isUnique = css => {
+          try {
+            return document.querySelectorAll(css).length === 1;
+          } catch (e) {
+            return false;
+          }
+        };
+        if (el.id && isUnique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+        const testId = el.getAttribute('data-testid');
+        if (testId && isUnique(`[data-testid=${JSON.stringify(testId)}]`)) return `[data-testid=${JSON.stringify(testId)}]`;
+
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+          if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+            parts.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const tag = node.tagName.toLowerCase();
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+            : [];
+          parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
+      };
+
+      const captionOf = el => {
+        if (el.tagName === 'TABLE' && el.caption) return textOf(el.caption);
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+          const label = labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' ');
+          if (label) return label;
+        }
+        return el.getAttribute('aria-label')?.trim() || null;
+      };
+
+      // Native tables expose their own rows and cells; nested tables keep theirs
+      const rowsOf = el => {
+        if (el.tagName === 'TABLE') {
+          return Array.from(el.rows, row => ({
+            element: row,
+            inHead: row.parentElement?.tagName === 'THEAD',
+            cells: Array.from(row.cells)
+          }));
+        }
+        return Array.from(el.querySelectorAll('[role="row"]'))
+          .filter(row => row.parentElement.closest(candidateSelector) === el)
+          .map(row => ({
+            element: row,
+            inHead: false,
+            cells: Array.from(row.querySelectorAll('[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"], td, th'))
+              .filter(cell => cell.parentElement.closest('[role="row"], tr') === row)
+          }));
+      };
+
+      const isHeaderCell = cell => {
+        const role = roleOf(cell);
+        if (role) return role === 'columnheader';
+        return cell.tagName === 'TH' && cell.getAttribute('scope') !== 'row';
+      };
+      const span = (cell, name) => {
+        const value = parseInt(cell.getAttribute(name) ?? cell.getAttribute(`aria-${name}`), 10);
+        return Number.isFinite(value) && value >= 0 ? Math.min(value, maxSpan) : 1;
+      };
+
+      // Lay cells out on a grid so colspan/rowspan values are repeated into every slot they cover
+      const buildGrid = (rows) => {
+        const grid = [];
+        const headerFlags = [];
+        rows.forEach((row, rowIndex) => {
+          grid[rowIndex] = grid[rowIndex] || [];
+          headerFlags[rowIndex] = headerFlags[rowIndex] || [];
+          let column = 0;
+          for (const cell of row.cells) {
+            if (isHidden(cell) && !includeHidden) continue;
+            const colIndex = parseInt(cell.getAttribute('aria-colindex'), 10);
+            if (Number.isFinite(colIndex) && colIndex > 0 && !grid[rowIndex][colIndex - 1]) column = colIndex - 1;
+            while (grid[rowIndex][column] !== undefined) column++;
+
+            const colspan = Math.max(span(cell, 'colspan'), 1);
+            // rowspan="0" spans to the end of the table
+            const rowspan = span(cell, 'rowspan') || rows.length - rowIndex;
+            const text = textOf(cell);
+            const header = isHeaderCell(cell);
+            for (let r = rowIndex; r < Math.min(rowIndex + rowspan, rows.length); r++) {
+              grid[r] = grid[r] || [];
+              headerFlags[r] = headerFlags[r] || [];
+              for (let c = column; c < column + colspan; c++) {
+                grid[r][c] = text;
+                headerFlags[r][c] = header;
+              }
+            }
+            column += colspan;
+          }
+        });
+        const columnCount = Math.max(0, ...grid.map(row => row.length));
+        return {
+          grid: grid.map(row => Array.from({ length: columnCount }, (_, c) => row[c] ?? '')),
+          headerFlags: headerFlags.map(row => Array.from({ length: columnCount }, (_, c) => row[c] ?? false)),
+          columnCount
+        };
+      };
+
+      const candidates = [
+        ...(root.matches(candidateSelector) ? [root] : []),
+        ...root.querySelectorAll(candidateSelector)
+      ].filter(el => {
+        // Layout tables opt out with role=presentation/none
+        if (el.tagName === 'TABLE' && ['presentation', 'none'].includes(roleOf(el))) return false;
+        if (el.tagName !== 'TABLE' && !tableRoles.includes(roleOf(el))) return false;
+        return includeHidden || !isHidden(el);
+      });
+
+      return candidates.map((el, i) => {
+        const rows = rowsOf(el).filter(row => includeHidden || !isHidden(row.element));
+        const { grid, headerFlags, columnCount } = buildGrid(rows);
+
+        // Header rows: an explicit count, else the <thead> rows or leading rows made only of header cells
+        let headerCount = headerRows;
+        if (headerCount === undefined) {
+          headerCount = 0;
+          while (headerCount < grid.length &&
+                 (rows[headerCount].inHead ||
+                  (grid[headerCount].some(Boolean) && grid[headerCount].every((text, c) => headerFlags[headerCount][c] || text === '')))) {
+            headerCount++;
+          }
+        }
+        headerCount = Math.min(headerCount, grid.length);
+
+        // Stacked header rows combine top-down ("2024 / Q1"); spanned cells don't repeat
+        const seen = new Map();
+        const headers = Array.from({ length: columnCount }, (_, c) => {
+          const parts = [];
+          for (let r = 0; r < headerCount; r++) {
+            const text = grid[r][c];
+            if (text && parts[parts.length - 1] !== text) parts.push(text);
+          }
+          let name = parts.join(' / ') || `Column ${c + 1}`;
+          const count = (seen.get(name) || 0) + 1;
+          seen.set(name, count);
+          if (count > 1) name = `${name} (${count})`;
+          return name;
+        });
+
+        const body = grid.slice(headerCount).filter(row => row.some(Boolean));
+        return {
+          index: i + 1,
+          selector: selectorFor(el),
+          source: el.tagName === 'TABLE' ? 'html' : 'aria',
+          role: roleOf(el) || 'table',
+          caption: captionOf(el),
+          headers,
+          headerRowCount: headerCount,
+          rows: body.slice(0, maxRows),
+          rowCount: body.length,
+          columnCount,
+          truncated: body.length > maxRows
+        };
+      });
+    }, { scope, includeHidden, headerRows, maxRows, maxSpan: TABLES.maxSpan });
+  }
+
+  async extractRecords(args) {
+    this.validateArgs(args, ['url', 'itemSelector', 'fields']);
+    const {
+      url,
+      itemSelector,
+      fields,
+      nextSelector,
+      pagePattern,
+      startPage = 2,
+      maxPages = nextSelector || pagePattern ? RECORDS.maxPages : 1,
+      maxRecords = RECORDS.maxRecords,
+      dedupe = true,
+      dedupeBy,
+      waitForSPA = true
+    } = args;
+
+    if (nextSelector && pagePattern) {
+      throw new Error('Use either nextSelector or pagePattern, not both');
+    }
+    if (pagePattern && !pagePattern.includes('{page}')) {
+      throw new Error('pagePattern must contain a {page} placeholder, e.g. "https://example.com/list?page={page}"');
+    }
+    const fieldSpecs = this.normalizeRecordFields(fields);
+    const unknownKeys = (dedupeBy || []).filter(name => !fieldSpecs.some(field => field.name === name));
+    if (unknownKeys.length > 0) {
+      throw new Error(`dedupeBy refers to unknown fields: ${unknownKeys.join(', ')}`);
+    }
+
+    const { page, session, release } = await this.acquirePage(args);
+
+    try {
+      const records = [];
+      const pages = [];
+      const seen = new Set();
+      const visited = new Set();
+      let duplicates = 0;
+      let skipped = 0;
+      let stopReason = null;
+      let nextUrl = url;
+
+      for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+        if (nextUrl) {
+          const response = await this.navigate(page, nextUrl, pageNumber === 1 ? session : null);
+          if (response && !response.ok() && pageNumber > 1) {
+            stopReason = `${nextUrl} returned HTTP ${response.status()}`;
+            break;
+          }
+          if (response && waitForSPA && await this.isSPA(page)) {
+            await this.waitForSPAReady(page);
+          }
+        }
+        visited.add(page.url());
+
+        const { items, missing } = await this.collectRecords(page, { itemSelector, fields: fieldSpecs });
+        let added = 0;
+        for (let i = 0; i < items.length; i++) {
+          if (missing[i].length > 0) {
+            skipped++;
+            continue;
+          }
+          const record = items[i];
+          if (dedupe) {
+            const key = JSON.stringify((dedupeBy || fieldSpecs.map(field => field.name)).map(name => record[name]));
+            if (seen.has(key)) {
+              duplicates++;
+              continue;
+            }
+            seen.add(key);
+          }
+          if (records.length >= maxRecords) {
+            stopReason = `reached maxRecords (${maxRecords})`;
+            break;
+          }
+          records.push(record);
+          added++;
+        }
+        pages.push({ url: page.url(), items: items.length, added });
+
+        if (stopReason) break;
+        if (items.length === 0 && pageNumber > 1) {
+          stopReason = 'page had no items';
+          break;
+        }
+        if (pageNumber === maxPages) {
+          if (nextSelector || pagePattern) stopReason = `reached maxPages (${maxPages})`;
+          break;
+        }
+
+        if (pagePattern) {
+          nextUrl = pagePattern.replace(/\{page\}/g, String(startPage + pageNumber - 1));
+          continue;
+        }
+        if (!nextSelector) break;
+
+        const next = await this.followNextPage(page, { nextSelector, itemSelector });
+        if (next.stop) {
+          stopReason = next.stop;
+          break;
+        }
+        nextUrl = next.url;
+        if (nextUrl && visited.has(new URL(nextUrl, page.url()).href)) {
+          stopReason = `next page ${nextUrl} was already visited`;
+          break;
+        }
+      }
+
+      const summary = [
+        `📦 Extracted ${records.length} record${records.length === 1 ? '' : 's'} from ${pages.length} page${pages.length === 1 ? '' : 's'}`,
+        duplicates > 0 ? `🔁 ${duplicates} duplicate${duplicates === 1 ? '' : 's'} removed` : null,
+        skipped > 0 ? `⚠️ ${skipped} item${skipped === 1 ? '' : 's'} skipped for missing required fields` : null,
+        stopReason ? `⏹️ Stopped: ${stopReason}` : null
+      ].filter(Boolean).join('\n');
+      const pageLines = pages.map((entry, i) => `${i + 1}. ${entry.url}: ${entry.items} items, ${entry.added} new`).join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${summary}\n\n📄 Pages:\n${pageLines}\n\n🧾 Records:\n${JSON.stringify(records, null, 2)}`
+        }],
+        structuredContent: {
+          url: pages[0]?.url ?? url,
+          fields: fieldSpecs,
+          records,
+          pages,
+          duplicates,
+          skipped,
+          stopReason
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  normalizeRecordFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new Error('fields must map field names to selectors or { selector, type } objects');
+    }
+    return Object.entries(fields).map(([name, spec]) => {
+      const field = typeof spec === 'string' ? { selector: spec } : { ...spec };
+      const type = field.type || 'text';
+      if (!RECORD_FIELD_TYPES.includes(type)) {
+        throw new Error(`Field "${name}" has unknown type "${type}". Use one of: ${RECORD_FIELD_TYPES.join(', ')}`);
+      }
+      if (type === 'attribute' && !field.attribute) {
+        throw new Error(`Field "${name}" has type "attribute" but no attribute name`);
+      }
+      if (field.pattern) {
+        try {
+          new RegExp(field.pattern);
+        } catch (error) {
+          throw new Error(`Field "${name}" has an invalid pattern: ${error.message}`);
+        }
+      }
+      return {
+        name,
+        selector: field.selector || null,
+        type,
+        attribute: field.attribute || null,
+        pattern: field.pattern || null,
+        multiple: Boolean(field.multiple),
+        required: Boolean(field.required)
+      };
+    });
+  }
+
+  async collectRecords(page, { itemSelector, fields }) {
+    return await page.evaluate(({ itemSelector, fields }) => {
+      const textOf = el => (el.innerText ?? el.textContent).replace(/\s+/g, ' ').trim();
+      const urlOf = (el, name) => {
+        const value = el.getAttribute(name);
+        if (value === null) return null;
+        try {
+          return new URL(value, document.baseURI).href;
+        } catch (e) {
+          return value;
+        }
+      };
+
+      // Accepts "1,234.50", "1.234,50", "$ 12" and "-3 %"; a lone separator before exactly three digits groups thousands
+      const toNumber = text => {
+        const match = String(text).match(/-?\d[\d.,\s']*/);
+        if (!match) return null;
+        let digits = match[0].replace(/[\s']/g, '').replace(/[.,]+$/, '');
+        const separators = digits.match(/[.,]/g) || [];
+        const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+        const isDecimal = last !== -1 && (
+          new Set(separators).size > 1 ||
+          (separators.length === 1 && (digits.length - last - 1 !== 3 || /^-?0$/.test(digits.slice(0, last))))
+        );
+        digits = isDecimal
+          ? `${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`
+          : digits.replace(/[.,]/g, '');
+        const value = parseFloat(digits);
+        return Number.isFinite(value) ? value : null;
+      };
+
+      const valueOf = (el, field) => {
+        let value;
+        switch (field.type) {
+          case 'exists':
+            return true;
+          case 'html':
+            value = el.innerHTML.trim();
+            break;
+          case 'attribute':
+            value = el.getAttribute(field.attribute);
+            break;
+          case 'href':
+            value = urlOf(el, 'href');
+            break;
+          case 'src':
+            value = urlOf(el, 'src') ?? urlOf(el, 'data-src');
+            break;
+          case 'date':
+            value = el.getAttribute('datetime') || el.getAttribute('content') || textOf(el);
+            break;
+          default:
+            value = el.tagName === 'INPUT' || el.tagName === 'SELECT' || el.tagName === 'TEXTAREA' ? el.value : textOf(el);
+        }
+        if (value === null || value === undefined) return null;
+        if (field.pattern) {
+          const match = String(value).match(new RegExp(field.pattern));
+          if (!match) return null;
+          value = match[1] ?? match[0];
+        }
+        if (field.type === 'number') return toNumber(value);
+        if (field.type === 'date') {
+          const time = Date.parse(value);
+          return isNaN(time) ? null : new Date(time).toISOString();
+        }
+        return value === '' ? null : value;
+      };
+
+      const items = Array.from(document.querySelectorAll(itemSelector));
+      const missing = [];
+      const records = items.map(item => {
+        const record = {};
+        const absent = [];
+        for (const field of fields) {
+          // No selector means the item element itself
+          const targets = field.selector
+            ? Array.from(field.multiple ? item.querySelectorAll(field.selector) : [item.querySelector(field.selector)].filter(Boolean))
+            : [item];
+          let value;
+          if (field.multiple) {
+            value = targets.map(target => valueOf(target, field)).filter(v => v !== null);
+          } else if (field.type === 'exists') {
+            value = targets.length > 0;
+          } else {
+            value = targets.length > 0 ? valueOf(targets[0], field) : null;
+          }
+          record[field.name] = value;
+          if (field.required && (value === null || value === false || (Array.isArray(value) && value.length === 0))) {
+            absent.push(field.name);
+          }
+        }
+        missing.push(absent);
+        return record;
+      });
+      return { items: records, missing };
+    }, { itemSelector, fields });
+  }
+
+  async followNextPage(page, { nextSelector, itemSelector }) {
+    const next = await page.$(nextSelector);
+    if (!next) return { stop: 'no next page link' };
+
+    try {
+      const state = await next.evaluate(el => ({
+        href: el.tagName === 'A' && el.getAttribute('href') && !el.getAttribute('href').startsWith('#') && !/^javascript:/i.test(el.getAttribute('href'))
+          ? el.href
+          : null,
+        disabled: el.disabled === true || el.getAttribute('aria-disabled') === 'true' || /\bdisabled\b/.test(el.className)
+      }));
+      if (state.disabled) return { stop: 'next page control is disabled' };
+      if (state.href) return { url: state.href };
+
+      // Client-side pagination: click and wait for the first item to change
+      const before = await page.evaluate(selector => document.querySelector(selector)?.outerHTML ?? null, itemSelector);
+      const previousUrl = page.url();
+      await next.click();
+      try {
+        await page.waitForFunction(({ selector, before, previousUrl }) => {
+          return location.href !== previousUrl || (document.querySelector(selector)?.outerHTML ?? null) !== before;
+        }, { selector: itemSelector, before, previousUrl }, { timeout: TIMEOUTS.DEFAULT });
+      } catch (error) {
+        return { stop: 'clicking the next page control did not change the items' };
+      }
+      await page.waitForLoadState('networkidle', { timeout: TIMEOUTS.NAVIGATION }).catch(() => {});
+      return { url: null };
+    } finally {
+      // The click may have navigated away, which already invalidated the handle
+      await next.dispose().catch(() => {});
+    }
+  }
+
+  async waitForElement(args) {
+    this.validateArgs(args, ['url', 'selector']);
+    const { url, selector, timeout = TIMEOUTS.DEFAULT } = args;
+    
+    const { page, session, release } = await this.acquirePage(args);
+    
+    try {
+      await this.navigate(page, url, session);
+      
+      const startTime = Date.now();
+      const { element, usedSelector } = await this.findElement(page, selector, timeout);
+      
+      const waitTime = Date.now() - startTime;
+      const text = await element.textContent();
+      const isVisible = await element.isVisible();
+      const testId = await element.getAttribute('data-testid');
+      const accessibilityLabel = await element.getAttribute('aria-label');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Element found: ${usedSelector}
+Wait time: ${waitTime}ms
+Visible: ${isVisible}
+Text content: "${text?.trim()}"${testId ? `\nTestID: ${testId}` : ''}${accessibilityLabel ? `\nAccessibility Label: ${accessibilityLabel}` : ''}`
+        }],
+        structuredContent: {
+          url: page.url(),
+          found: true,
+          usedSelector,
+          waitTime,
+          visible: isVisible,
+          text: text?.trim() ?? null,
+          testId,
+          accessibilityLabel
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async executeInReactContext(args) {
+    this.validateArgs(args, ['url', 'script']);
+    const { 
+      url, 
+      script, 
+      waitForReact = true,
+      captureNetwork,
+      artifactLabel
+    } = args;
+    
+    const artifacts = this.artifacts.startRun('execute_in_react_context', { label: artifactLabel, url });
+    const { page, session, release } = await this.acquirePage(args);
+    let detachListeners = () => {};
+    let networkRecorder = null;
+    
+    try {
+      if (!session) {
+        await this.setupMobileViewport(page);
+      }
+      
+      // Set up console error capture before navigation
+      const consoleErrors = [];
+      const pageErrors = [];
+      
+      detachListeners = this.trackPageListeners(page, session, {
+        console: msg => {
+          if (msg.type() === 'error') {
+            consoleErrors.push({
+              type: 'console.error',
+              text: msg.text(),
+              location: msg.location(),
+              timestamp: Date.now()
+            });
+          }
+        },
+        pageerror: error => {
+          pageErrors.push({
+            type: 'page_error',
+            message: error.message,
+            stack: error.stack,
+            timestamp: Date.now()
+          });
+        }
+      });
+      
+      networkRecorder = this.startNetworkCapture(page, session, captureNetwork);
+      await this.navigate(page, url, session);
+      
+      if (waitForReact) {
+        await this.waitForReactHydration(page);
+      }
+
+      const result = await page.evaluate((userScript) => {
+        try {
+          // Set up window error capture (session pages keep the patched console between calls)
+          window.__capturedErrors = [];
+          
+          if (!window.__capturedErrorsPatched) {
+            window.__capturedErrorsPatched = true;
+            const originalError = console.error;
+            console.error = function(...args) {
+              window.__capturedErrors.push({
+                type: 'console.error',
+                message: args.join(' '),
+                timestamp: Date.now(),
+                stack: new Error().stack
+              });
+              originalError.apply(console, arguments);
+            };
+          }
+          
+          // Execute the script as a function body, not an expression
+          const scriptFunction = new Function(userScript);
+          const result = scriptFunction();
+          
+          return {
+            success: true,
+            result: result,
+            reactAvailable: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
+            expoAvailable: !!(window.expo || window.__EXPO_WEB__),
+            capturedErrors: window.__capturedErrors || []
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message,
+            stack: error.stack,
+            reactAvailable: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
+            expoAvailable: !!(window.expo || window.__EXPO_WEB__),
+            capturedErrors: window.__capturedErrors || []
+          };
+        }
+      }, script);
+      
+      // Wait a moment for any async errors to be captured
+      await page.waitForTimeout(1000);
+      
+      // Get any additional errors that might have been captured
+      const additionalErrors = await page.evaluate(() => {
+        return window.__capturedErrors || [];
+      });
+
+      const allErrors = [
+        ...consoleErrors,
+        ...pageErrors,
+        ...result.capturedErrors,
+        ...additionalErrors
+      ];
+
+      const network = await this.finishNetworkCapture(networkRecorder, captureNetwork, artifacts);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `JavaScript Execution Result:
+
+${result.success ? '✅ Success' : '❌ Error'}
+React Available: ${result.reactAvailable ? '✅' : '❌'}
+Expo Available: ${result.expoAvailable ? '✅' : '❌'}
+
+${result.success 
+  ? `Result: ${result.result !== undefined ? JSON.stringify(result.result, null, 2) : 'undefined'}`
+  : `Error: ${result.error}${result.stack ? '\nStack: ' + result.stack : ''}`
+}
+
+${allErrors.length > 0 ? `
+🚨 Captured Errors (${allErrors.length}):
+${allErrors.map(err => `- [${err.type}] ${err.message || err.text}${err.location ? ` at ${err.location.url}:${err.location.lineNumber}` : ''}`).join('\n')}
+` : '✅ No errors captured'}`
+          },
+          ...(network ? [network.content] : [])
+        ],
+        structuredContent: {
+          url: page.url(),
+          success: result.success,
+          result: result.success ? result.result ?? null : null,
+          error: result.success ? null : { message: result.error, stack: result.stack },
+          reactAvailable: result.reactAvailable,
+          expoAvailable: result.expoAvailable,
+          errors: allErrors,
+          network: network?.data ?? null
+        }
+      };
+    } finally {
+      detachListeners();
+      networkRecorder?.detach();
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async checkExpoDevServer(args) {
+    const { port = 8081, host = 'localhost', sessionId } = args;
+    if (sessionId) this.getSession(sessionId);
+    this.resolveStorageState(args);
+    
+    try {
+      const { page, release } = await this.acquirePage({ ...args, browser: 'chromium' }, { freshPage: true });
+      
+      try {
+        // Check if Metro bundler is running
+        const metroUrl = `http://${host}:${port}`;
+        await page.goto(metroUrl, { timeout: 5000 });
+        
+        const pageContent = await page.textContent('body');
+        const isMetro = pageContent.includes('Metro') || pageContent.includes('React Native');
+        
+        // Check for common Expo endpoints
+        const endpoints = [
+          `${metroUrl}/status`,
+          `${metroUrl}/symbolicate`,
+          `${metroUrl}/assets`
+        ];
+        
+        const endpointResults = [];
+        for (const endpoint of endpoints) {
+          try {
+            const response = await page.goto(endpoint, { timeout: 3000 });
+            endpointResults.push({
+              url: endpoint,
+              status: response.status(),
+              available: response.ok()
+            });
+          } catch (e) {
+            endpointResults.push({
+              url: endpoint,
+              status: 'timeout',
+              available: false
+            });
+          }
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Expo Development Server Status:
+
+🌐 Metro Bundler: ${isMetro ? '✅ Running' : '❌ Not detected'} at ${metroUrl}
+
+📡 Endpoint Status:
+${endpointResults.map(ep => 
+  `- ${ep.url}: ${ep.available ? '✅' : '❌'} (${ep.status})`
+).join('\n')}
+
+${isMetro ? '✅ Expo dev server appears to be running correctly' : '❌ Expo dev server may not be running or accessible'}`
+            }
+          ],
+          structuredContent: { metroUrl, running: isMetro, endpoints: endpointResults, error: null }
+        };
+      } finally {
+        await release();
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Failed to check Expo dev server: ${error.message}
+
+This usually means:
+- Metro bundler is not running on port ${port}
+- Expo development server is not started
+- Network connectivity issues
+
+Try running: npx expo start --web`
+          }
+        ],
+        structuredContent: {
+          metroUrl: `http://${host}:${port}`,
+          running: false,
+          endpoints: [],
+          error: error.message
+        }
+      };
+    }
+  }
+
+  async getPageInfo(args) {
+    this.validateArgs(args, ['url']);
+    const { url, includePerformance } = args;
+    
+    const { page, session, release } = await this.acquirePage(args);
+    
+    try {
+      const startTime = Date.now();
+      const response = await this.navigate(page, url, session);
+      const loadTime = response ? Date.now() - startTime : null;
+
+      const info = await page.evaluate(() => ({
+        title: document.title,
+        url: window.location.href,
+        metaTags: Array.from(document.querySelectorAll('meta')).map(meta => ({
+          name: meta.name || meta.getAttribute('property'),
+          content: meta.content
+        })).filter(meta => meta.name),
+        headings: Array.from(document.querySelectorAll('h1, h2, h3')).map(h => ({
+          tag: h.tagName.toLowerCase(),
+          text: h.textContent.trim()
+        })),
+        links: Array.from(document.querySelectorAll('a[href]')).length,
+        images: Array.from(document.querySelectorAll('img')).length,
+        forms: Array.from(document.querySelectorAll('form')).length,
+        // React Native web specific elements
+        reactNativeElements: {
+          testIds: Array.from(document.querySelectorAll('[data-testid]')).length,
+          accessibilityLabels: Array.from(document.querySelectorAll('[aria-label]')).length,
+          touchableElements: Array.from(document.querySelectorAll('[role="button"], button, [onclick]')).length
+        },
+        // Framework detection
+        frameworks: {
+          react: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
+          expo: !!(window.expo || window.__EXPO_WEB__ || document.querySelector('.expo-web-view')),
+          reactNativeWeb: !!document.querySelector('[data-reactroot] [style*="flex"]')
+        }
+      }));
+
+      let performanceInfo = '';
+      let metrics = null;
+      if (includePerformance) {
+        metrics = await page.evaluate(() => {
+          const perf = performance.getEntriesByType('navigation')[0];
+          return {
+            domContentLoaded: perf.domContentLoadedEventEnd - perf.domContentLoadedEventStart,
+            loadComplete: perf.loadEventEnd - perf.loadEventStart,
+            firstPaint: performance.getEntriesByType('paint').find(p => p.name === 'first-paint')?.startTime,
+            firstContentfulPaint: performance.getEntriesByType('paint').find(p => p.name === 'first-contentful-paint')?.startTime
+          };
+        });
+        
+        performanceInfo = `\n\nPerformance Metrics:
+- Page Load Time: ${loadTime !== null ? `${loadTime}ms` : 'N/A (reused session page)'}
+- DOM Content Loaded: ${metrics.domContentLoaded}ms
+- Load Complete: ${metrics.loadComplete}ms
+- First Paint: ${metrics.firstPaint || 'N/A'}ms
+- First Contentful Paint: ${metrics.firstContentfulPaint || 'N/A'}ms`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Page Information for ${page.url()}:
+
+Title: ${info.title}
+URL: ${info.url}
+
+🔍 Framework Detection:
+- React: ${info.frameworks.react ? '✅' : '❌'}
+- Expo: ${info.frameworks.expo ? '✅' : '❌'}
+- React Native Web: ${info.frameworks.reactNativeWeb ? '✅' : '❌'}
+
+Meta Tags:
+${info.metaTags.map(meta => `- ${meta.name}: ${meta.content}`).join('\n')}
+
+Headings:
+${info.headings.map(h => `- ${h.tag.toUpperCase()}: ${h.text}`).join('\n')}
+
+Page Elements:
+- Links: ${info.links}
+- Images: ${info.images}
+- Forms: ${info.forms}
+
+📱 React Native Web Elements:
+- Elements with testID: ${info.reactNativeElements.testIds}
+- Elements with accessibility labels: ${info.reactNativeElements.accessibilityLabels}
+- Touchable elements: ${info.reactNativeElements.touchableElements}${performanceInfo}`
+          }
+        ],
+        structuredContent: {
+          ...info,
+          performance: metrics ? { loadTime, ...metrics } : null
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async testReactApp(args) {
+    this.validateArgs(args, ['url', 'actions']);
+    const { 
+      url, 
+      actions, 
+      device,
+      waitForHydration = true,
+      saveProfile,
+      captureNetwork,
+      mocks,
+      replayHar,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel,
+      profileRenders = false
+    } = args;
+    
+    if (saveProfile) this.getProfilePath(saveProfile);
+    const artifacts = this.artifacts.startRun('test_react_app', { label: artifactLabel, url });
+    // The profiler is an init script with no way to remove it, so it gets a tab of its own
+    // instead of staying attached to a session page that later tool calls navigate
+    const { page, context, session, release } = await this.acquirePage(args, { freshPage: profileRenders });
+    const results = [];
+    const actionResults = [];
+    const images = [];
+    let routes = null;
+    let savedProfile = null;
+    let networkRecorder = null;
+    
+    try {
+      if (!device && !session) {
+        await this.setupMobileViewport(page);
+      }
+
+      routes = await this.applyRouteMocks(page, { mocks, replayHar });
+      if (routes) results.push(`✅ Route interception active: ${routes.describe()}`);
+
+      if (profileRenders) await this.enableRenderProfiling(page);
+
+      networkRecorder = this.startNetworkCapture(page, session, captureNetwork);
+      // A fresh session tab starts blank, so it loads the session page's current URL
+      const target = profileRenders && session ? url || session.page.url() : url;
+      const response = await this.navigate(page, target, session);
+      results.push(response ? `✅ Navigated to ${target}` : `✅ Continuing session ${session.id} at ${page.url()}`);
+
+      let hydrated = null;
+      if (waitForHydration) {
+        hydrated = await this.waitForReactHydration(page);
+        results.push(hydrated ? '✅ React hydration completed' : '⚠️ React hydration timeout');
+      }
+
+      const run = await this.runActions(page, actions, { artifacts, inlineImage, saveToDisk, profileRenders });
+      results.push(...run.results);
+      actionResults.push(...run.actionResults);
+      images.push(...run.images);
+
+      const renderProfile = profileRenders ? await this.collectRenderProfile(page) : null;
+      if (renderProfile) results.push(`\n${this.formatRenderProfile(renderProfile)}`);
+
+      if (saveProfile) {
+        const { profilePath, state } = await this.saveStorageState(context, saveProfile);
+        results.push(`✅ Saved auth profile "${saveProfile}" (${state.cookies.length} cookies, ${state.origins.length} origins) to ${profilePath}`);
+        savedProfile = { name: saveProfile, path: profilePath };
+      }
+
+      const network = await this.finishNetworkCapture(networkRecorder, captureNetwork, artifacts);
+      if (routes) results.push(`\n🎭 Mock Hits:\n${routes.summary()}`);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `React Native Web App Test Results:\n\n${results.join('\n')}`
+        }, ...images, ...(network ? [network.content] : [])],
+        structuredContent: {
+          url: page.url(),
+          hydrated,
+          actions: actionResults,
+          passed: actionResults.every(action => action.success),
+          savedProfile,
+          mocks: routes ? routes.hits() : null,
+          network: network?.data ?? null,
+          renderProfile
+        }
+      };
+    } finally {
+      // Session pages must not keep this call's interceptions
+      if (routes && session) await page.unrouteAll({ behavior: 'ignoreErrors' });
+      networkRecorder?.detach();
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async runActions(page, actions, { artifacts, inlineImage, saveToDisk = true, profileRenders = false } = {}) {
+    const results = [];
+    const actionResults = [];
+    const images = [];
+
+    for (const action of actions) {
+      const { type, selector, value, timeout = TIMEOUTS.DEFAULT, coordinates } = action;
+      const actionResult = { type, selector: selector ?? null, success: true, value: null };
+      actionResults.push(actionResult);
+      if (profileRenders) await this.markRenderPhase(page, `#${actionResults.length} ${type}${selector ? ` ${selector}` : ''}`);
+      
+      try {
+        switch (type) {
+          case 'click':
+          case 'tap':
+            await this.performClick(page, selector, timeout);
+            results.push(`✅ ${type === 'tap' ? 'Tapped' : 'Clicked'}: ${selector}`);
+            break;
+            
+          case 'fill':
+            await this.performFill(page, selector, value, timeout);
+            results.push(`✅ Filled "${value}" into: ${selector}`);
+            break;
+            
+          case 'wait':
+            await this.performWait(page, selector, timeout);
+            results.push(`✅ Waited for: ${selector}`);
+            break;
+            
+          case 'screenshot':
+            const screenshotBuffer = await page.screenshot({ fullPage: true });
+            if (saveToDisk) {
+              const screenshotPath = artifacts.write(`action-${actionResults.length}-screenshot.png`, screenshotBuffer, { url: page.url() });
+              results.push(`✅ Screenshot saved: ${screenshotPath}`);
+              actionResult.value = screenshotPath;
+            } else {
+              results.push('✅ Screenshot captured');
+            }
+            if (inlineImage || !saveToDisk) {
+              const image = await this.toImageContent(screenshotBuffer, inlineImage || true);
+              images.push(image.content);
+              actionResult.image = image.info;
+            }
+            break;
+            
+          case 'getText':
+            const text = await this.getElementText(page, selector, timeout);
+            results.push(`✅ Text from ${selector}: "${text}"`);
+            actionResult.value = text;
+            break;
+            
+          case 'getAttribute':
+            const attr = await this.getElementAttribute(page, selector, value, timeout);
+            results.push(`✅ Attribute "${value}" from ${selector}: "${attr}"`);
+            actionResult.value = attr;
+            break;
+
+          case 'swipe':
+            await this.performSwipe(page, selector, value, coordinates, timeout);
+            results.push(`✅ Swiped ${value} on: ${selector}`);
+            break;
+
+          case 'scroll':
+            await this.performScroll(page, selector, value, timeout);
+            results.push(`✅ Scrolled ${value} on: ${selector}`);
+            break;
+
+          case 'longPress':
+            await this.performLongPress(page, selector, timeout);
+            results.push(`✅ Long pressed: ${selector}`);
+            break;
+
+          case 'waitForNavigation':
+            await page.waitForLoadState('networkidle', { timeout });
+            results.push(`✅ Navigation completed`);
+            break;
+            
+          default:
+            results.push(`❌ Unknown action type: ${type}`);
+            actionResult.success = false;
+            actionResult.error = `Unknown action type: ${type}`;
+        }
+      } catch (actionError) {
+        results.push(`❌ Failed ${type} on ${selector}: ${actionError.message}`);
+        actionResult.success = false;
+        actionResult.error = actionError.message;
+      }
+    }
+
+    return { results, actionResults, images };
+  }
+
+  async enableRenderProfiling(page) {
+    // Must run before React loads: React only registers with a DevTools hook that already exists
+    await page.addInitScript(() => {
+      if (window.__MCP_RENDER_PROFILE__) return;
+      const COMPOSITE_TAGS = new Set([0, 1, 2, 11, 14, 15]);
+      const PERFORMED_WORK = 1;
+      const profile = window.__MCP_RENDER_PROFILE__ = { active: true, phases: [], rootsByRenderer: new Map() };
+
+      profile.start = label => {
+        profile.phases.push({ label, commits: 0, duration: 0, maxDuration: 0, timed: false, components: {} });
+      };
+
+      const componentName = type => {
+        if (!type) return 'Anonymous';
+        if (typeof type === 'function') return type.displayName || type.name || 'Anonymous';
+        if (type.displayName) return type.displayName;
+        if (type.render) return `ForwardRef(${type.render.displayName || type.render.name || ''})`;
+        if (type.type) return `Memo(${componentName(type.type)})`;
+        return 'Anonymous';
+      };
+
+      const shallowEqual = (a, b) => {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+      };
+
+      const record = root => {
+        if (!profile.active) return;
+        if (profile.phases.length === 0) profile.start('load');
+        const phase = profile.phases[profile.phases.length - 1];
+        phase.commits++;
+
+        // actualDuration only exists in development and profiling builds
+        const duration = root.current.actualDuration;
+        if (typeof duration === 'number') {
+          phase.timed = true;
+          phase.duration += duration;
+          phase.maxDuration = Math.max(phase.maxDuration, duration);
+        }
+
+        const stack = [root.current];
+        while (stack.length > 0) {
+          const fiber = stack.pop();
+          const previous = fiber.alternate;
+          if (COMPOSITE_TAGS.has(fiber.tag) && (!previous || ((fiber.flags ?? fiber.effectTag) & PERFORMED_WORK))) {
+            const name = componentName(fiber.type);
+            const entry = phase.components[name] ||= { name, renders: 0, mounts: 0, unchangedProps: 0, duration: 0 };
+            entry.renders++;
+            if (!previous) entry.mounts++;
+            else if (shallowEqual(fiber.memoizedProps, previous.memoizedProps) && fiber.memoizedState === previous.memoizedState) entry.unchangedProps++;
+            if (typeof fiber.selfBaseDuration === 'number') entry.duration += fiber.selfBaseDuration;
+          }
+          // A subtree React bailed out of keeps its old children and did not render
+          if (previous && fiber.child === previous.child) continue;
+          for (let child = fiber.child; child; child = child.sibling) stack.push(child);
+        }
+      };
+
+      let hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+      if (!hook) {
+        const renderers = new Map();
+        hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+          renderers,
+          supportsFiber: true,
+          inject(renderer) {
+            const id = renderers.size + 1;
+            renderers.set(id, renderer);
+            return id;
+          },
+          getFiberRoots: id => profile.rootsByRenderer.get(id) || new Set(),
+          onCommitFiberRoot() {},
+          onCommitFiberUnmount() {},
+          onPostCommitFiberRoot() {},
+          checkDCE() {}
+        };
+      }
+
+      const onCommitFiberRoot = hook.onCommitFiberRoot;
+      hook.onCommitFiberRoot = function (rendererId, root, ...rest) {
+        if (!profile.rootsByRenderer.has(rendererId)) profile.rootsByRenderer.set(rendererId, new Set());
+        profile.rootsByRenderer.get(rendererId).add(root);
+        try {
+          record(root);
+        } catch (e) {
+          // Profiling must never break the app
+        }
+        return onCommitFiberRoot?.call(this, rendererId, root, ...rest);
+      };
+    });
+  }
+
+  async markRenderPhase(page, label) {
+    await page.evaluate(label => window.__MCP_RENDER_PROFILE__?.start(label), label);
+  }
+
+  async collectRenderProfile(page) {
+    // Let commits scheduled by the last action (effects, transitions) land first
+    await page.waitForTimeout(RENDER_PROFILE.settleTime);
+    return await page.evaluate(maxComponents => {
+      const profile = window.__MCP_RENDER_PROFILE__;
+      if (!profile) return { available: false, reason: 'Profiling hook was not installed before the page loaded' };
+      profile.active = false;
+      const round = value => Math.round(value * 100) / 100;
+
+      return {
+        available: profile.rootsByRenderer.size > 0,
+        reason: profile.rootsByRenderer.size > 0 ? null : 'React never committed through the DevTools hook (not a React app, or React loaded before the page was reloaded with profiling)',
+        timed: profile.phases.some(phase => phase.timed),
+        phases: profile.phases.map(phase => {
+          const components = Object.values(phase.components).sort((a, b) => b.renders - a.renders || b.duration - a.duration);
+          return {
+            label: phase.label,
+            commits: phase.commits,
+            duration: phase.timed ? round(phase.duration) : null,
+            maxCommitDuration: phase.timed ? round(phase.maxDuration) : null,
+            renders: components.reduce((sum, component) => sum + component.renders, 0),
+            components: components.slice(0, maxComponents).map(component => ({
+              ...component,
+              duration: phase.timed ? round(component.duration) : null
+            })),
+            truncated: components.length > maxComponents
+          };
+        })
+      };
+    }, RENDER_PROFILE.maxComponents);
+  }
+
+  formatRenderProfile(profile) {
+    if (!profile.available) return `⚠️ Render profiling unavailable: ${profile.reason}`;
+
+    const sections = profile.phases.map(phase => {
+      const timing = phase.duration !== null ? `, ${phase.duration}ms rendering (slowest commit ${phase.maxCommitDuration}ms)` : '';
+      const lines = [`${phase.label}: ${phase.commits} commit${phase.commits === 1 ? '' : 's'}, ${phase.renders} component renders${timing}`];
+      for (const component of phase.components) {
+        const notes = [];
+        if (component.mounts > 0) notes.push(`${component.mounts} mount${component.mounts === 1 ? '' : 's'}`);
+        if (component.duration !== null) notes.push(`${component.duration}ms`);
+        let line = `  - ${component.name} ×${component.renders}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+        if (component.unchangedProps > 0) line += ` ⚠️ ${component.unchangedProps} with unchanged props`;
+        lines.push(line);
+      }
+      if (phase.truncated) lines.push('  - ...');
+      return lines.join('\n');
+    });
+
+    return `⏱️ Render Profile:\n${sections.join('\n\n')}${profile.timed ? '' : '\n\nℹ️ Durations need a development or profiling build of React'}`;
+  }
+
+  // Helper methods for React app interactions
+  async performClick(page, selector, timeout) {
+    const { element } = await this.findElement(page, selector, timeout);
+    await element.click();
+  }
+
+  async performFill(page, selector, value, timeout) {
+    const { element } = await this.findElement(page, selector, timeout);
+    await element.fill(value);
+  }
+
+  async performWait(page, selector, timeout) {
+    await this.findElement(page, selector, timeout);
+  }
+
+  async getElementText(page, selector, timeout) {
+    const { element } = await this.findElement(page, selector, timeout);
+    return await element.textContent();
+  }
+
+  async getElementAttribute(page, selector, attribute, timeout) {
+    const { element } = await this.findElement(page, selector, timeout);
+    return await element.getAttribute(attribute);
+  }
+
+  async performSwipe(page, selector, direction, coordinates, timeout) {
+    if (coordinates) {
+      // Swipe from coordinates
+      const { x, y } = coordinates;
+      const endX = direction === 'left' ? x - 100 : direction === 'right' ? x + 100 : x;
+      const endY = direction === 'up' ? y - 100 : direction === 'down' ? y + 100 : y;
+      
+      await page.mouse.move(x, y);
+      await page.mouse.down();
+      await page.mouse.move(endX, endY);
+      await page.mouse.up();
+    } else {
+      // Swipe on element
+      const element = await page.waitForSelector(selector, { timeout });
+      const box = await element.boundingBox();
+      
+      const startX = box.x + box.width / 2;
+      const startY = box.y + box.height / 2;
+      const endX = direction === 'left' ? startX - 100 : direction === 'right' ? startX + 100 : startX;
+      const endY = direction === 'up' ? startY - 100 : direction === 'down' ? startY + 100 : startY;
+      
+      await page.mouse.move(startX, startY);
+      await page.mouse.down();
+      await page.mouse.move(endX, endY);
+      await page.mouse.up();
+    }
+  }
+
+  async performScroll(page, selector, direction, timeout) {
+    const element = await page.waitForSelector(selector, { timeout });
+    const scrollAmount = direction === 'up' ? -300 : 300;
+    
+    await element.evaluate((el, amount) => {
+      el.scrollBy(0, amount);
+    }, scrollAmount);
+  }
+
+  async performLongPress(page, selector, timeout) {
+    const element = await page.waitForSelector(selector, { timeout });
+    const box = await element.boundingBox();
+    
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.waitForTimeout(1000); // Hold for 1 second
+    await page.mouse.up();
+  }
+
+  async testDropdownWithErrorCapture(args) {
+    this.validateArgs(args, ['url', 'dropdownSelector']);
+    const { 
+      url, 
+      dropdownSelector,
+      waitAfterClick = 3000,
+      takeScreenshots = true,
+      artifactLabel
+    } = args;
+    
+    const artifacts = this.artifacts.startRun('test_dropdown_with_error_capture', { label: artifactLabel, url });
+    const { page, session, release } = await this.acquirePage(args);
+    let detachListeners = () => {};
+    
+    const consoleErrors = [];
+    const pageErrors = [];
+    const networkErrors = [];
+    
+    try {
+      if (!session) {
+        await this.setupMobileViewport(page);
+      }
+      
+      // Set up comprehensive error capture
+      detachListeners = this.trackPageListeners(page, session, {
+        console: msg => {
+          if (msg.type() === 'error') {
+            consoleErrors.push({
+              type: 'console.error',
+              text: msg.text(),
+              location: msg.location(),
+              timestamp: Date.now()
+            });
+          }
+        },
+        pageerror: error => {
+          pageErrors.push({
+            type: 'page_error',
+            message: error.message,
+            stack: error.stack,
+            timestamp: Date.now()
+          });
+        },
+        requestfailed: request => {
+          networkErrors.push({
+            type: 'network_error',
+            url: request.url(),
+            failure: request.failure()?.errorText,
+            timestamp: Date.now()
+          });
+        }
+      });
+
+      await this.navigate(page, url, session);
+      await this.waitForReactHydration(page);
+      
+      // Take before screenshot
+      let beforeScreenshot = '';
+      if (takeScreenshots) {
+        const beforeBuffer = await page.screenshot({ fullPage: true });
+        beforeScreenshot = artifacts.write('before.png', beforeBuffer, { url: page.url() });
+      }
+      
+      // Set up additional error capture in the page context
+      await page.evaluate(() => {
+        window.__dropdownTestErrors = [];
+        
+        // Session pages keep these hooks between calls
+        if (window.__dropdownTestPatched) return;
+        window.__dropdownTestPatched = true;
+        
+        const originalError = console.error;
+        console.error = function(...args) {
+          window.__dropdownTestErrors.push({
+            type: 'console.error',
+            message: args.join(' '),
+            timestamp: Date.now(),
+            stack: new Error().stack
+          });
+          originalError.apply(console, arguments);
+        };
+        
+        window.addEventListener('error', function(e) {
+          window.__dropdownTestErrors.push({
+            type: 'window_error',
+            message: e.message,
+            filename: e.filename,
+            lineno: e.lineno,
+            colno: e.colno,
+            stack: e.error?.stack,
+            timestamp: Date.now()
+          });
+        });
+        
+        window.addEventListener('unhandledrejection', function(e) {
+          window.__dropdownTestErrors.push({
+            type: 'unhandled_rejection',
+            message: e.reason?.toString() || 'Unknown rejection',
+            timestamp: Date.now()
+          });
+        });
+      });
+      
+      // Find and click the dropdown
+      let clickResult = '';
+      let dropdownFound = false;
+      let clickedSelector = null;
+      
+      // Try multiple selector strategies
+      const selectors = [
+        dropdownSelector,
+        `[data-testid="${dropdownSelector}"]`,
+        `[aria-label="${dropdownSelector}"]`,
+        `button:has-text("${dropdownSelector}")`,
+        `*:has-text("${dropdownSelector}")`
+      ];
+      
+      for (const selector of selectors) {
+        try {
+          const element = await page.$(selector);
+          if (element) {
+            const isVisible = await element.isVisible();
+            const text = await element.textContent();
+            
+            if (isVisible) {
+              await element.click();
+              dropdownFound = true;
+              clickedSelector = selector;
+              clickResult = `✅ Clicked dropdown: ${selector} (text: "${text?.trim()}")`;
+              break;
+            }
+          }
+        } catch (e) {
+          continue;
+        }
+      }
+      
+      if (!dropdownFound) {
+        clickResult = `❌ Dropdown not found with selector: ${dropdownSelector}`;
+      }
+      
+      // Wait for errors to manifest
+      await page.waitForTimeout(waitAfterClick);
+      
+      // Check if page went blank
+      const bodyContent = await page.textContent('body');
+      const isPageBlank = bodyContent.trim().length < 100;
+      
+      // Get errors captured in page context
+      const pageContextErrors = await page.evaluate(() => {
+        return window.__dropdownTestErrors || [];
+      });
+      
+      // Take after screenshot
+      let afterScreenshot = '';
+      if (takeScreenshots) {
+        const afterBuffer = await page.screenshot({ fullPage: true });
+        afterScreenshot = artifacts.write('after.png', afterBuffer, { url: page.url() });
+      }
+      
+      // Collect all errors
+      const allErrors = [
+        ...consoleErrors,
+        ...pageErrors,
+        ...networkErrors,
+        ...pageContextErrors
+      ];
+      
+      // Get page state info
+      const pageState = await page.evaluate(() => {
+        return {
+          url: window.location.href,
+          title: document.title,
+          bodyLength: document.body.innerHTML.length,
+          hasReact: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
+          hasExpo: !!(window.expo || window.__EXPO_WEB__),
+          visibleElements: document.querySelectorAll('*:not([style*="display: none"])').length
+        };
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Dropdown Test Results for ${page.url()}:
+
+🎯 Dropdown Interaction:
+${clickResult}
+
+📄 Page State After Click:
+- Page Blank: ${isPageBlank ? '❌ YES' : '✅ NO'}
+- Body Content Length: ${bodyContent.length} characters
+- Visible Elements: ${pageState.visibleElements}
+- Current URL: ${pageState.url}
+- Page Title: ${pageState.title}
+
+🔍 Framework Detection:
+- React Available: ${pageState.hasReact ? '✅' : '❌'}
+- Expo Available: ${pageState.hasExpo ? '✅' : '❌'}
+
+${allErrors.length > 0 ? `
+🚨 ERRORS CAPTURED (${allErrors.length}):
+${allErrors.map((err, i) => `
+${i + 1}. [${err.type.toUpperCase()}] ${err.message || err.text}
+   ${err.location ? `Location: ${err.location.url}:${err.location.lineNumber}:${err.location.columnNumber}` : ''}
+   ${err.stack ? `Stack: ${err.stack.split('\n')[1]?.trim()}` : ''}
+   Time: ${new Date(err.timestamp).toISOString()}
+`).join('')}
+` : '✅ No errors captured'}
+
+${takeScreenshots ? `
+📸 Screenshots:
+- Before: ${beforeScreenshot}
+- After: ${afterScreenshot}
+` : ''}`
+          }
+        ],
+        structuredContent: {
+          url: pageState.url,
+          dropdownFound,
+          clickedSelector,
+          pageBlank: isPageBlank,
+          pageState: { ...pageState, bodyTextLength: bodyContent.length },
+          errors: allErrors,
+          screenshots: takeScreenshots ? { before: beforeScreenshot, after: afterScreenshot } : null
+        }
+      };
+    } finally {
+      detachListeners();
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async extractContent(args) {
+    this.validateArgs(args, ['url']);
+    const { url, includeLinks = true, format = 'markdown', selector } = args;
+
+    const { page, session, release } = await this.acquirePage(args);
+
+    try {
+      await this.navigate(page, url, session);
+      
+      // Wait for React hydration for SPA sites
+      await this.waitForReactHydration(page);
+
+      const content = await this.extractPageContent(page, { includeLinks, format, selector });
+
+      let output = content.content;
+
+      if (includeLinks && content.links.length > 0) {
+        output += '\n---\n## Links Found:\n';
+        content.links.forEach(link => {
+          output += `[${link.id}] ${link.url} (${link.type})\n`;
+        });
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Content extracted from ${page.url()}:\n\n${output}`
+        }],
+        structuredContent: {
+          url: page.url(),
+          format,
+          title: content.title,
+          contentSelector: content.contentSelector,
+          content: content.content,
+          links: includeLinks ? content.links : []
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async extractPageContent(page, { includeLinks = true, format = 'markdown', selector = null } = {}) {
+    const result = await page.evaluate(({ includeLinks, format, selector, rules }) => {
+      const markdown = format === 'markdown';
+      const source = selector ? document.querySelector(selector) : document.body;
+      if (!source) return { error: `No element matches ${selector}` };
+
+      const unlikely = new RegExp(rules.unlikely, 'i');
+      const maybe = new RegExp(rules.maybe, 'i');
+      const positive = new RegExp(rules.positive, 'i');
+      const negative = new RegExp(rules.negative, 'i');
+
+      // Work on a detached copy so session pages keep their live DOM intact; visibility can
+      // only be read from the live nodes, so both trees are walked in step
+      const root = source.cloneNode(true);
+      const liveElements = source.querySelectorAll('*');
+      const copies = root.querySelectorAll('*');
+      const liveOf = new Map();
+      const hidden = [];
+      copies.forEach((copy, i) => {
+        const live = liveElements[i];
+        liveOf.set(copy, live);
+        const style = getComputedStyle(live);
+        if (style.display === 'none' || style.visibility === 'hidden' || live.hidden) hidden.push(copy);
+      });
+      hidden.forEach(el => el.remove());
+      root.querySelectorAll('script, style, noscript, template, iframe, object, embed, svg, canvas, button, input, select, textarea, link, meta')
+        .forEach(el => el.remove());
+
+      const textLength = el => el.textContent.replace(/\s+/g, ' ').trim().length;
+      const linkDensity = el => {
+        const length = textLength(el);
+        if (length === 0) return 0;
+        let linkLength = 0;
+        el.querySelectorAll('a').forEach(a => {
+          // In-page anchors (footnotes, table of contents) count less than outbound links
+          linkLength += textLength(a) * ((a.getAttribute('href') || '').startsWith('#') ? 0.3 : 1);
+        });
+        return linkLength / length;
+      };
+      const classWeight = el => {
+        const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id}`;
+        let weight = 0;
+        if (negative.test(names)) weight -= 25;
+        if (positive.test(names)) weight += 25;
+        if (el.matches('article, main, [role="main"], [itemprop~="articleBody"]')) weight += 25;
+        return weight;
+      };
+
+      let content = root;
+      let title = null;
+      if (!selector) {
+        // Drop page chrome: landmarks outside the article and elements whose class/id reads like boilerplate
+        root.querySelectorAll('nav, aside, [role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], [role="search"], [role="menu"], [role="menubar"], [role="dialog"], [role="alertdialog"]')
+          .forEach(el => el.remove());
+        root.querySelectorAll('header, footer').forEach(el => {
+          // Article headers carry the title and byline; site headers and footers are chrome
+          const inArticle = el.parentElement?.closest('article, main, [role="main"]');
+          if (el.tagName === 'FOOTER' || (!inArticle && !el.querySelector('h1'))) el.remove();
+        });
+        root.querySelectorAll('*').forEach(el => {
+          if (!root.contains(el) || el.matches('a, article, main, [role="main"], table, tbody, thead, tr, td, th, pre, code')) return;
+          const names = `${typeof el.className === 'string' ? el.className : ''} ${el.id}`;
+          if (unlikely.test(names) && !maybe.test(names) && !el.querySelector('article, main, [role="main"]')) el.remove();
+        });
+
+        // Score paragraph-like blocks and credit their ancestors, as Readability does
+        const scores = new Map();
+        const initialScore = el => {
+          const base = { DIV: 5, ARTICLE: 5, MAIN: 5, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3, TH: -5 }[el.tagName] ?? 0;
+          return base + (/^H[1-6]$/.test(el.tagName) ? -5 : 0) + classWeight(el);
+        };
+        const blocks = 'p, pre, td, blockquote, div, section, li, dd';
+        root.querySelectorAll(blocks).forEach(el => {
+          // Containers only count when they hold text directly (React Native Web renders <Text> as <div>)
+          if (['DIV', 'SECTION', 'LI', 'DD'].includes(el.tagName) && el.querySelector('p, pre, div, section, blockquote, table, ul, ol')) return;
+          const text = el.textContent.replace(/\s+/g, ' ').trim();
+          if (text.length < rules.minParagraphLength) return;
+          const score = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+          let ancestor = el.parentElement;
+          for (let level = 0; ancestor && level < 5; level++, ancestor = ancestor.parentElement) {
+            if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+            scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+            if (ancestor === root) break;
+          }
+        });
+        const finalScore = el => (scores.get(el) ?? 0) * (1 - linkDensity(el));
+
+        let top = null;
+        let topScore = 0;
+        for (const el of scores.keys()) {
+          const score = finalScore(el);
+          if (score > topScore) {
+            top = el;
+            topScore = score;
+          }
+        }
+
+        if (top && top !== root) {
+          // A parent scoring nearly as well means the content is split across siblings
+          while (top.parentElement && top !== root && scores.has(top.parentElement) && finalScore(top.parentElement) >= topScore * 0.75) {
+            top = top.parentElement;
+          }
+          const parent = top.parentElement;
+          if (top !== root && parent) {
+            const threshold = Math.max(10, topScore * rules.siblingThreshold);
+            const container = document.createElement('div');
+            for (const sibling of Array.from(parent.children)) {
+              let keep = sibling === top || finalScore(sibling) >= threshold;
+              if (!keep && sibling.tagName === 'P') {
+                const length = textLength(sibling);
+                const density = linkDensity(sibling);
+                keep = (length > 80 && density < 0.25) ||
+                  (length > 0 && density === 0 && /\.( |$)/.test(sibling.textContent));
               }
-            },
-            required: ['url']
+              if (keep) container.appendChild(sibling);
+            }
+            // The article title often sits in a header outside the scored body
+            const heading = root.querySelectorAll('h1');
+            if (!container.querySelector('h1') && heading.length === 1 && !container.contains(heading[0])) {
+              container.insertBefore(heading[0], container.firstChild);
+            }
+            content = container;
+            // Report the closest live element holding every merged block, not just the top one
+            const merged = Array.from(container.children, child => liveOf.get(child));
+            let ancestor = merged[0];
+            while (ancestor && !merged.every(el => ancestor.contains(el))) ancestor = ancestor.parentElement;
+            liveOf.set(content, ancestor);
+          } else {
+            content = top;
           }
-        },
-        {
-          name: 'compare_screenshots',
-          description: 'Take screenshots of two pages and compare them visually for layout, colors, and typography',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              urlA: {
-                type: 'string',
-                description: 'First page (source)'
-              },
-              urlB: {
-                type: 'string',
-                description: 'Second page (target)'
-              },
-              browser: {
-                type: 'string',
-                enum: ['chromium', 'firefox', 'webkit'],
-                default: 'chromium',
-                description: 'Browser engine to use'
-              },
-              threshold: {
-                type: 'number',
-                default: 0.1,
-                description: 'Allowed difference ratio (0–1)'
-              },
-              analyzeLayout: {
-                type: 'boolean',
-                default: true,
-                description: 'Analyze layout positioning and alignment'
-              },
-              analyzeColors: {
-                type: 'boolean',
-                default: true,
-                description: 'Analyze exact color differences'
-              },
-              analyzeTypography: {
-                type: 'boolean',
-                default: true,
-                description: 'Analyze font sizes, weights, and spacing'
-              },
-              waitForSPA: {
-                type: 'boolean',
-                default: true,
-                description: 'Wait for SPA frameworks to load and hydrate'
+        }
+
+        // Clean the chosen content of link farms and boilerplate blocks, sparing the high scorers
+        content.querySelectorAll('div, section, ul, ol, table, form').forEach(el => {
+          if (!content.contains(el) || el.querySelector('pre') || finalScore(el) >= topScore * 0.5) return;
+          const length = textLength(el);
+          const density = linkDensity(el);
+          if ((classWeight(el) < 0 && (density > 0.2 || length < 200)) || (density > 0.5 && length < 500)) el.remove();
+        });
+
+        title = content.querySelector('h1')?.textContent.replace(/\s+/g, ' ').trim() || document.title || null;
+      }
+
+      const selectorFor = el => {
+        const isUnique = css => {
+          try {
+            return document.querySelectorAll(css).length === 1;
+          } catch (e) {
+            return false;
+          }
+        };
+        if (el.id && isUnique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+        const testId = el.getAttribute('data-testid');
+        if (testId && isUnique(`[data-testid=${JSON.stringify(testId)}]`)) return `[data-testid=${JSON.stringify(testId)}]`;
+
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+          if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+            parts.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const tag = node.tagName.toLowerCase();
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+            : [];
+          parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
+      };
+      const contentElement = content === root ? source : liveOf.get(content);
+
+      const links = [];
+      const linkIds = new Map();
+      const categorizeLink = (href, baseUrl) => {
+        try {
+          const url = new URL(href, baseUrl);
+          const base = new URL(baseUrl);
+          
+          if (href.startsWith('#')) return 'anchor';
+          if (url.hostname === base.hostname) return 'internal';
+          if (href.match(/\.(pdf|doc|docx|zip|tar|gz)$/i)) return 'download';
+          return 'external';
+        } catch {
+          return 'invalid';
+        }
+      };
+      const escapeUrl = url => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+      const absolute = value => {
+        try {
+          return new URL(value, document.baseURI).href;
+        } catch (e) {
+          return value;
+        }
+      };
+
+      // Sentinels survive whitespace normalization: \u0001 is a hard line break, \u0002 list
+      // indentation, and \u0003n\u0003 a preformatted block restored verbatim at the end
+      const preformatted = [];
+      const normalize = text => text.replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n');
+      const block = text => {
+        const inner = normalize(text).trim();
+        return inner ? `\n\n${inner}\n\n` : '';
+      };
+      const wrap = (text, mark) => {
+        if (!markdown) return text;
+        const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return inner ? `${before}${mark}${inner}${mark}${after}` : text;
+      };
+      const inlineCode = text => {
+        const ticks = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length)) + 1);
+        return text.includes('`') ? `${ticks} ${text} ${ticks}` : `\`${text}\``;
+      };
+
+      const convertChildren = el => Array.from(el.childNodes).map(convert).join('');
+      const convert = node => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        const tag = node.tagName;
+
+        switch (tag) {
+          case 'H1':
+          case 'H2':
+          case 'H3':
+          case 'H4':
+          case 'H5':
+          case 'H6': {
+            const text = normalize(convertChildren(node)).replace(/[\n\u0001]+/g, ' ').trim();
+            if (!text) return '';
+            const level = parseInt(tag[1], 10);
+            if (markdown) return block(`${'#'.repeat(level)} ${text}`);
+            return block(level <= 2 ? `${text}\n${(level === 1 ? '=' : '-').repeat(text.length)}` : text);
+          }
+          case 'BR':
+            return '\u0001';
+          case 'HR':
+            return block(markdown ? '---' : '');
+          case 'STRONG':
+          case 'B':
+            return wrap(convertChildren(node), '**');
+          case 'EM':
+          case 'I':
+          case 'CITE':
+            return wrap(convertChildren(node), '*');
+          case 'DEL':
+          case 'S':
+          case 'STRIKE':
+            return wrap(convertChildren(node), '~~');
+          case 'CODE':
+          case 'KBD':
+          case 'SAMP':
+          case 'TT': {
+            const text = node.textContent.replace(/\s+/g, ' ');
+            return markdown && text.trim() ? inlineCode(text) : text;
+          }
+          case 'A': {
+            const text = convertChildren(node);
+            const href = node.getAttribute('href');
+            if (!includeLinks || !href || /^javascript:/i.test(href) || !text.trim()) return text;
+            const url = href.startsWith('#') ? href : absolute(href);
+            if (!linkIds.has(url)) {
+              linkIds.set(url, links.length + 1);
+              links.push({ id: links.length + 1, text: normalize(text).replace(/[\n\u0001]+/g, ' ').trim(), url, type: categorizeLink(href, window.location.href) });
+            }
+            const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return markdown ? `${before}[${inner}](${escapeUrl(url)})${after}` : `${before}${inner} [${linkIds.get(url)}]${after}`;
+          }
+          case 'IMG': {
+            const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+            const src = node.getAttribute('src') || node.getAttribute('data-src');
+            // Skip tracking pixels and unlabeled decorative images
+            if (node.getAttribute('width') === '1' || node.getAttribute('height') === '1') return '';
+            if (!markdown) return alt ? `[Image: ${alt}]` : '';
+            if (!src || src.startsWith('data:')) return alt ? `[Image: ${alt}]` : '';
+            return `![${alt.replace(/[[\]]/g, '')}](${escapeUrl(absolute(src))})`;
+          }
+          case 'PRE': {
+            const code = node.textContent.replace(/\n+$/, '');
+            if (!code.trim()) return '';
+            const language = (`${node.className} ${node.querySelector('code')?.className || ''}`.match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+            const fence = '`'.repeat(Math.max(3, ...(code.match(/`{3,}/g) || []).map(run => run.length + 1)));
+            preformatted.push({ code, block: markdown ? `${fence}${language}\n${code}\n${fence}` : code });
+            return block(`\u0003${preformatted.length - 1}\u0003`);
+          }
+          case 'BLOCKQUOTE': {
+            const inner = normalize(convertChildren(node)).trim();
+            if (!inner) return '';
+            return block(markdown ? inner.split('\n').map(line => line ? `> ${line}` : '>').join('\n') : `"${inner}"`);
+          }
+          case 'UL':
+          case 'OL': {
+            let number = parseInt(node.getAttribute('start'), 10) || 1;
+            const items = Array.from(node.children).filter(child => child.tagName === 'LI').map(item => {
+              const marker = tag === 'OL' ? `${number++}.` : '-';
+              const body = normalize(convertChildren(item)).trim().replace(/\n{2,}/g, '\n');
+              return `${marker} ${body.split('\n').join(`\n${'\u0002'.repeat(marker.length + 1)}`)}`;
+            });
+            return items.length > 0 ? block(items.join('\n')) : '';
+          }
+          case 'DL':
+            return block(Array.from(node.children).map(child => {
+              const text = normalize(convertChildren(child)).trim();
+              if (!text) return '';
+              if (child.tagName === 'DT') return markdown ? `**${text}**` : text;
+              return `: ${text}`;
+            }).filter(Boolean).join('\n'));
+          case 'TABLE': {
+            const rows = Array.from(node.rows || []);
+            const width = Math.max(0, ...rows.map(row => Array.from(row.cells).reduce((sum, cell) => sum + (cell.colSpan || 1), 0)));
+            // Layout tables only arrange other blocks
+            if (width < 2 || ['presentation', 'none'].includes(node.getAttribute('role')) || node.querySelector('table')) {
+              return block(rows.flatMap(row => Array.from(row.cells, cell => block(convertChildren(cell)))).join(''));
+            }
+            // A pipe row must stay on one line: breaks become <br> and code blocks inline code
+            const cellText = cell => normalize(convertChildren(cell))
+              .trim()
+              .replace(/\u0003(\d+)\u0003/g, (match, index) => preformatted[index].code
+                .split('\n')
+                .filter(codeLine => codeLine.trim())
+                .map(codeLine => (markdown ? inlineCode(codeLine.trimEnd()) : codeLine.trim()))
+                .join('\n'))
+              .replace(/[\n\u0001]+/g, markdown ? '<br>' : ' ')
+              .replace(/\|/g, '\\|');
+            const grid = rows.map(row => {
+              const cells = [];
+              for (const cell of row.cells) {
+                cells.push(cellText(cell));
+                for (let i = 1; i < (cell.colSpan || 1); i++) cells.push('');
               }
-            },
-            required: ['urlA', 'urlB']
+              while (cells.length < width) cells.push('');
+              return cells;
+            });
+            const line = cells => `| ${cells.join(' | ')} |`;
+            const caption = node.caption ? normalize(convertChildren(node.caption)).trim() : '';
+            return block([
+              caption ? (markdown ? `**${caption}**\n` : `${caption}\n`) : '',
+              line(grid[0]),
+              line(grid[0].map(() => '---')),
+              ...grid.slice(1).map(line)
+            ].filter(Boolean).join('\n'));
           }
+          case 'FIGCAPTION': {
+            const caption = normalize(convertChildren(node)).trim();
+            return caption ? block(markdown ? `*${caption}*` : caption) : '';
+          }
+          case 'P':
+          case 'DIV':
+          case 'SECTION':
+          case 'ARTICLE':
+          case 'MAIN':
+          case 'HEADER':
+          case 'FOOTER':
+          case 'FIGURE':
+          case 'ADDRESS':
+          case 'DETAILS':
+          case 'SUMMARY':
+          case 'FORM':
+          case 'FIELDSET':
+          case 'LI':
+          case 'DD':
+          case 'DT':
+            return block(convertChildren(node));
+          default:
+            return convertChildren(node);
         }
-      ]
-    }));
+      };
+
+      const text = normalize(convert(content))
+        .trim()
+        .replace(/\u0001/g, markdown ? '  \n' : '\n')
+        .replace(/\u0002/g, ' ')
+        .replace(/^(.*?)\u0003(\d+)\u0003/gm, (match, prefix, index) => preformatted[index].block
+          .split('\n')
+          .map((line, i) => (i === 0 ? prefix : ' '.repeat(prefix.length)) + line)
+          .join('\n'));
+
+      return {
+        content: text ? `${text}\n` : '',
+        links,
+        title,
+        contentSelector: contentElement && contentElement !== document.body ? selectorFor(contentElement) : 'body'
+      };
+    }, {
+      includeLinks,
+      format,
+      selector,
+      rules: {
+        unlikely: READABILITY.unlikelyCandidates.source,
+        maybe: READABILITY.maybeCandidates.source,
+        positive: READABILITY.positive.source,
+        negative: READABILITY.negative.source,
+        minParagraphLength: READABILITY.minParagraphLength,
+        siblingThreshold: READABILITY.siblingThreshold
+      }
+    });
+
+    if (result.error) throw new Error(result.error);
+    return result;
+  }
+
+  async crawlSite(args) {
+    const { crawlId, maxContentChars = CRAWL.maxContentChars } = args;
+    const saved = crawlId ? this.readCrawlState(crawlId) : null;
+    if (!saved) this.validateArgs(args, ['url']);
+
+    // A resumed crawl keeps its original settings unless the call overrides them (e.g. a higher maxPages)
+    const settingKeys = ['url', 'sameOrigin', 'include', 'exclude', 'maxDepth', 'maxPages', 'concurrency', 'respectRobots', 'delay', 'format'];
+    const settings = {
+      sameOrigin: true,
+      include: [],
+      exclude: [],
+      maxDepth: CRAWL.maxDepth,
+      maxPages: CRAWL.maxPages,
+      concurrency: CRAWL.concurrency,
+      respectRobots: true,
+      delay: 0,
+      format: 'markdown',
+      ...saved?.settings,
+      ...Object.fromEntries(settingKeys.filter(key => args[key] !== undefined).map(key => [key, args[key]]))
+    };
+    if (saved && args.url && args.url !== saved.settings.url) {
+      throw new Error(`Crawl ${crawlId} started at ${saved.settings.url}; use a new crawlId to crawl ${args.url}`);
+    }
+
+    const startUrl = this.normalizeCrawlUrl(settings.url);
+    if (!startUrl) throw new Error(`Invalid start URL: ${settings.url}`);
+    const include = settings.include.map(pattern => new RegExp(pattern));
+    const exclude = settings.exclude.map(pattern => new RegExp(pattern));
+    const concurrency = Math.max(1, Math.min(settings.concurrency, CRAWL.maxConcurrency));
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const state = saved || {
+      // The random suffix keeps two crawls of the same host started in the same second apart
+      id: crawlId || `${stamp}-${new URL(startUrl).hostname}-${randomUUID().slice(0, 8)}`,
+      createdAt: new Date().toISOString(),
+      status: 'running',
+      queue: [{ url: startUrl, depth: 0 }],
+      seen: [startUrl],
+      pages: [],
+      // Links found beyond maxDepth, queued if the crawl is resumed with a deeper maxDepth
+      deferred: [],
+      skipped: { robots: 0, external: 0, excluded: 0 }
+    };
+    state.settings = settings;
+    state.queue.push(...state.deferred.filter(item => item.depth <= settings.maxDepth));
+    state.deferred = state.deferred.filter(item => item.depth > settings.maxDepth);
+    const dir = this.getCrawlDir(state.id);
+    fs.mkdirSync(path.join(dir, 'pages'), { recursive: true });
+
+    const seen = new Set(state.seen);
+    const pending = new Set();
+    const save = () => {
+      state.seen = [...seen];
+      this.writeCrawlState(state, [...pending]);
+    };
+    save();
+
+    const { page, context, release } = await this.acquirePage(args, { freshPage: true });
+    const workerPages = [page];
+    const robots = new Map();
+    let nextRequestAt = 0;
+
+    const robotsFor = async origin => {
+      if (!robots.has(origin)) robots.set(origin, await this.loadRobots(context.request, origin));
+      return robots.get(origin);
+    };
+
+    const enqueue = (href, depth) => {
+      const url = this.normalizeCrawlUrl(href);
+      if (!url || seen.has(url)) return false;
+      seen.add(url);
+      if (settings.sameOrigin && new URL(url).origin !== new URL(startUrl).origin) {
+        state.skipped.external++;
+      } else if (CRAWL.skipExtensions.test(new URL(url).pathname)
+        || (include.length > 0 && !include.some(pattern => pattern.test(url)))
+        || exclude.some(pattern => pattern.test(url))) {
+        state.skipped.excluded++;
+      } else if (depth > settings.maxDepth) {
+        state.deferred.push({ url, depth });
+      } else {
+        state.queue.push({ url, depth });
+        return true;
+      }
+      return false;
+    };
+
+    const crawlPage = async (workerPage, item) => {
+      const origin = new URL(item.url).origin;
+      const rules = settings.respectRobots ? await robotsFor(origin) : null;
+      if (rules && !rules.isAllowed(item.url)) {
+        state.skipped.robots++;
+        return;
+      }
+
+      // Requests are spaced by the larger of `delay` and the site's Crawl-delay, across all workers
+      const spacing = Math.max(settings.delay, (rules?.crawlDelay ?? 0) * 1000);
+      const now = Date.now();
+      const slot = Math.max(now, nextRequestAt);
+      nextRequestAt = slot + spacing;
+      if (slot > now) await workerPage.waitForTimeout(slot - now);
+
+      const summary = { url: item.url, depth: item.depth, status: null, title: null, words: 0, links: 0, queued: 0, contentPath: null, error: null };
+      try {
+        const response = await workerPage.goto(item.url, { waitUntil: 'networkidle', timeout: CRAWL.pageTimeout });
+        summary.status = response?.status() ?? null;
+        const finalUrl = this.normalizeCrawlUrl(workerPage.url());
+        if (finalUrl && finalUrl !== item.url) {
+          summary.finalUrl = finalUrl;
+          seen.add(finalUrl);
+          // A redirect can land on a disallowed path or another host's rules
+          const finalRules = settings.respectRobots ? await robotsFor(new URL(finalUrl).origin) : null;
+          if (finalRules && !finalRules.isAllowed(finalUrl)) {
+            state.skipped.robots++;
+            return;
+          }
+        }
+        const contentType = response?.headers()['content-type'] || '';
+        if (contentType && !contentType.includes('html')) throw new Error(`Not an HTML page (${contentType})`);
+
+        if (await this.isSPA(workerPage)) await this.waitForSPAReady(workerPage);
+
+        const extracted = await this.extractPageContent(workerPage, { includeLinks: false, format: settings.format });
+        const links = await this.collectPageLinks(workerPage);
+        summary.title = await workerPage.title();
+        summary.words = extracted.content.split(/\s+/).filter(Boolean).length;
+        summary.links = links.length;
+        summary.queued = links.filter(href => enqueue(href, item.depth + 1)).length;
+
+        const fileName = `${String(state.pages.length + 1).padStart(4, '0')}.${settings.format === 'markdown' ? 'md' : 'txt'}`;
+        summary.contentPath = path.join(dir, 'pages', fileName);
+        fs.writeFileSync(summary.contentPath, extracted.content);
+      } catch (error) {
+        summary.error = error.message;
+      }
+      state.pages.push(summary);
+    };
+
+    try {
+      while (workerPages.length < concurrency) workerPages.push(await context.newPage());
+
+      const worker = async workerPage => {
+        // Idle workers wait while others are still discovering links
+        while (state.pages.length + pending.size < settings.maxPages && (state.queue.length > 0 || pending.size > 0)) {
+          const item = state.queue.shift();
+          if (!item) {
+            await workerPage.waitForTimeout(100);
+            continue;
+          }
+          pending.add(item);
+          try {
+            await crawlPage(workerPage, item);
+          } finally {
+            pending.delete(item);
+            save();
+          }
+        }
+      };
+      await Promise.all(workerPages.map(worker));
+
+      state.status = state.queue.length === 0 ? 'complete' : 'partial';
+      save();
+    } finally {
+      for (const extra of workerPages.slice(1)) await extra.close().catch(() => {});
+      await release();
+    }
+
+    const combined = state.pages
+      .filter(summary => summary.contentPath && fs.existsSync(summary.contentPath))
+      .map(summary => settings.format === 'markdown'
+        ? `# ${summary.title || summary.url}\n\nSource: ${summary.finalUrl || summary.url}\n\n${fs.readFileSync(summary.contentPath, 'utf8')}`
+        : `${summary.title || summary.url}\nSource: ${summary.finalUrl || summary.url}\n\n${fs.readFileSync(summary.contentPath, 'utf8')}`)
+      .join('\n\n---\n\n');
+    const combinedPath = path.join(dir, settings.format === 'markdown' ? 'combined.md' : 'combined.txt');
+    fs.writeFileSync(combinedPath, combined);
+
+    const failed = state.pages.filter(summary => summary.error);
+    const skipped = { ...state.skipped, depth: state.deferred.length };
+    const pageLines = state.pages.map(summary => summary.error
+      ? `- ❌ ${summary.url}: ${summary.error}`
+      : `- [${summary.status ?? '?'}] ${summary.title || '(untitled)'} — ${summary.finalUrl || summary.url} (depth ${summary.depth}, ${summary.words} words, ${summary.links} links, ${summary.queued} queued)`);
+    const content = combined.length > maxContentChars ? `${combined.slice(0, maxContentChars)}\n\n... truncated, full content in ${combinedPath}` : combined;
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🕷️ Crawl ${state.id} of ${startUrl}: ${state.status === 'complete' ? '✅ complete' : `⏸️ partial (${state.queue.length} URLs still queued — call again with crawlId "${state.id}" and a higher maxPages to continue)`}
+
+📊 Pages: ${state.pages.length} crawled${failed.length > 0 ? `, ${failed.length} failed` : ''}${saved ? ' (resumed)' : ''}
+⏭️ Skipped: ${skipped.robots} blocked by robots.txt, ${skipped.external} external, ${skipped.excluded} excluded, ${skipped.depth} beyond depth ${settings.maxDepth}
+📁 Crawl directory: ${dir}
+
+📄 Pages:
+${pageLines.join('\n')}
+
+📚 Combined content (${combined.length} chars, saved to ${combinedPath}):
+
+${content}`
+      }],
+      structuredContent: {
+        crawlId: state.id,
+        startUrl,
+        status: state.status,
+        resumed: !!saved,
+        dir,
+        combinedPath,
+        pages: state.pages,
+        queued: state.queue.length,
+        skipped,
+        content,
+        contentTruncated: content.length < combined.length
+      }
+    };
+  }
+
+  getCrawlDir(crawlId) {
+    if (!/^[\w.-]+$/.test(crawlId || '')) {
+      throw new Error(`Invalid crawlId: ${crawlId}. Use letters, digits, dot, dash and underscore`);
+    }
+    return path.join(CRAWLS_DIR, crawlId);
+  }
+
+  readCrawlState(crawlId) {
+    const statePath = path.join(this.getCrawlDir(crawlId), 'state.json');
+    return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : null;
+  }
+
+  writeCrawlState(state, inFlight = []) {
+    // In-flight pages go back to the front of the queue so an interrupted crawl retries them
+    const snapshot = { ...state, queue: [...inFlight, ...state.queue], updatedAt: new Date().toISOString() };
+    fs.writeFileSync(path.join(this.getCrawlDir(state.id), 'state.json'), JSON.stringify(snapshot, null, 2));
+  }
+
+  normalizeCrawlUrl(href) {
+    try {
+      const url = new URL(href);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.href;
+    } catch {
+      return null;
+    }
+  }
+
+  async collectPageLinks(page) {
+    return await page.evaluate(() => Array.from(document.querySelectorAll('a[href], area[href]'), link => link.href));
+  }
+
+  async loadRobots(request, origin, userAgent = CRAWL.userAgent) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const response = await request.get(robotsUrl, { timeout: TIMEOUTS.NAVIGATION });
+      // Dev servers often answer every path with the SPA's index.html
+      if (!response.ok() || (response.headers()['content-type'] || '').includes('text/html')) return new RobotsTxt('', userAgent);
+      return new RobotsTxt(await response.text(), userAgent, { url: robotsUrl });
+    } catch (error) {
+      return new RobotsTxt('', userAgent);
+    }
+  }
+
+  async acquireRequestContext(args = {}) {
+    // Plain HTTP fetches don't need a browser; sessions reuse their context's cookies
+    if (args.sessionId) {
+      return { request: this.getSession(args.sessionId).context.request, release: async () => {} };
+    }
+    const storageState = this.resolveStorageState(args);
+    const request = await apiRequest.newContext(storageState ? { storageState } : {});
+    return { request, release: async () => await request.dispose() };
+  }
+
+  async discoverUrls(args) {
+    this.validateArgs(args, ['url']);
+    const {
+      url,
+      sitemaps: extraSitemaps = [],
+      userAgent = CRAWL.userAgent,
+      include = [],
+      exclude = [],
+      onlyAllowed = false,
+      maxUrls = DISCOVERY.maxUrls,
+      maxSitemaps = DISCOVERY.maxSitemaps
+    } = args;
+
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+    const includePatterns = include.map(pattern => new RegExp(pattern));
+    const excludePatterns = exclude.map(pattern => new RegExp(pattern));
+    const { request, release } = await this.acquireRequestContext(args);
+
+    try {
+      const robots = await this.loadRobots(request, origin, userAgent);
+
+      const queue = [
+        ...robots.sitemaps.map(sitemapUrl => ({ url: sitemapUrl, source: 'robots.txt' })),
+        ...extraSitemaps.map(sitemapUrl => ({ url: new URL(sitemapUrl, origin).href, source: 'argument' }))
+      ];
+      if (queue.length === 0) queue.push({ url: `${origin}/sitemap.xml`, source: 'default location' });
+
+      const sitemaps = [];
+      const urls = new Map();
+      const visited = new Set();
+      let skipped = 0;
+      let truncated = false;
+
+      while (queue.length > 0 && sitemaps.length < maxSitemaps && !truncated) {
+        const next = queue.shift();
+        if (visited.has(next.url)) continue;
+        visited.add(next.url);
+
+        const sitemap = { url: next.url, source: next.source, type: null, urls: 0, sitemaps: 0, error: null };
+        sitemaps.push(sitemap);
+        try {
+          const parsed = this.parseSitemap(await this.fetchSitemap(request, next.url));
+          sitemap.type = parsed.type;
+          if (parsed.type === 'index') {
+            sitemap.sitemaps = parsed.entries.length;
+            queue.push(...parsed.entries.map(entry => ({ url: entry.loc, source: next.url })));
+            continue;
+          }
+          for (const entry of parsed.entries) {
+            if (urls.has(entry.loc)) continue;
+            // One malformed <loc> should not cost the rest of the sitemap
+            let entryOrigin;
+            try {
+              entryOrigin = new URL(entry.loc).origin;
+            } catch {
+              skipped++;
+              continue;
+            }
+            if ((includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(entry.loc)))
+              || excludePatterns.some(pattern => pattern.test(entry.loc))) {
+              skipped++;
+              continue;
+            }
+            // robots.txt only speaks for its own origin
+            const allowed = entryOrigin === origin ? robots.isAllowed(entry.loc) : null;
+            if (onlyAllowed && allowed === false) {
+              skipped++;
+              continue;
+            }
+            if (urls.size >= maxUrls) {
+              truncated = true;
+              break;
+            }
+            urls.set(entry.loc, { ...entry, allowed });
+            sitemap.urls++;
+          }
+        } catch (error) {
+          sitemap.error = error.message;
+        }
+      }
+      const pendingSitemaps = queue.filter(item => !visited.has(item.url)).length;
+
+      const list = [...urls.values()];
+      const disallowed = list.filter(entry => entry.allowed === false).length;
+      const rules = robots.rules.map(rule => rule.path);
+
+      const robotsLines = robots.url
+        ? [
+            `🤖 robots.txt: ${robots.url}`,
+            `- Rules for user agent "${userAgent}":${robots.rules.length === 0 ? ' everything allowed' : ''}`,
+            ...robots.rules.map(rule => `  ${rule.allow ? '✅ Allow' : '🚫 Disallow'}: ${rule.path}`),
+            ...(robots.crawlDelay !== null ? [`- Crawl-delay: ${robots.crawlDelay}s`] : []),
+            `- Sitemaps listed: ${robots.sitemaps.length}`
+          ]
+        : ['🤖 robots.txt: not found (everything allowed)'];
+      const sitemapLines = sitemaps.map(sitemap => `- ${sitemap.url} (${sitemap.source}): ${sitemap.error
+        ? `❌ ${sitemap.error}`
+        : sitemap.type === 'index' ? `index of ${sitemap.sitemaps} sitemaps` : `${sitemap.urls} URLs`}`);
+      const urlLines = list.slice(0, DISCOVERY.listLimit).map(entry => {
+        const details = [
+          entry.lastmod && `lastmod ${entry.lastmod}`,
+          entry.changefreq && entry.changefreq,
+          entry.priority !== null && `priority ${entry.priority}`
+        ].filter(Boolean);
+        return `- ${entry.allowed === false ? '🚫 ' : ''}${entry.loc}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+      });
+
+      let text = `🗺️ URL discovery for ${origin}:\n\n${robotsLines.join('\n')}\n\n📑 Sitemaps (${sitemaps.length}):\n${sitemapLines.join('\n')}`;
+      if (pendingSitemaps > 0) text += `\n... ${pendingSitemaps} more sitemaps not fetched (maxSitemaps ${maxSitemaps})`;
+      text += `\n\n🔗 URLs: ${list.length}${disallowed > 0 ? ` (🚫 ${disallowed} disallowed for ${userAgent})` : ''}${skipped > 0 ? `, ${skipped} skipped (filtered out or invalid)` : ''}${truncated ? ` — stopped at maxUrls ${maxUrls}` : ''}`;
+      if (urlLines.length > 0) text += `\n${urlLines.join('\n')}`;
+      if (list.length > urlLines.length) text += `\n... ${list.length - urlLines.length} more in structuredContent.urls`;
+
+      return {
+        content: [{ type: 'text', text }],
+        structuredContent: {
+          origin,
+          robots: {
+            url: robots.url,
+            userAgent,
+            rules: robots.rules.map(rule => ({ allow: rule.allow, path: rule.path })),
+            disallow: robots.rules.filter(rule => !rule.allow).map(rule => rule.path),
+            crawlDelay: robots.crawlDelay,
+            sitemaps: robots.sitemaps
+          },
+          sitemaps,
+          urls: list,
+          total: list.length,
+          disallowed,
+          skipped,
+          truncated: truncated || pendingSitemaps > 0
+        }
+      };
+    } finally {
+      await release();
+    }
+  }
+
+  async fetchSitemap(request, sitemapUrl) {
+    const response = await request.get(sitemapUrl, { timeout: TIMEOUTS.DEFAULT });
+    if (!response.ok()) throw new Error(`HTTP ${response.status()}`);
+    let body = await response.body();
+    if (body.length > DISCOVERY.maxSitemapBytes) {
+      throw new Error(`Sitemap is larger than ${DISCOVERY.maxSitemapBytes} bytes`);
+    }
+    // Content-Encoding is decoded for us, but .xml.gz files arrive as raw gzip
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = zlib.gunzipSync(body, { maxOutputLength: DISCOVERY.maxSitemapBytes });
+    }
+    return body.toString('utf8');
+  }
+
+  parseSitemap(text) {
+    const decode = value => value
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+    // Only unprefixed tags: <image:loc> and friends belong to extensions, not the page
+    const field = (block, tag) => {
+      const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+      return match ? decode(match[1]) : null;
+    };
+    const entriesOf = blockPattern => (text.match(blockPattern) || [])
+      .map(block => {
+        const priority = field(block, 'priority');
+        return {
+          loc: field(block, 'loc'),
+          lastmod: field(block, 'lastmod'),
+          changefreq: field(block, 'changefreq'),
+          priority: priority !== null && !isNaN(parseFloat(priority)) ? parseFloat(priority) : null
+        };
+      })
+      .filter(entry => entry.loc);
+
+    if (/<sitemapindex[\s>]/.test(text)) {
+      return { type: 'index', entries: entriesOf(/<sitemap[\s>][\s\S]*?<\/sitemap>/g) };
+    }
+    if (/<urlset[\s>]/.test(text)) {
+      return { type: 'urlset', entries: entriesOf(/<url[\s>][\s\S]*?<\/url>/g) };
+    }
+    if (/<html[\s>]/i.test(text)) {
+      throw new Error('Not a sitemap (got an HTML page)');
+    }
+    // Plain-text sitemaps list one URL per line
+    const entries = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => /^https?:\/\//.test(line))
+      .map(loc => ({ loc, lastmod: null, changefreq: null, priority: null }));
+    return { type: 'text', entries };
+  }
+
+  async isSPA(page) {
+    // Runtime detection of SPA frameworks
+    return await page.evaluate(() => {
+      return !!(
+        window.React ||
+        window.Vue ||
+        window.angular ||
+        window.ng ||
+        window.__REACT_DEVTOOLS_GLOBAL_HOOK__ ||
+        document.querySelector('[data-reactroot]') ||
+        document.querySelector('#root') ||
+        document.querySelector('#app') ||
+        document.querySelector('[ng-version]') ||
+        document.querySelector('[data-vue-app]') ||
+        document.querySelector('script[src*="react"]') ||
+        document.querySelector('script[src*="vue"]') ||
+        document.querySelector('script[src*="angular"]') ||
+        document.querySelector('meta[name="generator"][content*="React"]') ||
+        document.querySelector('meta[name="generator"][content*="Vue"]') ||
+        document.querySelector('meta[name="generator"][content*="Angular"]')
+      );
+    });
+  }
+
+  async waitForSPAReady(page, timeout = 10000) {
+    try {
+      // Wait for common frameworks
+      await page.waitForFunction(() => {
+        return window.React || 
+               window.Vue || 
+               window.angular || 
+               window.ng ||
+               document.querySelector('[data-reactroot]') ||
+               document.querySelector('#root') ||
+               document.querySelector('#app') ||
+               document.querySelector('.vue-app') ||
+               document.querySelector('[ng-version]');
+      }, { timeout: 5000 });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      // Wait for loading indicators to disappear
+      const loadingSelectors = [
+        '[data-testid*="loading"]',
+        '[data-testid*="spinner"]',
+        '.loading', '.spinner', '.loader',
+        '[aria-label*="loading"]',
+        '[class*="loading"]',
+        '[class*="spinner"]'
+      ];
 
-      try {
-        switch (name) {
-          case 'inspect_element': {
-            const normalized = Array.isArray(args) ? { url: args[0], selector: args[1] } : args;
-            return await this.inspectElement(normalized);
-          }
-          case 'scrape_page':
-            return await this.scrapePage(args);
-          case 'inspect_react_app':
-            return await this.inspectReactApp(args);
-          case 'wait_for_react_state':
-            return await this.waitForReactState(args);
-          case 'execute_in_react_context':
-            return await this.executeInReactContext(args);
-          case 'check_expo_dev_server':
-            return await this.checkExpoDevServer(args);
-          case 'test_react_app':
-            return await this.testReactApp(args);
-          case 'get_page_info':
-            return await this.getPageInfo(args);
-          case 'test_dropdown_with_error_capture':
-            return await this.testDropdownWithErrorCapture(args);
-          case 'wait_for_element':
-            return await this.waitForElement(args);
-          case 'extract_content':
-            return await this.extractContent(args);
-          case 'take_screenshot':
-            return await this.takeScreenshot(args);
-          case 'compare_screenshots':
-            return await this.compareScreenshots(args);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+      for (const selector of loadingSelectors) {
+        try {
+          await page.waitForSelector(selector, { state: 'detached', timeout: 2000 });
+        } catch (e) {
+          // Selector not found or didn't disappear - continue
         }
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
       }
-    });
+
+      // Additional wait for content to stabilize
+      await page.waitForTimeout(1000);
+      
+    } catch (e) {
+      // Fallback: just wait a bit longer
+      await page.waitForTimeout(3000);
+    }
   }
 
-  async inspectElement(args) {
-    this.validateArgs(args, ['url', 'selector']);
-    const { url, selector, properties = [], browser: browserType = 'chromium' } = args;
+  async takeScreenshot(args) {
+    this.validateArgs(args, ['url']);
+    const {
+      url,
+      fullPage = true,
+      waitForSPA = true,
+      selector,
+      clip,
+      mask,
+      ignoreSelectors,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel
+    } = args;
 
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
+    const artifacts = this.artifacts.startRun('take_screenshot', { label: artifactLabel, url });
+    const { page, session, release } = await this.acquirePage(args);
 
     try {
-      await page.goto(url, { waitUntil: 'networkidle' });
+      const response = await this.navigate(page, url, session);
+      
+      if (!response) {
+        // Reused session page is already settled
+      } else if (waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      } else if (url.includes('expo') || url.includes(':8081')) {
+        await this.waitForReactHydration(page);
+      }
 
-      const data = await page.evaluate(({ selector: sel, properties: props }) => {
-        const el = document.querySelector(sel);
-        if (!el) return { error: `Element ${sel} not found` };
+      const screenshot = await this.captureScreenshot(page, { fullPage, selector, clip, mask, ignoreSelectors });
 
-        const styles = window.getComputedStyle(el);
-        const selected = props?.length > 0
-          ? props.reduce((acc, p) => { acc[p] = styles.getPropertyValue(p); return acc; }, {})
-          : Object.fromEntries(Array.from(styles).map(p => [p, styles.getPropertyValue(p)]));
+      // Save screenshot to file for reference
+      let screenshotPath = null;
+      if (saveToDisk) {
+        screenshotPath = artifacts.write('screenshot.png', screenshot, { url: page.url() });
+      }
+      const image = inlineImage || !saveToDisk ? await this.toImageContent(screenshot, inlineImage || true) : null;
+
+      // Get basic page analysis
+      const pageAnalysis = await page.evaluate(() => {
+        const body = document.body;
+        const visibleElements = Array.from(document.querySelectorAll('*')).filter(el => {
+          const style = window.getComputedStyle(el);
+          return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+        });
 
         return {
-          tag: el.tagName,
-          id: el.id,
-          className: el.className,
-          text: el.textContent?.trim(),
-          styles: selected
+          title: document.title,
+          bodyText: body.textContent?.trim().substring(0, 500) + '...',
+          visibleElementCount: visibleElements.length,
+          hasContent: body.textContent?.trim().length > 100,
+          mainElements: {
+            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+            paragraphs: document.querySelectorAll('p').length,
+            buttons: document.querySelectorAll('button').length,
+            inputs: document.querySelectorAll('input').length,
+            tables: document.querySelectorAll('table').length,
+            lists: document.querySelectorAll('ul, ol').length
+          }
         };
-      }, { selector, properties });
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Screenshot captured from ${page.url()}
+
+📸 ${screenshotPath ? `Screenshot saved to: ${screenshotPath}` : 'Screenshot not saved to disk'}${image ? `\n🖼️ Inline image: ${image.info.width}x${image.info.height} ${image.info.mimeType} (${Math.round(image.info.bytes / 1024)} KB)` : ''}${this.describeCaptureScope({ selector, clip, mask, ignoreSelectors })}
+
+📄 Page Analysis:
+- Title: ${pageAnalysis.title}
+- Has Content: ${pageAnalysis.hasContent ? '✅' : '❌'}
+- Visible Elements: ${pageAnalysis.visibleElementCount}
+
+📊 Content Elements:
+- Headings: ${pageAnalysis.mainElements.headings}
+- Paragraphs: ${pageAnalysis.mainElements.paragraphs}
+- Buttons: ${pageAnalysis.mainElements.buttons}
+- Inputs: ${pageAnalysis.mainElements.inputs}
+- Tables: ${pageAnalysis.mainElements.tables}
+- Lists: ${pageAnalysis.mainElements.lists}
+
+📝 Page Content Preview:
+${pageAnalysis.bodyText}`
+          },
+          ...(image ? [image.content] : [])
+        ],
+        structuredContent: {
+          url: page.url(),
+          screenshotPath,
+          image: image?.info ?? null,
+          ...pageAnalysis
+        }
+      };
+    } finally {
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async loadPagePair(pageA, pageB, urlA, urlB, waitForSPA = true) {
+    await Promise.all([
+      pageA.goto(urlA, { waitUntil: 'networkidle' }),
+      pageB.goto(urlB, { waitUntil: 'networkidle' })
+    ]);
+
+    // Wait for SPAs to be ready
+    if (waitForSPA) {
+      const waitPromises = [];
+      if (await this.isSPA(pageA)) waitPromises.push(this.waitForSPAReady(pageA));
+      if (await this.isSPA(pageB)) waitPromises.push(this.waitForSPAReady(pageB));
+      await Promise.all(waitPromises);
+    } else {
+      // Fallback to existing React hydration logic
+      if (urlA.includes('expo') || urlA.includes(':8081')) {
+        await this.waitForReactHydration(pageA);
+      }
+      if (urlB.includes('expo') || urlB.includes(':8081')) {
+        await this.waitForReactHydration(pageB);
+      }
+    }
+  }
+
+  async compareScreenshots(args) {
+    this.validateArgs(args, ['urlA', 'urlB']);
+    const { 
+      urlA, 
+      urlB, 
+      threshold = 0.1,
+      analyzeLayout = true,
+      analyzeColors = true,
+      analyzeTypography = true,
+      waitForSPA = true,
+      selector,
+      clip,
+      mask,
+      ignoreSelectors,
+      metric = 'perceptual',
+      diffImage = true,
+      diffThreshold = PIXEL_DIFF.threshold,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel
+    } = args;
+
+    const artifacts = this.artifacts.startRun('compare_screenshots', { label: artifactLabel, url: urlA });
+    const { page: pageA, context, release } = await this.acquirePage(args, { freshPage: true });
+    let pageB;
+    
+    try {
+      // Take screenshots
+      pageB = await context.newPage();
+      await this.loadPagePair(pageA, pageB, urlA, urlB, waitForSPA);
+
+      const captureOptions = { fullPage: true, selector, clip, mask, ignoreSelectors };
+      const [screenshotA, screenshotB] = await Promise.all([
+        this.captureScreenshot(pageA, captureOptions),
+        this.captureScreenshot(pageB, captureOptions)
+      ]);
+
+      // Save screenshots for reference
+      let pathA = null;
+      let pathB = null;
+      if (saveToDisk) {
+        pathA = artifacts.write('source.png', screenshotA, { url: urlA });
+        pathB = artifacts.write('target.png', screenshotB, { url: urlB });
+      }
+
+      // Get page content analysis for both pages
+      const [analysisA, analysisB] = await Promise.all([
+        pageA.evaluate(() => ({
+          title: document.title,
+          bodyText: document.body.textContent?.trim().substring(0, 300),
+          visibleElements: Array.from(document.querySelectorAll('*')).filter(el => {
+            const style = window.getComputedStyle(el);
+            return style.display !== 'none' && style.visibility !== 'hidden';
+          }).length,
+          mainElements: {
+            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+            paragraphs: document.querySelectorAll('p').length,
+            buttons: document.querySelectorAll('button').length,
+            tables: document.querySelectorAll('table').length,
+            tableRows: document.querySelectorAll('tr').length
+          }
+        })),
+        pageB.evaluate(() => ({
+          title: document.title,
+          bodyText: document.body.textContent?.trim().substring(0, 300),
+          visibleElements: Array.from(document.querySelectorAll('*')).filter(el => {
+            const style = window.getComputedStyle(el);
+            return style.display !== 'none' && style.visibility !== 'hidden';
+          }).length,
+          mainElements: {
+            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+            paragraphs: document.querySelectorAll('p').length,
+            buttons: document.querySelectorAll('button').length,
+            tables: document.querySelectorAll('table').length,
+            tableRows: document.querySelectorAll('tr').length
+          }
+        }))
+      ]);
+
+      // Analyze images
+      const { diffImages, ...analysis } = await this.analyzeVisualDifferences(
+        screenshotA, 
+        screenshotB, 
+        { analyzeLayout, analyzeColors, analyzeTypography, threshold, diffThreshold, metric, renderDiff: diffImage }
+      );
+
+      let diffPath = null;
+      let sideBySidePath = null;
+      if (diffImages && saveToDisk) {
+        diffPath = artifacts.write('diff.png', diffImages.diff);
+        sideBySidePath = artifacts.write('side-by-side.png', diffImages.sideBySide);
+      }
+
+      let images = null;
+      if (inlineImage || !saveToDisk) {
+        const imageOptions = inlineImage || true;
+        images = await Promise.all([
+          this.toImageContent(screenshotA, imageOptions),
+          this.toImageContent(screenshotB, imageOptions),
+          ...(diffImages ? [this.toImageContent(diffImages.diff, imageOptions)] : [])
+        ]);
+      }
+
+      // Content comparison
+      const contentComparison = {
+        titles: {
+          source: analysisA.title,
+          target: analysisB.title,
+          match: analysisA.title === analysisB.title
+        },
+        elementCounts: {
+          source: analysisA.visibleElements,
+          target: analysisB.visibleElements,
+          difference: Math.abs(analysisA.visibleElements - analysisB.visibleElements)
+        },
+        structuralElements: {
+          headings: { source: analysisA.mainElements.headings, target: analysisB.mainElements.headings },
+          paragraphs: { source: analysisA.mainElements.paragraphs, target: analysisB.mainElements.paragraphs },
+          buttons: { source: analysisA.mainElements.buttons, target: analysisB.mainElements.buttons },
+          tables: { source: analysisA.mainElements.tables, target: analysisB.mainElements.tables },
+          tableRows: { source: analysisA.mainElements.tableRows, target: analysisB.mainElements.tableRows }
+        }
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Visual comparison between ${urlA} and ${urlB}:
+
+${saveToDisk ? `📸 Screenshots saved:
+- Source: ${pathA}
+- Target: ${pathB}${diffPath ? `
+- Diff: ${diffPath}
+- Side-by-side: ${sideBySidePath}` : ''}` : '📸 Screenshots not saved to disk'}${images ? `\n🖼️ Inline images attached: source, target${diffImages ? ', diff' : ''}` : ''}${this.describeCaptureScope(captureOptions)}
+
+📊 VISUAL SIMILARITY: ${(analysis.similarity * 100).toFixed(1)}% ${analysis.similar ? '✅ PASS' : '❌ FAIL'}
+
+📄 Content Analysis:
+- Source Title: "${contentComparison.titles.source}"
+- Target Title: "${contentComparison.titles.target}"
+- Titles Match: ${contentComparison.titles.match ? '✅' : '❌'}
+
+📈 Element Counts:
+- Source Elements: ${contentComparison.elementCounts.source}
+- Target Elements: ${contentComparison.elementCounts.target}
+- Difference: ${contentComparison.elementCounts.difference} elements
+
+🏗️ Structural Comparison:
+- Headings: ${contentComparison.structuralElements.headings.source} → ${contentComparison.structuralElements.headings.target}
+- Paragraphs: ${contentComparison.structuralElements.paragraphs.source} → ${contentComparison.structuralElements.paragraphs.target}
+- Buttons: ${contentComparison.structuralElements.buttons.source} → ${contentComparison.structuralElements.buttons.target}
+- Tables: ${contentComparison.structuralElements.tables.source} → ${contentComparison.structuralElements.tables.target}
+- Table Rows: ${contentComparison.structuralElements.tableRows.source} → ${contentComparison.structuralElements.tableRows.target}
+
+${this.formatAnalysisResults(analysis)}`
+          },
+          ...(images ? images.map(image => image.content) : [])
+        ],
+        structuredContent: {
+          urlA,
+          urlB,
+          similarity: analysis.similarity,
+          passed: analysis.similar,
+          analysis,
+          contentComparison,
+          screenshots: { pathA, pathB, diffPath, sideBySidePath },
+          images: images ? { source: images[0].info, target: images[1].info, diff: images[2]?.info ?? null } : null
+        }
+      };
+    } finally {
+      await pageB?.close();
+      artifacts.finish();
+      await release();
+    }
+  }
+
+  async compareDom(args) {
+    this.validateArgs(args, ['urlA', 'urlB']);
+    const {
+      urlA,
+      urlB,
+      selector,
+      ignoreSelectors = [],
+      waitForSPA = true,
+      maxNodes = DOM_DIFF.maxNodes,
+      maxChanges = DOM_DIFF.maxChanges
+    } = args;
+
+    const { page: pageA, context, release } = await this.acquirePage(args, { freshPage: true });
+    let pageB;
+
+    try {
+      pageB = await context.newPage();
+      await this.loadPagePair(pageA, pageB, urlA, urlB, waitForSPA);
+
+      const snapshotOptions = { selector: selector || null, ignoreSelectors, maxNodes };
+      const [snapshotA, snapshotB] = await Promise.all([
+        this.snapshotDom(pageA, snapshotOptions),
+        this.snapshotDom(pageB, snapshotOptions)
+      ]);
+      if (snapshotA.error || snapshotB.error) {
+        throw new Error(`${snapshotA.error ? 'Source' : 'Target'}: ${snapshotA.error || snapshotB.error}`);
+      }
+
+      const diff = this.diffDomTrees(snapshotA.nodes, snapshotB.nodes);
+      const { tree, changes, truncated } = this.formatDomDiff(snapshotA.nodes, snapshotB.nodes, diff, maxChanges);
+      const counts = {
+        source: snapshotA.nodes.length,
+        target: snapshotB.nodes.length,
+        matched: diff.matched,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        moved: diff.moved.length,
+        textChanged: diff.textChanged.length
+      };
+      const identical = counts.added + counts.removed + counts.moved + counts.textChanged === 0;
 
       return {
         content: [{
           type: 'text',
-          text: `Inspection result for ${selector} on ${url}:\n\n${JSON.stringify(data, null, 2)}`
-        }]
+          text: `DOM comparison between ${urlA} and ${urlB}${selector ? ` (scope: ${selector})` : ''}:
+
+📊 Nodes: ${counts.source} → ${counts.target} (${counts.matched} matched)${snapshotA.truncated || snapshotB.truncated ? ` ⚠️ stopped at ${maxNodes} nodes per page` : ''}
+➕ Added: ${counts.added}  ➖ Removed: ${counts.removed}  ↪️ Moved: ${counts.moved}  ✏️ Text changed: ${counts.textChanged}
+
+${identical ? '✅ No structural differences' : `🌳 Tree diff (+ added, - removed, ↪ moved, ~ text changed):
+${tree}${truncated ? `\n... ${changes.length} of ${counts.added + counts.removed + counts.moved + counts.textChanged} changes shown (raise maxChanges for more)` : ''}`}`
+        }],
+        structuredContent: {
+          urlA,
+          urlB,
+          selector: selector || null,
+          identical,
+          counts,
+          changes,
+          truncated: truncated || snapshotA.truncated || snapshotB.truncated
+        }
       };
     } finally {
-      await context.close();
-      await browser.close();
+      await pageB?.close();
+      await release();
     }
   }
-  
 
-  async scrapePage(args) {
-    this.validateArgs(args, ['url']);
-    const { 
-      url, 
-      selector, 
-      browser: browserType = 'chromium', 
-      waitFor, 
-      screenshot,
-      mobileViewport = false,
-      device
+  async compareStyles(args) {
+    this.validateArgs(args, ['urlA', 'urlB']);
+    const {
+      urlA,
+      urlB,
+      selectors = [],
+      properties = STYLE_DIFF.properties,
+      boxTolerance = 1,
+      waitForSPA = true,
+      maxElements = STYLE_DIFF.maxElements
     } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType, device);
-    const page = await context.newPage();
-    
+
+    const { page: pageA, context, release } = await this.acquirePage(args, { freshPage: true });
+    let pageB;
+
     try {
-      if (mobileViewport && !device) {
-        await this.setupMobileViewport(page);
-      }
+      pageB = await context.newPage();
+      await this.loadPagePair(pageA, pageB, urlA, urlB, waitForSPA);
 
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      if (mobileViewport || device || url.includes('expo') || url.includes(':8081')) {
-        await this.waitForReactHydration(page);
-      }
-      
-      if (waitFor) {
-        if (waitFor.match(/^\d+$/)) {
-          await page.waitForTimeout(parseInt(waitFor));
-        } else {
-          try {
-            await this.findElement(page, waitFor);
-          } catch (e) {
-            throw new Error(`Element not found with any selector strategy: ${waitFor}`);
-          }
-        }
-      }
+      const collectOptions = { selectors, properties, maxElements };
+      const [stylesA, stylesB] = await Promise.all([
+        this.collectElementStyles(pageA, collectOptions),
+        this.collectElementStyles(pageB, collectOptions)
+      ]);
 
-      let content;
-      if (selector) {
-        try {
-          const { element } = await this.findElement(page, selector);
-          const elements = await page.$$(selector);
-          content = await Promise.all(elements.map(async (el) => await el.textContent()));
-        } catch (e) {
-          content = 'No elements found with the provided selector';
+      // With selectors the keys are fixed; in data-testid mode either page may have extra ones
+      const keys = selectors.length > 0
+        ? selectors
+        : [...new Set([...Object.keys(stylesA), ...Object.keys(stylesB)])].slice(0, maxElements);
+
+      const elements = keys.map(key => {
+        const source = stylesA[key];
+        const target = stylesB[key];
+        const result = {
+          key,
+          found: { source: !!source, target: !!target },
+          differences: [],
+          box: null
+        };
+        if (!source || !target) return result;
+
+        result.differences = properties
+          .filter(property => source.styles[property] !== target.styles[property])
+          .map(property => ({ property, source: source.styles[property], target: target.styles[property] }));
+
+        const delta = Object.fromEntries(['x', 'y', 'width', 'height'].map(side => [
+          side,
+          Math.round((target.box[side] - source.box[side]) * 100) / 100
+        ]));
+        result.box = {
+          source: source.box,
+          target: target.box,
+          delta,
+          changed: Object.values(delta).some(value => Math.abs(value) > boxTolerance)
+        };
+        return result;
+      });
+
+      const changed = elements.filter(element =>
+        element.differences.length > 0 || element.box?.changed || !element.found.source || !element.found.target);
+
+      const formatBox = box => `${box.width}x${box.height} at (${box.x}, ${box.y})`;
+      const report = changed.map(element => {
+        if (!element.found.source || !element.found.target) {
+          return `❌ ${element.key}: only found in ${element.found.source ? 'source' : element.found.target ? 'target' : 'neither page'}`;
         }
-      } else {
-        content = await page.textContent('body');
-      }
+        const lines = [`🎨 ${element.key}:`];
+        for (const difference of element.differences) {
+          lines.push(`  - ${difference.property}: ${difference.source} → ${difference.target}`);
+        }
+        if (element.box.changed) {
+          const { delta } = element.box;
+          lines.push(`  📐 box: ${formatBox(element.box.source)} → ${formatBox(element.box.target)} (Δx ${delta.x}, Δy ${delta.y}, Δw ${delta.width}, Δh ${delta.height})`);
+        }
+        return lines.join('\n');
+      });
 
-      const result = {
+      return {
         content: [{
           type: 'text',
-          text: `Scraped content from ${url}:\n\n${
-            Array.isArray(content) 
-              ? content.map(item => typeof item === 'object' 
-                  ? `${item.tagName}: "${item.text}" (testId: ${item.testId}, label: ${item.accessibilityLabel})`
-                  : item
-                ).join('\n---\n')
-              : content
-          }`
-        }]
+          text: `Computed style comparison between ${urlA} and ${urlB}:
+
+📊 Elements compared: ${elements.length}${selectors.length === 0 ? ' (all data-testid elements)' : ''}
+${changed.length === 0 ? '✅ No style or layout differences' : `⚠️ ${changed.length} element${changed.length === 1 ? '' : 's'} differ\n\n${report.join('\n\n')}`}`
+        }],
+        structuredContent: {
+          urlA,
+          urlB,
+          compared: elements.length,
+          changed: changed.length,
+          elements
+        }
       };
-
-      if (screenshot) {
-        const screenshotBuffer = await page.screenshot({ fullPage: true });
-        const screenshotPath = `/tmp/screenshot-${Date.now()}.png`;
-        fs.writeFileSync(screenshotPath, screenshotBuffer);
-        result.content.push({
-          type: 'text',
-          text: `Screenshot saved to: ${screenshotPath}`
-        });
-      }
-
-      return result;
     } finally {
-      await context.close();
-      await browser.close();
+      await pageB?.close();
+      await release();
     }
   }
 
-  async inspectReactApp(args) {
-    const { 
-      url, 
-      waitForHydration = true,
-      includeComponentTree = true,
-      includeState = false,
-      browser: browserType = 'chromium',
-      device
-    } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType, device);
-    const page = await context.newPage();
-    
-    try {
-      if (!device) {
-        await this.setupMobileViewport(page);
-      }
-
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      if (waitForHydration) {
-        await this.waitForReactHydration(page);
-      }
-
-      const inspection = await page.evaluate((options) => {
-        const results = {
-          reactDetected: false,
-          expoDetected: false,
-          componentTree: [],
-          reactNativeElements: [],
-          errors: [],
-          performance: {}
+  async collectElementStyles(page, { selectors, properties, maxElements }) {
+    return await page.evaluate(({ selectors, properties, maxElements }) => {
+      const describe = el => {
+        const styles = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const round = value => Math.round(value * 100) / 100;
+        return {
+          styles: Object.fromEntries(properties.map(property => [property, styles.getPropertyValue(property)])),
+          box: {
+            x: round(rect.x + window.scrollX),
+            y: round(rect.y + window.scrollY),
+            width: round(rect.width),
+            height: round(rect.height)
+          }
         };
+      };
 
-        // Detect React
-        if (window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
-          results.reactDetected = true;
+      const result = {};
+      if (selectors.length > 0) {
+        for (const selector of selectors) {
+          // Same fallback order as findElement: CSS, testID, accessibility label
+          let el = null;
+          for (const candidate of [selector, `[data-testid="${selector}"]`, `[aria-label="${selector}"]`]) {
+            try {
+              el = document.querySelector(candidate);
+            } catch (e) {
+              el = null;
+            }
+            if (el) break;
+          }
+          if (el) result[selector] = describe(el);
         }
+        return result;
+      }
 
-        // Detect Expo
-        if (window.expo || document.querySelector('.expo-web-view') || 
-            window.__EXPO_WEB__ || window.ExpoModules) {
-          results.expoDetected = true;
+      const counts = {};
+      for (const el of Array.from(document.querySelectorAll('[data-testid]')).slice(0, maxElements)) {
+        const testId = el.getAttribute('data-testid');
+        counts[testId] = (counts[testId] || 0) + 1;
+        // Repeated test IDs (list items) are keyed by occurrence
+        result[counts[testId] === 1 ? testId : `${testId}#${counts[testId]}`] = describe(el);
+      }
+      return result;
+    }, { selectors, properties, maxElements });
+  }
+
+  async snapshotDom(page, options) {
+    return await page.evaluate(({ selector, ignoreSelectors, maxNodes }) => {
+      const root = selector ? document.querySelector(selector) : document.body;
+      if (!root) return { error: `No element matches ${selector}` };
+
+      const skippedTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META']);
+      const implicitRoles = {
+        A: el => el.hasAttribute('href') ? 'link' : null,
+        BUTTON: () => 'button',
+        NAV: () => 'navigation',
+        MAIN: () => 'main',
+        HEADER: () => 'banner',
+        FOOTER: () => 'contentinfo',
+        ASIDE: () => 'complementary',
+        FORM: () => 'form',
+        IMG: () => 'img',
+        UL: () => 'list',
+        OL: () => 'list',
+        LI: () => 'listitem',
+        TABLE: () => 'table',
+        SELECT: () => 'combobox',
+        TEXTAREA: () => 'textbox',
+        INPUT: el => ({ checkbox: 'checkbox', radio: 'radio', button: 'button', submit: 'button', range: 'slider' })[el.type] || 'textbox',
+        H1: () => 'heading', H2: () => 'heading', H3: () => 'heading',
+        H4: () => 'heading', H5: () => 'heading', H6: () => 'heading'
+      };
+      const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+      const nodes = [];
+      let truncated = false;
+
+      const visit = (el, parent, path) => {
+        if (nodes.length >= maxNodes) {
+          truncated = true;
+          return;
         }
 
-        // Find React Native web elements
-        const rnElements = document.querySelectorAll('[data-testid], [accessibilityLabel], [role]');
-        results.reactNativeElements = Array.from(rnElements).map(el => ({
-          tagName: el.tagName.toLowerCase(),
-          testId: el.getAttribute('data-testid'),
-          accessibilityLabel: el.getAttribute('aria-label') || el.getAttribute('accessibilityLabel'),
-          role: el.getAttribute('role'),
-          text: el.textContent?.trim().substring(0, 100),
-          className: el.className,
-          id: el.id
-        }));
+        const tag = el.tagName.toLowerCase();
+        const index = nodes.length;
+        const role = el.getAttribute('role') || implicitRoles[el.tagName]?.(el) || null;
+        const ownText = clean(Array.from(el.childNodes)
+          .filter(child => child.nodeType === Node.TEXT_NODE)
+          .map(child => child.textContent)
+          .join(' '));
+        const named = ['button', 'link', 'heading', 'tab', 'menuitem'].includes(role);
+
+        nodes.push({
+          parent,
+          tag,
+          id: el.id || null,
+          testId: el.getAttribute('data-testid') || el.getAttribute('testID') || null,
+          classes: Array.from(el.classList).slice(0, 3),
+          role,
+          name: clean(el.getAttribute('aria-label') || el.getAttribute('alt') || el.getAttribute('title') || (named ? el.textContent : '')) || null,
+          text: ownText || null,
+          path
+        });
 
-        // Component tree analysis (basic)
-        if (options.includeComponentTree) {
-          const rootElement = document.querySelector('#root, [data-reactroot], .expo-web-view');
-          if (rootElement) {
-            const analyzeElement = (element, depth = 0) => {
-              if (depth > 5) return null; // Limit depth
-              
-              return {
-                tagName: element.tagName.toLowerCase(),
-                testId: element.getAttribute('data-testid'),
-                className: element.className,
-                childCount: element.children.length,
-                hasText: element.textContent?.trim().length > 0,
-                children: Array.from(element.children)
-                  .slice(0, 10) // Limit children
-                  .map(child => analyzeElement(child, depth + 1))
-                  .filter(Boolean)
-              };
-            };
-            
-            results.componentTree = analyzeElement(rootElement);
-          }
+        const seen = {};
+        for (const child of el.children) {
+          if (skippedTags.has(child.tagName)) continue;
+          if (ignoreSelectors.some(ignored => child.matches(ignored))) continue;
+          // Unrendered subtrees (display: none and friends) are not part of what users see
+          if (child.getClientRects().length === 0 && getComputedStyle(child).display !== 'contents') continue;
+
+          const childTag = child.tagName.toLowerCase();
+          seen[childTag] = (seen[childTag] || 0) + 1;
+          const step = child.id ? `${childTag}#${child.id}` : `${childTag}[${seen[childTag]}]`;
+          visit(child, index, `${path} > ${step}`);
         }
+      };
 
-        // Capture console errors
-        results.errors = window.__REACT_ERRORS__ || [];
-
-        // Basic performance info
-        results.performance = {
-          domElements: document.querySelectorAll('*').length,
-          reactElements: document.querySelectorAll('[data-reactroot] *').length,
-          testIdElements: document.querySelectorAll('[data-testid]').length
-        };
+      visit(root, -1, root.id ? `${root.tagName.toLowerCase()}#${root.id}` : root.tagName.toLowerCase());
+      return { nodes, truncated };
+    }, options);
+  }
 
-        return results;
-      }, { includeComponentTree, includeState });
+  // Matches nodes of both trees by the most stable identity available (testID, id,
+  // role + accessible name, own text), then pairs the remaining children of matched
+  // parents by tag and classes, and classifies the rest
+  diffDomTrees(nodesA, nodesB) {
+    const matchA = new Array(nodesA.length).fill(-1);
+    const matchB = new Array(nodesB.length).fill(-1);
+    if (nodesA.length > 0 && nodesB.length > 0) {
+      matchA[0] = 0;
+      matchB[0] = 0;
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `React Native Web App Inspection for ${url}:
+    const keys = [
+      node => node.testId && `testId:${node.tag}:${node.testId}`,
+      node => node.id && `id:${node.tag}:${node.id}`,
+      node => node.role && node.name && `role:${node.tag}:${node.role}:${node.name}`,
+      node => node.text && `text:${node.tag}:${node.text}`
+    ];
 
-🔍 Detection Results:
-- React Detected: ${inspection.reactDetected ? '✅' : '❌'}
-- Expo Detected: ${inspection.expoDetected ? '✅' : '❌'}
+    for (const keyOf of keys) {
+      const candidates = new Map();
+      nodesB.forEach((node, index) => {
+        const key = matchB[index] === -1 && keyOf(node);
+        if (!key) return;
+        if (!candidates.has(key)) candidates.set(key, []);
+        candidates.get(key).push(index);
+      });
 
-📊 Element Analysis:
-- Total DOM Elements: ${inspection.performance.domElements}
-- React Elements: ${inspection.performance.reactElements}
-- Elements with testID: ${inspection.performance.testIdElements}
+      nodesA.forEach((node, index) => {
+        const key = matchA[index] === -1 && keyOf(node);
+        const queue = key && candidates.get(key);
+        if (!queue?.length) return;
+        const other = queue.shift();
+        matchA[index] = other;
+        matchB[other] = index;
+      });
+    }
 
-🎯 React Native Elements Found: ${inspection.reactNativeElements.length}
-${inspection.reactNativeElements.slice(0, 10).map(el => 
-  `- ${el.tagName.toUpperCase()}${el.testId ? ` (testId: ${el.testId})` : ''}${el.accessibilityLabel ? ` (label: ${el.accessibilityLabel})` : ''}: "${el.text}"`
-).join('\n')}
+    // Plain wrappers have no identity of their own: pair them positionally under their
+    // matched parent, same classes first so an inserted sibling does not shift every pairing.
+    // Parents precede children in preorder, so matches cascade down the tree
+    const childrenOf = nodes => {
+      const children = nodes.map(() => []);
+      nodes.forEach((node, index) => {
+        if (node.parent !== -1) children[node.parent].push(index);
+      });
+      return children;
+    };
+    const childrenA = childrenOf(nodesA);
+    const childrenB = childrenOf(nodesB);
+    const sameClasses = (a, b) => a.classes.join(' ') === b.classes.join(' ');
+
+    childrenA.forEach((children, parent) => {
+      if (matchA[parent] === -1) return;
+      for (const strict of [true, false]) {
+        for (const child of children) {
+          if (matchA[child] !== -1) continue;
+          const other = childrenB[matchA[parent]].find(candidate =>
+            matchB[candidate] === -1 &&
+            nodesB[candidate].tag === nodesA[child].tag &&
+            (!strict || sameClasses(nodesA[child], nodesB[candidate])));
+          if (other === undefined) continue;
+          matchA[child] = other;
+          matchB[other] = child;
+        }
+      }
+    });
 
-${includeComponentTree && inspection.componentTree ? `
-🌳 Component Tree Structure:
-${JSON.stringify(inspection.componentTree, null, 2)}
-` : ''}
+    const moved = [];
+    const textChanged = [];
+    let matched = 0;
+    nodesA.forEach((node, index) => {
+      const other = matchA[index];
+      if (other === -1) return;
+      matched++;
+      if (node.parent !== -1 && matchA[node.parent] !== nodesB[other].parent) moved.push(other);
+      if (node.text !== nodesB[other].text) textChanged.push(other);
+    });
 
-${inspection.errors.length > 0 ? `
-❌ Errors Detected:
-${inspection.errors.join('\n')}
-` : '✅ No errors detected'}`
-          }
-        ]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
-    }
+    return {
+      matchA,
+      matchB,
+      matched,
+      moved,
+      textChanged,
+      added: nodesB.map((node, index) => index).filter(index => matchB[index] === -1),
+      removed: nodesA.map((node, index) => index).filter(index => matchA[index] === -1)
+    };
   }
 
-  async waitForReactState(args) {
-    this.validateArgs(args, ['url', 'condition']);
-    const { 
-      url, 
-      condition, 
-      selector, 
-      timeout = TIMEOUTS.HYDRATION,
-      browser: browserType = 'chromium'
-    } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
-    
-    try {
-      await this.setupMobileViewport(page);
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      const startTime = Date.now();
-      let result = '';
+  describeDomNode(node) {
+    let label = node.tag;
+    if (node.id) label += `#${node.id}`;
+    if (node.classes.length > 0 && !node.id) label += `.${node.classes.join('.')}`;
+    if (node.testId) label += `[data-testid="${node.testId}"]`;
+    const text = node.text || node.name;
+    if (text) label += ` "${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`;
+    return label;
+  }
 
-      switch (condition) {
-        case 'hydration':
-          const hydrated = await this.waitForReactHydration(page, timeout);
-          result = hydrated ? '✅ React hydration completed' : '❌ React hydration timeout';
-          break;
-          
-        case 'navigation':
-          await page.waitForFunction(() => {
-            return !document.querySelector('[aria-label*="loading"]') &&
-                   !document.querySelector('[data-testid*="loading"]');
-          }, { timeout });
-          result = '✅ Navigation completed';
-          break;
-          
-        case 'data-loading':
-          await page.waitForFunction(() => {
-            const loadingElements = document.querySelectorAll(
-              '[data-testid*="loading"], [aria-label*="loading"], .loading, .spinner'
-            );
-            return loadingElements.length === 0;
-          }, { timeout });
-          result = '✅ Data loading completed';
-          break;
-          
-        case 'animation':
-          await page.waitForTimeout(2000);
-          result = '✅ Animation wait completed';
-          break;
-          
-        case 'custom':
-          if (!selector) throw new Error('Selector required for custom condition');
-          const { usedSelector } = await this.findElement(page, selector, timeout);
-          result = `✅ Custom condition met: ${usedSelector}`;
-          break;
-          
-        default:
-          throw new Error(`Unknown condition: ${condition}`);
+  // Renders the target tree limited to changed nodes and their ancestors. Added and
+  // removed subtrees are reported once at their top node with a descendant count
+  formatDomDiff(nodesA, nodesB, diff, maxChanges) {
+    const { matchA, matchB } = diff;
+    const countDescendants = (nodes, isChanged) => {
+      const counts = new Array(nodes.length).fill(0);
+      for (let index = nodes.length - 1; index > 0; index--) {
+        const parent = nodes[index].parent;
+        if (parent !== -1 && isChanged(parent) && isChanged(index)) counts[parent] += counts[index] + 1;
+      }
+      return counts;
+    };
+    const addedDescendants = countDescendants(nodesB, index => matchB[index] === -1);
+    const removedDescendants = countDescendants(nodesA, index => matchA[index] === -1);
+    const isTop = (nodes, match, index) => nodes[index].parent === -1 || match[nodes[index].parent] !== -1;
+
+    const changes = [];
+    const markers = new Map();
+    const removedAt = new Map();
+    const mark = (index, line) => {
+      if (!markers.has(index)) markers.set(index, []);
+      markers.get(index).push(line);
+    };
+
+    for (const index of diff.added.filter(index => isTop(nodesB, matchB, index))) {
+      const node = nodesB[index];
+      changes.push({ type: 'added', path: node.path, node: this.describeDomNode(node), descendants: addedDescendants[index] });
+      mark(index, `+ ${this.describeDomNode(node)}${addedDescendants[index] ? ` (+${addedDescendants[index]} descendants)` : ''}`);
+    }
+    for (const index of diff.moved) {
+      const node = nodesB[index];
+      const from = nodesA[matchB[index]];
+      changes.push({ type: 'moved', path: node.path, fromPath: from.path, node: this.describeDomNode(node) });
+      mark(index, `↪ ${this.describeDomNode(node)} (moved from ${from.path})`);
+    }
+    for (const index of diff.textChanged) {
+      const node = nodesB[index];
+      const from = nodesA[matchB[index]];
+      changes.push({ type: 'textChanged', path: node.path, node: this.describeDomNode(node), from: from.text, to: node.text });
+      mark(index, `~ ${node.tag}${node.id ? `#${node.id}` : ''} "${from.text ?? ''}" → "${node.text ?? ''}"`);
+    }
+    for (const index of diff.removed.filter(index => isTop(nodesA, matchA, index))) {
+      const node = nodesA[index];
+      changes.push({ type: 'removed', path: node.path, node: this.describeDomNode(node), descendants: removedDescendants[index] });
+      // Shown under the target node that took the place of its parent
+      const anchor = node.parent === -1 ? 0 : matchA[node.parent];
+      if (!removedAt.has(anchor)) removedAt.set(anchor, []);
+      removedAt.get(anchor).push(`- ${this.describeDomNode(node)}${removedDescendants[index] ? ` (-${removedDescendants[index]} descendants)` : ''}`);
+    }
+
+    const needed = new Set();
+    for (const index of [...markers.keys(), ...removedAt.keys()]) {
+      for (let current = index; current !== -1 && !needed.has(current); current = nodesB[current].parent) {
+        needed.add(current);
       }
-      
-      const waitTime = Date.now() - startTime;
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `${result}\nWait time: ${waitTime}ms`
-        }]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
     }
-  }
 
-  async waitForElement(args) {
-    this.validateArgs(args, ['url', 'selector']);
-    const { url, selector, timeout = TIMEOUTS.DEFAULT, browser: browserType = 'chromium' } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
-    
-    try {
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      const startTime = Date.now();
-      const { element, usedSelector } = await this.findElement(page, selector, timeout);
-      
-      const waitTime = Date.now() - startTime;
-      const text = await element.textContent();
-      const isVisible = await element.isVisible();
-      const testId = await element.getAttribute('data-testid');
-      const accessibilityLabel = await element.getAttribute('aria-label');
+    const children = nodesB.map(() => []);
+    nodesB.forEach((node, index) => {
+      if (node.parent !== -1) children[node.parent].push(index);
+    });
 
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ Element found: ${usedSelector}
-Wait time: ${waitTime}ms
-Visible: ${isVisible}
-Text content: "${text?.trim()}"${testId ? `\nTestID: ${testId}` : ''}${accessibilityLabel ? `\nAccessibility Label: ${accessibilityLabel}` : ''}`
-        }]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
-    }
+    const lines = [];
+    let shown = 0;
+    const render = (index, depth) => {
+      if (shown >= maxChanges) return;
+      const indent = '  '.repeat(depth);
+      const own = markers.get(index);
+      if (own) {
+        for (const line of own) lines.push(`${indent}${line}`);
+        shown += own.length;
+      } else {
+        lines.push(`${indent}${this.describeDomNode(nodesB[index])}`);
+      }
+      for (const line of removedAt.get(index) || []) {
+        lines.push(`${indent}  ${line}`);
+        shown++;
+      }
+      for (const child of children[index]) {
+        // Descendants of an added node are already summarised on it
+        if (needed.has(child) && !(matchB[index] === -1 && matchB[child] === -1)) render(child, depth + 1);
+      }
+    };
+    if (nodesB.length > 0) render(0, 0);
+
+    return {
+      tree: lines.join('\n'),
+      changes: changes.slice(0, maxChanges),
+      truncated: changes.length > maxChanges
+    };
   }
 
-  async executeInReactContext(args) {
-    const { 
-      url, 
-      script, 
-      waitForReact = true,
-      browser: browserType = 'chromium'
-    } = args;
+  async analyzeVisualDifferences(imageA, imageB, options) {
+    const {
+      analyzeLayout,
+      analyzeColors,
+      analyzeTypography,
+      threshold,
+      diffThreshold,
+      metric = 'perceptual',
+      renderDiff = false
+    } = options;
+    if (!COMPARISON_METRICS.includes(metric)) {
+      throw new Error(`Unknown metric: ${metric}. Use one of: ${COMPARISON_METRICS.join(', ')}`);
+    }
     
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
+    // Convert images to Sharp objects for processing
+    const imgA = sharp(imageA);
+    const imgB = sharp(imageB);
     
-    try {
-      await this.setupMobileViewport(page);
-      
-      // Set up console error capture before navigation
-      const consoleErrors = [];
-      const pageErrors = [];
-      
-      page.on('console', msg => {
-        if (msg.type() === 'error') {
-          consoleErrors.push({
-            type: 'console.error',
-            text: msg.text(),
-            location: msg.location(),
-            timestamp: Date.now()
-          });
-        }
-      });
-      
-      page.on('pageerror', error => {
-        pageErrors.push({
-          type: 'page_error',
-          message: error.message,
-          stack: error.stack,
-          timestamp: Date.now()
-        });
-      });
-      
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      if (waitForReact) {
-        await this.waitForReactHydration(page);
-      }
+    const [metaA, metaB] = await Promise.all([
+      imgA.metadata(),
+      imgB.metadata()
+    ]);
 
-      const result = await page.evaluate((userScript) => {
-        try {
-          // Set up window error capture
-          window.__capturedErrors = window.__capturedErrors || [];
-          
-          const originalError = console.error;
-          console.error = function(...args) {
-            window.__capturedErrors.push({
-              type: 'console.error',
-              message: args.join(' '),
-              timestamp: Date.now(),
-              stack: new Error().stack
-            });
-            originalError.apply(console, arguments);
-          };
-          
-          // Execute the script as a function body, not an expression
-          const scriptFunction = new Function(userScript);
-          const result = scriptFunction();
-          
-          return {
-            success: true,
-            result: result,
-            reactAvailable: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
-            expoAvailable: !!(window.expo || window.__EXPO_WEB__),
-            capturedErrors: window.__capturedErrors || []
-          };
-        } catch (error) {
-          return {
-            success: false,
-            error: error.message,
-            stack: error.stack,
-            reactAvailable: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
-            expoAvailable: !!(window.expo || window.__EXPO_WEB__),
-            capturedErrors: window.__capturedErrors || []
-          };
-        }
-      }, script);
-      
-      // Wait a moment for any async errors to be captured
-      await page.waitForTimeout(1000);
-      
-      // Get any additional errors that might have been captured
-      const additionalErrors = await page.evaluate(() => {
-        return window.__capturedErrors || [];
-      });
+    // Crop both images to their shared top-left area; resizing would shift every row
+    // of the shorter page and turn one extra line of content into a whole-page difference.
+    // The area only one image covers still counts as changed
+    const minWidth = Math.min(metaA.width, metaB.width);
+    const minHeight = Math.min(metaA.height, metaB.height);
+    const maxWidth = Math.max(metaA.width, metaB.width);
+    const maxHeight = Math.max(metaA.height, metaB.height);
+    const overlapArea = minWidth * minHeight;
+    const totalArea = maxWidth * maxHeight;
 
-      const allErrors = [
-        ...consoleErrors,
-        ...pageErrors,
-        ...result.capturedErrors,
-        ...additionalErrors
-      ];
+    const analysis = {
+      metric,
+      dimensions: {
+        source: { width: metaA.width, height: metaA.height },
+        target: { width: metaB.width, height: metaB.height },
+        compared: { width: minWidth, height: minHeight },
+        match: metaA.width === metaB.width && metaA.height === metaB.height
+      },
+      layout: {},
+      colors: {},
+      typography: {},
+      similarity: 0
+    };
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `JavaScript Execution Result:
+    const region = { left: 0, top: 0, width: minWidth, height: minHeight };
+    const [bufferA, bufferB] = await Promise.all([
+      imgA.extract(region).removeAlpha().raw().toBuffer(),
+      imgB.extract(region).removeAlpha().raw().toBuffer()
+    ]);
 
-${result.success ? '✅ Success' : '❌ Error'}
-React Available: ${result.reactAvailable ? '✅' : '❌'}
-Expo Available: ${result.expoAvailable ? '✅' : '❌'}
+    if (analyzeLayout) {
+      analysis.layout = await this.analyzeLayout(bufferA, bufferB, minWidth, minHeight);
+    }
 
-${result.success 
-  ? `Result: ${result.result !== undefined ? JSON.stringify(result.result, null, 2) : 'undefined'}`
-  : `Error: ${result.error}${result.stack ? '\nStack: ' + result.stack : ''}`
-}
+    if (analyzeColors) {
+      analysis.colors = await this.analyzeColors(bufferA, bufferB);
+    }
 
-${allErrors.length > 0 ? `
-🚨 Captured Errors (${allErrors.length}):
-${allErrors.map(err => `- [${err.type}] ${err.message || err.text}${err.location ? ` at ${err.location.url}:${err.location.lineNumber}` : ''}`).join('\n')}
-` : '✅ No errors captured'}`
-          }
-        ]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
+    if (analyzeTypography) {
+      analysis.typography = await this.analyzeTypography(bufferA, bufferB, minWidth, minHeight);
     }
-  }
 
-  async checkExpoDevServer(args) {
-    const { port = 8081, host = 'localhost' } = args;
-    
-    try {
-      const { browser, context } = await this.getBrowser('chromium');
-      const page = await context.newPage();
+    const pixelDiff = this.computePixelDiff(bufferA, bufferB, minWidth, minHeight, diffThreshold, metric);
+
+    // Calculate overall similarity
+    if (metric === 'perceptual') {
+      analysis.similarity = this.computeSSIM(bufferA, bufferB, minWidth, minHeight, pixelDiff.mask);
+    } else {
+      let totalDiff = 0;
+      const totalPixels = minWidth * minHeight * 3; // RGB channels
       
-      try {
-        // Check if Metro bundler is running
-        const metroUrl = `http://${host}:${port}`;
-        await page.goto(metroUrl, { timeout: 5000 });
-        
-        const pageContent = await page.textContent('body');
-        const isMetro = pageContent.includes('Metro') || pageContent.includes('React Native');
-        
-        // Check for common Expo endpoints
-        const endpoints = [
-          `${metroUrl}/status`,
-          `${metroUrl}/symbolicate`,
-          `${metroUrl}/assets`
-        ];
-        
-        const endpointResults = [];
-        for (const endpoint of endpoints) {
-          try {
-            const response = await page.goto(endpoint, { timeout: 3000 });
-            endpointResults.push({
-              url: endpoint,
-              status: response.status(),
-              available: response.ok()
-            });
-          } catch (e) {
-            endpointResults.push({
-              url: endpoint,
-              status: 'timeout',
-              available: false
-            });
-          }
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Expo Development Server Status:
+      for (let i = 0; i < bufferA.length; i++) {
+        totalDiff += Math.abs(bufferA[i] - bufferB[i]);
+      }
+      
+      analysis.similarity = 1 - (totalDiff / (totalPixels * 255));
+    }
+    // Content that exists on one page only is entirely different
+    analysis.similarity *= overlapArea / totalArea;
+    analysis.similar = analysis.similarity >= (1 - threshold);
 
-🌐 Metro Bundler: ${isMetro ? '✅ Running' : '❌ Not detected'} at ${metroUrl}
+    const sizeRegions = [];
+    if (maxWidth > minWidth) {
+      sizeRegions.push({ x: minWidth, y: 0, width: maxWidth - minWidth, height: maxHeight, changedPixels: (maxWidth - minWidth) * maxHeight });
+    }
+    if (maxHeight > minHeight) {
+      sizeRegions.push({ x: 0, y: minHeight, width: minWidth, height: maxHeight - minHeight, changedPixels: minWidth * (maxHeight - minHeight) });
+    }
+    const regions = [...pixelDiff.regions, ...sizeRegions].sort((a, b) => b.changedPixels - a.changedPixels);
+    const changedPixels = pixelDiff.changedPixels + (totalArea - overlapArea);
+
+    analysis.pixelDiff = {
+      changedPixels,
+      changedRatio: changedPixels / totalArea,
+      regionCount: regions.length,
+      regions: regions.slice(0, PIXEL_DIFF.maxRegions)
+    };
 
-📡 Endpoint Status:
-${endpointResults.map(ep => 
-  `- ${ep.url}: ${ep.available ? '✅' : '❌'} (${ep.status})`
-).join('\n')}
+    // Rendered images are returned alongside the analysis, never inside the structured result
+    if (renderDiff) {
+      analysis.diffImages = await this.renderPixelDiff(bufferA, bufferB, minWidth, minHeight, pixelDiff);
+    }
 
-${isMetro ? '✅ Expo dev server appears to be running correctly' : '❌ Expo dev server may not be running or accessible'}`
-            }
-          ]
-        };
-      } finally {
-        await context.close();
-        await browser.close();
-      }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `❌ Failed to check Expo dev server: ${error.message}
+    return analysis;
+  }
+
+  async analyzeLayout(bufferA, bufferB, width, height) {
+    // Grid-based layout analysis
+    const gridSize = 20; // 20x20 grid
+    const cellWidth = Math.floor(width / gridSize);
+    const cellHeight = Math.floor(height / gridSize);
+    
+    const layoutDiffs = [];
+    
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        const cellDiff = this.compareCellContent(
+          bufferA, bufferB, 
+          col * cellWidth, row * cellHeight, 
+          cellWidth, cellHeight, 
+          width
+        );
+        
+        if (cellDiff > 0.3) { // Significant difference threshold
+          const position = this.getCellPosition(row, col, gridSize);
+          layoutDiffs.push({
+            region: `${position.vertical}-${position.horizontal}`,
+            difference: cellDiff,
+            coordinates: { row, col }
+          });
+        }
+      }
+    }
 
-This usually means:
-- Metro bundler is not running on port ${port}
-- Expo development server is not started
-- Network connectivity issues
+    return {
+      gridAnalysis: `${layoutDiffs.length} regions with significant layout differences`,
+      majorDifferences: layoutDiffs.slice(0, 5), // Top 5 differences
+      alignment: this.detectAlignmentDifferences(layoutDiffs)
+    };
+  }
 
-Try running: npx expo start --web`
-          }
-        ]
-      };
+  compareCellContent(bufferA, bufferB, startX, startY, cellWidth, cellHeight, imageWidth) {
+    let totalDiff = 0;
+    let pixelCount = 0;
+    
+    for (let y = startY; y < startY + cellHeight; y++) {
+      for (let x = startX; x < startX + cellWidth; x++) {
+        const pixelIndex = (y * imageWidth + x) * 3;
+        if (pixelIndex + 2 < bufferA.length) {
+          totalDiff += Math.abs(bufferA[pixelIndex] - bufferB[pixelIndex]); // R
+          totalDiff += Math.abs(bufferA[pixelIndex + 1] - bufferB[pixelIndex + 1]); // G
+          totalDiff += Math.abs(bufferA[pixelIndex + 2] - bufferB[pixelIndex + 2]); // B
+          pixelCount += 3;
+        }
+      }
     }
+    
+    return pixelCount > 0 ? totalDiff / (pixelCount * 255) : 0;
   }
 
-  async getPageInfo(args) {
-    const { url, browser: browserType = 'chromium', includePerformance } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
+  getCellPosition(row, col, gridSize) {
+    const verticalPos = row < gridSize / 3 ? 'top' : 
+                      row > (2 * gridSize / 3) ? 'bottom' : 'center';
+    const horizontalPos = col < gridSize / 3 ? 'left' : 
+                         col > (2 * gridSize / 3) ? 'right' : 'center';
     
-    try {
-      const startTime = Date.now();
-      await page.goto(url, { waitUntil: 'networkidle' });
-      const loadTime = Date.now() - startTime;
+    return { vertical: verticalPos, horizontal: horizontalPos };
+  }
 
-      const info = await page.evaluate(() => ({
-        title: document.title,
-        url: window.location.href,
-        metaTags: Array.from(document.querySelectorAll('meta')).map(meta => ({
-          name: meta.name || meta.property,
-          content: meta.content
-        })).filter(meta => meta.name),
-        headings: Array.from(document.querySelectorAll('h1, h2, h3')).map(h => ({
-          tag: h.tagName.toLowerCase(),
-          text: h.textContent.trim()
-        })),
-        links: Array.from(document.querySelectorAll('a[href]')).length,
-        images: Array.from(document.querySelectorAll('img')).length,
-        forms: Array.from(document.querySelectorAll('form')).length,
-        // React Native web specific elements
-        reactNativeElements: {
-          testIds: Array.from(document.querySelectorAll('[data-testid]')).length,
-          accessibilityLabels: Array.from(document.querySelectorAll('[aria-label]')).length,
-          touchableElements: Array.from(document.querySelectorAll('[role="button"], button, [onclick]')).length
-        },
-        // Framework detection
-        frameworks: {
-          react: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
-          expo: !!(window.expo || window.__EXPO_WEB__ || document.querySelector('.expo-web-view')),
-          reactNativeWeb: !!document.querySelector('[data-reactroot] [style*="flex"]')
-        }
-      }));
+  detectAlignmentDifferences(layoutDiffs) {
+    const regions = layoutDiffs.map(d => d.region);
+    const alignmentIssues = [];
+    
+    if (regions.some(r => r.includes('center-left')) && regions.some(r => r.includes('center-center'))) {
+      alignmentIssues.push('Content appears centered in source but left-aligned in target');
+    }
+    if (regions.some(r => r.includes('center-right')) && regions.some(r => r.includes('center-center'))) {
+      alignmentIssues.push('Content appears centered in source but right-aligned in target');
+    }
+    
+    return alignmentIssues;
+  }
 
-      let performanceInfo = '';
-      if (includePerformance) {
-        const metrics = await page.evaluate(() => {
-          const perf = performance.getEntriesByType('navigation')[0];
-          return {
-            domContentLoaded: perf.domContentLoadedEventEnd - perf.domContentLoadedEventStart,
-            loadComplete: perf.loadEventEnd - perf.loadEventStart,
-            firstPaint: performance.getEntriesByType('paint').find(p => p.name === 'first-paint')?.startTime,
-            firstContentfulPaint: performance.getEntriesByType('paint').find(p => p.name === 'first-contentful-paint')?.startTime
-          };
+  async analyzeColors(bufferA, bufferB) {
+    const colorDiffs = [];
+    const sampleSize = 1000; // Sample 1000 pixels for color analysis
+    
+    for (let i = 0; i < sampleSize; i++) {
+      const pixelIndex = Math.floor(Math.random() * (bufferA.length / 3)) * 3;
+      
+      const colorA = {
+        r: bufferA[pixelIndex],
+        g: bufferA[pixelIndex + 1],
+        b: bufferA[pixelIndex + 2]
+      };
+      
+      const colorB = {
+        r: bufferB[pixelIndex],
+        g: bufferB[pixelIndex + 1],
+        b: bufferB[pixelIndex + 2]
+      };
+      
+      const diff = Math.sqrt(
+        Math.pow(colorA.r - colorB.r, 2) +
+        Math.pow(colorA.g - colorB.g, 2) +
+        Math.pow(colorA.b - colorB.b, 2)
+      );
+      
+      if (diff > 30) { // Significant color difference
+        colorDiffs.push({
+          source: `rgb(${colorA.r}, ${colorA.g}, ${colorA.b})`,
+          target: `rgb(${colorB.r}, ${colorB.g}, ${colorB.b})`,
+          difference: Math.round(diff)
         });
-        
-        performanceInfo = `\n\nPerformance Metrics:
-- Page Load Time: ${loadTime}ms
-- DOM Content Loaded: ${metrics.domContentLoaded}ms
-- Load Complete: ${metrics.loadComplete}ms
-- First Paint: ${metrics.firstPaint || 'N/A'}ms
-- First Contentful Paint: ${metrics.firstContentfulPaint || 'N/A'}ms`;
       }
+    }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Page Information for ${url}:
-
-Title: ${info.title}
-URL: ${info.url}
-
-🔍 Framework Detection:
-- React: ${info.frameworks.react ? '✅' : '❌'}
-- Expo: ${info.frameworks.expo ? '✅' : '❌'}
-- React Native Web: ${info.frameworks.reactNativeWeb ? '✅' : '❌'}
-
-Meta Tags:
-${info.metaTags.map(meta => `- ${meta.name}: ${meta.content}`).join('\n')}
-
-Headings:
-${info.headings.map(h => `- ${h.tag.toUpperCase()}: ${h.text}`).join('\n')}
+    return {
+      significantDifferences: colorDiffs.length,
+      examples: colorDiffs.slice(0, 10), // Top 10 color differences
+      summary: colorDiffs.length > 50 ? 'Major color palette differences detected' :
+               colorDiffs.length > 10 ? 'Moderate color differences detected' :
+               'Minor or no color differences detected'
+    };
+  }
 
-Page Elements:
-- Links: ${info.links}
-- Images: ${info.images}
-- Forms: ${info.forms}
+  async analyzeTypography(bufferA, bufferB, width, height) {
+    // Text region detection through edge analysis
+    const textRegions = this.detectTextRegions(bufferA, bufferB, width, height);
+    
+    return {
+      textRegionsAnalyzed: textRegions.length,
+      differences: textRegions.filter(r => r.hasSignificantDifference),
+      summary: textRegions.length > 0 ? 
+        `Analyzed ${textRegions.length} text regions, ${textRegions.filter(r => r.hasSignificantDifference).length} show typography differences` :
+        'No clear text regions detected for typography analysis'
+    };
+  }
 
-📱 React Native Web Elements:
-- Elements with testID: ${info.reactNativeElements.testIds}
-- Elements with accessibility labels: ${info.reactNativeElements.accessibilityLabels}
-- Touchable elements: ${info.reactNativeElements.touchableElements}${performanceInfo}`
-          }
-        ]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
+  detectTextRegions(bufferA, bufferB, width, height) {
+    // Simplified text detection - look for high contrast areas that might be text
+    const regions = [];
+    const blockSize = 50; // 50x50 pixel blocks
+    
+    for (let y = 0; y < height - blockSize; y += blockSize) {
+      for (let x = 0; x < width - blockSize; x += blockSize) {
+        const contrastA = this.calculateContrast(bufferA, x, y, blockSize, width);
+        const contrastB = this.calculateContrast(bufferB, x, y, blockSize, width);
+        
+        if (contrastA > 0.3 || contrastB > 0.3) { // Likely text region
+          const contrastDiff = Math.abs(contrastA - contrastB);
+          regions.push({
+            x, y, 
+            contrastA, 
+            contrastB,
+            hasSignificantDifference: contrastDiff > 0.1
+          });
+        }
+      }
     }
+    
+    return regions;
   }
 
-  async testReactApp(args) {
-    this.validateArgs(args, ['url', 'actions']);
-    const { 
-      url, 
-      actions, 
-      browser: browserType = 'chromium',
-      device,
-      waitForHydration = true
-    } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType, device);
-    const page = await context.newPage();
-    const results = [];
+  calculateContrast(buffer, startX, startY, blockSize, imageWidth) {
+    let minBrightness = 255;
+    let maxBrightness = 0;
     
-    try {
-      if (!device) {
-        await this.setupMobileViewport(page);
+    for (let y = startY; y < startY + blockSize; y++) {
+      for (let x = startX; x < startX + blockSize; x++) {
+        const pixelIndex = (y * imageWidth + x) * 3;
+        if (pixelIndex + 2 < buffer.length) {
+          const brightness = (buffer[pixelIndex] + buffer[pixelIndex + 1] + buffer[pixelIndex + 2]) / 3;
+          minBrightness = Math.min(minBrightness, brightness);
+          maxBrightness = Math.max(maxBrightness, brightness);
+        }
       }
+    }
+    
+    return (maxBrightness - minBrightness) / 255;
+  }
 
-      await page.goto(url, { waitUntil: 'networkidle' });
-      results.push(`✅ Navigated to ${url}`);
+  // Structural similarity on luminance over non-overlapping windows. Only windows with
+  // content count, so a missing button is not drowned out by blank page background, and
+  // windows without a changed pixel in the diff mask (anti-aliasing, sub-pixel shifts) score 1
+  computeSSIM(bufferA, bufferB, width, height, mask) {
+    const size = SSIM.windowSize;
+    const c1 = Math.pow(0.01 * 255, 2);
+    const c2 = Math.pow(0.03 * 255, 2);
+    const luma = (buffer, i) => 0.299 * buffer[i] + 0.587 * buffer[i + 1] + 0.114 * buffer[i + 2];
+    let total = 0;
+    let windows = 0;
+
+    for (let top = 0; top < height; top += size) {
+      for (let left = 0; left < width; left += size) {
+        const bottom = Math.min(top + size, height);
+        const right = Math.min(left + size, width);
+        const n = (bottom - top) * (right - left);
+        let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+        let changed = false;
+
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            if (mask[y * width + x]) changed = true;
+            const i = (y * width + x) * 3;
+            const a = luma(bufferA, i);
+            const b = luma(bufferB, i);
+            sumA += a;
+            sumB += b;
+            sumAA += a * a;
+            sumBB += b * b;
+            sumAB += a * b;
+          }
+        }
 
-      if (waitForHydration) {
-        const hydrated = await this.waitForReactHydration(page);
-        results.push(hydrated ? '✅ React hydration completed' : '⚠️ React hydration timeout');
+        const meanA = sumA / n;
+        const meanB = sumB / n;
+        const varA = sumAA / n - meanA * meanA;
+        const varB = sumBB / n - meanB * meanB;
+        const covariance = sumAB / n - meanA * meanB;
+        const blank = varA < 1 && varB < 1 && Math.abs(meanA - meanB) < 1;
+        if (blank) continue;
+
+        total += changed
+          ? ((2 * meanA * meanB + c1) * (2 * covariance + c2)) / ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2))
+          : 1;
+        windows++;
       }
+    }
 
-      for (const action of actions) {
-        const { type, selector, value, timeout = TIMEOUTS.DEFAULT, coordinates } = action;
-        
-        try {
-          switch (type) {
-            case 'click':
-            case 'tap':
-              await this.performClick(page, selector, timeout);
-              results.push(`✅ ${type === 'tap' ? 'Tapped' : 'Clicked'}: ${selector}`);
-              break;
-              
-            case 'fill':
-              await this.performFill(page, selector, value, timeout);
-              results.push(`✅ Filled "${value}" into: ${selector}`);
-              break;
-              
-            case 'wait':
-              await this.performWait(page, selector, timeout);
-              results.push(`✅ Waited for: ${selector}`);
-              break;
-              
-            case 'screenshot':
-              const screenshotBuffer = await page.screenshot({ fullPage: true });
-              const screenshotPath = `/tmp/react-test-${Date.now()}.png`;
-              fs.writeFileSync(screenshotPath, screenshotBuffer);
-              results.push(`✅ Screenshot saved: ${screenshotPath}`);
-              break;
-              
-            case 'getText':
-              const text = await this.getElementText(page, selector, timeout);
-              results.push(`✅ Text from ${selector}: "${text}"`);
-              break;
-              
-            case 'getAttribute':
-              const attr = await this.getElementAttribute(page, selector, value, timeout);
-              results.push(`✅ Attribute "${value}" from ${selector}: "${attr}"`);
-              break;
+    return windows > 0 ? Math.max(total / windows, 0) : 1;
+  }
 
-            case 'swipe':
-              await this.performSwipe(page, selector, value, coordinates, timeout);
-              results.push(`✅ Swiped ${value} on: ${selector}`);
-              break;
+  // Colour difference of two pixels: squared RGB distance, or the YIQ-weighted
+  // distance used by pixelmatch which tracks perceived difference much closer
+  colorDelta(bufferA, i, bufferB, j, perceptual) {
+    const dr = bufferA[i] - bufferB[j];
+    const dg = bufferA[i + 1] - bufferB[j + 1];
+    const db = bufferA[i + 2] - bufferB[j + 2];
+    if (!perceptual) return dr * dr + dg * dg + db * db;
+
+    const y = dr * 0.29889531 + dg * 0.58662247 + db * 0.11448223;
+    const iq = dr * 0.59597799 - dg * 0.27417610 - db * 0.32180189;
+    const q = dr * 0.21147017 - dg * 0.52261711 + db * 0.31114694;
+    return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+  }
 
-            case 'scroll':
-              await this.performScroll(page, selector, value, timeout);
-              results.push(`✅ Scrolled ${value} on: ${selector}`);
-              break;
+  // Anti-aliased edges and one-pixel shifts have a close match right next to them
+  hasNeighbourMatch(source, target, x, y, width, height, limit) {
+    const i = (y * width + x) * 3;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (this.colorDelta(source, i, target, (ny * width + nx) * 3, true) <= limit) return true;
+      }
+    }
+    return false;
+  }
 
-            case 'longPress':
-              await this.performLongPress(page, selector, timeout);
-              results.push(`✅ Long pressed: ${selector}`);
-              break;
+  // Flags every pixel whose colour moved further than diffThreshold, then groups the
+  // changes on a coarse grid so nearby edits merge into one bounding box
+  computePixelDiff(bufferA, bufferB, width, height, diffThreshold = PIXEL_DIFF.threshold, metric = 'perceptual') {
+    const perceptual = metric === 'perceptual';
+    const limit = perceptual
+      ? SSIM.maxYiqDelta * diffThreshold * diffThreshold
+      : Math.pow(diffThreshold * 255, 2) * 3;
+    const cellSize = PIXEL_DIFF.cellSize;
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const mask = new Uint8Array(width * height);
+    const cellCounts = new Uint32Array(cols * rows);
+    let changedPixels = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const i = pixel * 3;
+        if (this.colorDelta(bufferA, i, bufferB, i, perceptual) <= limit) continue;
+        if (perceptual &&
+            this.hasNeighbourMatch(bufferA, bufferB, x, y, width, height, limit) &&
+            this.hasNeighbourMatch(bufferB, bufferA, x, y, width, height, limit)) continue;
+
+        mask[pixel] = 1;
+        changedPixels++;
+        cellCounts[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)]++;
+      }
+    }
 
-            case 'waitForNavigation':
-              await page.waitForLoadState('networkidle', { timeout });
-              results.push(`✅ Navigation completed`);
-              break;
-              
-            default:
-              results.push(`❌ Unknown action type: ${type}`);
+    const regions = [];
+    const visited = new Uint8Array(cols * rows);
+    for (let start = 0; start < cellCounts.length; start++) {
+      if (!cellCounts[start] || visited[start]) continue;
+
+      // Flood fill over 8-connected changed cells
+      let minCol = cols, maxCol = 0, minRow = rows, maxRow = 0, regionPixels = 0;
+      const stack = [start];
+      visited[start] = 1;
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const row = Math.floor(cell / cols);
+        const col = cell % cols;
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        regionPixels += cellCounts[cell];
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const r = row + dy;
+            const c = col + dx;
+            if (r < 0 || r >= rows || c < 0 || c >= cols) continue;
+            const neighbour = r * cols + c;
+            if (cellCounts[neighbour] && !visited[neighbour]) {
+              visited[neighbour] = 1;
+              stack.push(neighbour);
+            }
           }
-        } catch (actionError) {
-          results.push(`❌ Failed ${type} on ${selector}: ${actionError.message}`);
         }
       }
 
-      return {
-        content: [{
-          type: 'text',
-          text: `React Native Web App Test Results:\n\n${results.join('\n')}`
-        }]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
+      // Tighten the cell-aligned box to the changed pixels it contains
+      let left = width, right = 0, top = height, bottom = 0;
+      for (let y = minRow * cellSize; y < Math.min((maxRow + 1) * cellSize, height); y++) {
+        for (let x = minCol * cellSize; x < Math.min((maxCol + 1) * cellSize, width); x++) {
+          if (!mask[y * width + x]) continue;
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+        }
+      }
+
+      regions.push({
+        x: left,
+        y: top,
+        width: right - left + 1,
+        height: bottom - top + 1,
+        changedPixels: regionPixels
+      });
     }
-  }
 
-  // Helper methods for React app interactions
-  async performClick(page, selector, timeout) {
-    const { element } = await this.findElement(page, selector, timeout);
-    await element.click();
-  }
+    regions.sort((a, b) => b.changedPixels - a.changedPixels);
 
-  async performFill(page, selector, value, timeout) {
-    const { element } = await this.findElement(page, selector, timeout);
-    await element.fill(value);
+    return {
+      mask,
+      changedPixels,
+      changedRatio: changedPixels / (width * height),
+      regions
+    };
   }
 
-  async performWait(page, selector, timeout) {
-    await this.findElement(page, selector, timeout);
-  }
+  // Diff image: changed pixels in red over a faded greyscale source, regions outlined in blue.
+  // Side-by-side: source | target | diff
+  async renderPixelDiff(bufferA, bufferB, width, height, pixelDiff) {
+    const output = Buffer.alloc(width * height * 3);
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const i = pixel * 3;
+      if (pixelDiff.mask[pixel]) {
+        output[i] = 255;
+        output[i + 1] = 0;
+        output[i + 2] = 0;
+      } else {
+        const grey = 0.299 * bufferA[i] + 0.587 * bufferA[i + 1] + 0.114 * bufferA[i + 2];
+        const faded = 255 - (255 - grey) * 0.25;
+        output[i] = faded;
+        output[i + 1] = faded;
+        output[i + 2] = faded;
+      }
+    }
 
-  async getElementText(page, selector, timeout) {
-    const { element } = await this.findElement(page, selector, timeout);
-    return await element.textContent();
-  }
+    const paint = (x, y) => {
+      if (x < 0 || y < 0 || x >= width || y >= height) return;
+      const i = (y * width + x) * 3;
+      output[i] = 0;
+      output[i + 1] = 102;
+      output[i + 2] = 255;
+    };
+    for (const region of pixelDiff.regions.slice(0, PIXEL_DIFF.maxRegions)) {
+      const left = region.x - 2;
+      const top = region.y - 2;
+      const right = region.x + region.width + 1;
+      const bottom = region.y + region.height + 1;
+      for (let t = 0; t < 2; t++) {
+        for (let x = left; x <= right; x++) {
+          paint(x, top + t);
+          paint(x, bottom - t);
+        }
+        for (let y = top; y <= bottom; y++) {
+          paint(left + t, y);
+          paint(right - t, y);
+        }
+      }
+    }
 
-  async getElementAttribute(page, selector, attribute, timeout) {
-    const { element } = await this.findElement(page, selector, timeout);
-    return await element.getAttribute(attribute);
+    const raw = { width, height, channels: 3 };
+    const gap = PIXEL_DIFF.gap;
+    const diff = await sharp(output, { raw }).png().toBuffer();
+    const sideBySide = await sharp({
+      create: { width: width * 3 + gap * 2, height, channels: 3, background: '#ffffff' }
+    })
+      .composite([
+        { input: bufferA, raw, left: 0, top: 0 },
+        { input: bufferB, raw, left: width + gap, top: 0 },
+        { input: output, raw, left: (width + gap) * 2, top: 0 }
+      ])
+      .png()
+      .toBuffer();
+
+    return { diff, sideBySide };
   }
 
-  async performSwipe(page, selector, direction, coordinates, timeout) {
-    if (coordinates) {
-      // Swipe from coordinates
-      const { x, y } = coordinates;
-      const endX = direction === 'left' ? x - 100 : direction === 'right' ? x + 100 : x;
-      const endY = direction === 'up' ? y - 100 : direction === 'down' ? y + 100 : y;
-      
-      await page.mouse.move(x, y);
-      await page.mouse.down();
-      await page.mouse.move(endX, endY);
-      await page.mouse.up();
-    } else {
-      // Swipe on element
-      const element = await page.waitForSelector(selector, { timeout });
-      const box = await element.boundingBox();
-      
-      const startX = box.x + box.width / 2;
-      const startY = box.y + box.height / 2;
-      const endX = direction === 'left' ? startX - 100 : direction === 'right' ? startX + 100 : startX;
-      const endY = direction === 'up' ? startY - 100 : direction === 'down' ? startY + 100 : startY;
-      
-      await page.mouse.move(startX, startY);
-      await page.mouse.down();
-      await page.mouse.move(endX, endY);
-      await page.mouse.up();
+  formatAnalysisResults(analysis) {
+    let result = `📊 VISUAL COMPARISON RESULTS\n\n`;
+    
+    // Dimensions
+    result += `📐 Dimensions:\n`;
+    result += `- Source: ${analysis.dimensions.source.width}x${analysis.dimensions.source.height}\n`;
+    result += `- Target: ${analysis.dimensions.target.width}x${analysis.dimensions.target.height}\n`;
+    result += `- Match: ${analysis.dimensions.match ? '✅' : '❌'}\n`;
+    if (!analysis.dimensions.match) {
+      result += `- Compared: top-left ${analysis.dimensions.compared.width}x${analysis.dimensions.compared.height} (the rest counts as changed)\n`;
     }
-  }
-
-  async performScroll(page, selector, direction, timeout) {
-    const element = await page.waitForSelector(selector, { timeout });
-    const scrollAmount = direction === 'up' ? -300 : 300;
+    result += `\n`;
     
-    await element.evaluate((el, amount) => {
-      el.scrollBy(0, amount);
-    }, scrollAmount);
-  }
+    // Overall similarity
+    result += `🎯 Overall Similarity: ${(analysis.similarity * 100).toFixed(1)}% ${analysis.similar ? '✅' : '❌'} (${analysis.metric === 'perceptual' ? 'perceptual/SSIM' : 'mean pixel difference'})\n\n`;
+    
+    // Layout analysis
+    if (analysis.layout.gridAnalysis) {
+      result += `📋 Layout Analysis:\n`;
+      result += `- ${analysis.layout.gridAnalysis}\n`;
+      if (analysis.layout.alignment.length > 0) {
+        result += `- Alignment issues: ${analysis.layout.alignment.join(', ')}\n`;
+      }
+      result += `\n`;
+    }
+    
+    // Color analysis
+    if (analysis.colors.summary) {
+      result += `🎨 Color Analysis:\n`;
+      result += `- ${analysis.colors.summary}\n`;
+      if (analysis.colors.examples.length > 0) {
+        result += `- Example differences:\n`;
+        analysis.colors.examples.slice(0, 3).forEach(diff => {
+          result += `  • ${diff.source} → ${diff.target} (diff: ${diff.difference})\n`;
+        });
+      }
+      result += `\n`;
+    }
+    
+    // Typography analysis
+    if (analysis.typography.summary) {
+      result += `📝 Typography Analysis:\n`;
+      result += `- ${analysis.typography.summary}\n\n`;
+    }
 
-  async performLongPress(page, selector, timeout) {
-    const element = await page.waitForSelector(selector, { timeout });
-    const box = await element.boundingBox();
+    // Pixel diff regions
+    if (analysis.pixelDiff) {
+      const { changedPixels, changedRatio, regionCount, regions } = analysis.pixelDiff;
+      result += `🔍 Pixel Differences:\n`;
+      result += `- ${changedPixels} changed pixels (${(changedRatio * 100).toFixed(2)}%) in ${regionCount} region${regionCount === 1 ? '' : 's'}\n`;
+      regions.slice(0, 5).forEach(region => {
+        result += `  • x=${region.x}, y=${region.y}, ${region.width}x${region.height} (${region.changedPixels} px)\n`;
+      });
+      if (regionCount > 5) {
+        result += `  • ...and ${regionCount - 5} more\n`;
+      }
+      result += `\n`;
+    }
     
-    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
-    await page.mouse.down();
-    await page.waitForTimeout(1000); // Hold for 1 second
-    await page.mouse.up();
+    return result;
   }
 
-  async testDropdownWithErrorCapture(args) {
-    const { 
-      url, 
-      dropdownSelector,
-      waitAfterClick = 3000,
+  async openSession(args = {}) {
+    const {
+      url,
       browser: browserType = 'chromium',
-      takeScreenshots = true
+      device,
+      mobileViewport = false,
+      waitForHydration = false,
+      label
     } = args;
-    
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
-    
-    const consoleErrors = [];
-    const pageErrors = [];
-    const networkErrors = [];
-    
-    try {
-      await this.setupMobileViewport(page);
-      
-      // Set up comprehensive error capture
-      page.on('console', msg => {
-        if (msg.type() === 'error') {
-          consoleErrors.push({
-            type: 'console.error',
-            text: msg.text(),
-            location: msg.location(),
-            timestamp: Date.now()
-          });
-        }
-      });
-      
-      page.on('pageerror', error => {
-        pageErrors.push({
-          type: 'page_error',
-          message: error.message,
-          stack: error.stack,
-          timestamp: Date.now()
-        });
-      });
-      
-      page.on('requestfailed', request => {
-        networkErrors.push({
-          type: 'network_error',
-          url: request.url(),
-          failure: request.failure()?.errorText,
-          timestamp: Date.now()
-        });
-      });
 
-      await page.goto(url, { waitUntil: 'networkidle' });
-      await this.waitForReactHydration(page);
-      
-      // Take before screenshot
-      let beforeScreenshot = '';
-      if (takeScreenshots) {
-        const beforeBuffer = await page.screenshot({ fullPage: true });
-        beforeScreenshot = `/tmp/dropdown-before-${Date.now()}.png`;
-        fs.writeFileSync(beforeScreenshot, beforeBuffer);
+    const storageState = this.resolveStorageState(args);
+    const { context, release } = await this.getBrowser(browserType, device, storageState);
+    let page;
+
+    try {
+      page = await context.newPage();
+      if (mobileViewport && !device) {
+        await this.setupMobileViewport(page);
       }
-      
-      // Set up additional error capture in the page context
-      await page.evaluate(() => {
-        window.__dropdownTestErrors = [];
-        
-        const originalError = console.error;
-        console.error = function(...args) {
-          window.__dropdownTestErrors.push({
-            type: 'console.error',
-            message: args.join(' '),
-            timestamp: Date.now(),
-            stack: new Error().stack
-          });
-          originalError.apply(console, arguments);
-        };
-        
-        window.addEventListener('error', function(e) {
-          window.__dropdownTestErrors.push({
-            type: 'window_error',
-            message: e.message,
-            filename: e.filename,
-            lineno: e.lineno,
-            colno: e.colno,
-            stack: e.error?.stack,
-            timestamp: Date.now()
-          });
-        });
-        
-        window.addEventListener('unhandledrejection', function(e) {
-          window.__dropdownTestErrors.push({
-            type: 'unhandled_rejection',
-            message: e.reason?.toString() || 'Unknown rejection',
-            timestamp: Date.now()
-          });
-        });
-      });
-      
-      // Find and click the dropdown
-      let clickResult = '';
-      let dropdownFound = false;
-      
-      // Try multiple selector strategies
-      const selectors = [
-        dropdownSelector,
-        `[data-testid="${dropdownSelector}"]`,
-        `[aria-label="${dropdownSelector}"]`,
-        `button:has-text("${dropdownSelector}")`,
-        `*:has-text("${dropdownSelector}")`
-      ];
-      
-      for (const selector of selectors) {
-        try {
-          const element = await page.$(selector);
-          if (element) {
-            const isVisible = await element.isVisible();
-            const text = await element.textContent();
-            
-            if (isVisible) {
-              await element.click();
-              dropdownFound = true;
-              clickResult = `✅ Clicked dropdown: ${selector} (text: "${text?.trim()}")`;
-              break;
-            }
-          }
-        } catch (e) {
-          continue;
+
+      if (url) {
+        await page.goto(url, { waitUntil: 'networkidle' });
+        if (waitForHydration) {
+          await this.waitForReactHydration(page);
         }
       }
-      
-      if (!dropdownFound) {
-        clickResult = `❌ Dropdown not found with selector: ${dropdownSelector}`;
-      }
-      
-      // Wait for errors to manifest
-      await page.waitForTimeout(waitAfterClick);
-      
-      // Check if page went blank
-      const bodyContent = await page.textContent('body');
-      const isPageBlank = bodyContent.trim().length < 100;
-      
-      // Get errors captured in page context
-      const pageContextErrors = await page.evaluate(() => {
-        return window.__dropdownTestErrors || [];
-      });
-      
-      // Take after screenshot
-      let afterScreenshot = '';
-      if (takeScreenshots) {
-        const afterBuffer = await page.screenshot({ fullPage: true });
-        afterScreenshot = `/tmp/dropdown-after-${Date.now()}.png`;
-        fs.writeFileSync(afterBuffer, afterBuffer);
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    const session = {
+      id: randomUUID(),
+      label,
+      browserType,
+      device,
+      context,
+      page,
+      release,
+      createdAt: Date.now(),
+      lastUsedAt: Date.now()
+    };
+
+    // Forget sessions whose pooled browser crashed and took the context with it, returning
+    // the pool lease (release() only runs once, so closeSession's own call is harmless)
+    context.on('close', () => {
+      this.sessions.delete(session.id);
+      session.release().catch(() => {});
+    });
+    this.sessions.set(session.id, session);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Session opened: ${session.id}
+Browser: ${browserType}${device ? ` (${device})` : ''}
+Current URL: ${page.url()}
+
+Pass "sessionId": "${session.id}" to other tools to reuse this page. Idle sessions close after ${TIMEOUTS.SESSION_IDLE / 60000} minutes.`
+      }],
+      structuredContent: this.describeSession(session)
+    };
+  }
+
+  async closeSession(args) {
+    this.validateArgs(args, ['sessionId']);
+    const session = this.getSession(args.sessionId);
+
+    this.sessions.delete(session.id);
+    await session.release();
+
+    return {
+      content: [{ type: 'text', text: `✅ Session closed: ${session.id}` }],
+      structuredContent: { sessionId: session.id, closed: true }
+    };
+  }
+
+  async closeAllSessions() {
+    await Promise.allSettled(
+      Array.from(this.sessions.keys()).map(sessionId => this.closeSession({ sessionId }))
+    );
+  }
+
+  async listSessions() {
+    const now = Date.now();
+    const sessions = Array.from(this.sessions.values());
+
+    if (sessions.length === 0) {
+      return { content: [{ type: 'text', text: 'No open sessions' }], structuredContent: { sessions: [] } };
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text: `Open sessions (${sessions.length}):\n\n${sessions.map(session =>
+          `- ${session.id}${session.label ? ` "${session.label}"` : ''}
+  Browser: ${session.browserType}${session.device ? ` (${session.device})` : ''}
+  URL: ${session.page.isClosed() ? '(page closed)' : session.page.url()}
+  Age: ${Math.round((now - session.createdAt) / 1000)}s, idle: ${Math.round((now - session.lastUsedAt) / 1000)}s`
+        ).join('\n')}`
+      }],
+      structuredContent: { sessions: sessions.map(session => this.describeSession(session)) }
+    };
+  }
+
+  describeSession(session) {
+    return {
+      sessionId: session.id,
+      label: session.label || null,
+      browser: session.browserType,
+      device: session.device || null,
+      url: session.page.isClosed() ? null : session.page.url(),
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastUsedAt: new Date(session.lastUsedAt).toISOString()
+    };
+  }
+
+  async saveAuthProfile(args) {
+    this.validateArgs(args, ['name', 'sessionId']);
+    const session = this.getSession(args.sessionId);
+    const { profilePath, state } = await this.saveStorageState(session.context, args.name);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Saved auth profile "${args.name}" to ${profilePath}
+Cookies: ${state.cookies.length}
+Origins with localStorage: ${state.origins.length}
+
+Pass "profile": "${args.name}" to any tool to start logged in.`
+      }],
+      structuredContent: {
+        name: args.name,
+        path: profilePath,
+        cookies: state.cookies.length,
+        origins: state.origins.length
       }
-      
-      // Collect all errors
-      const allErrors = [
-        ...consoleErrors,
-        ...pageErrors,
-        ...networkErrors,
-        ...pageContextErrors
-      ];
-      
-      // Get page state info
-      const pageState = await page.evaluate(() => {
-        return {
-          url: window.location.href,
-          title: document.title,
-          bodyLength: document.body.innerHTML.length,
-          hasReact: !!(window.React || window.__REACT_DEVTOOLS_GLOBAL_HOOK__),
-          hasExpo: !!(window.expo || window.__EXPO_WEB__),
-          visibleElements: document.querySelectorAll('*:not([style*="display: none"])').length
-        };
-      });
+    };
+  }
+
+  async listAuthProfiles() {
+    const files = fs.existsSync(PROFILES_DIR)
+      ? fs.readdirSync(PROFILES_DIR).filter(file => file.endsWith('.json'))
+      : [];
 
+    if (files.length === 0) {
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Dropdown Test Results for ${url}:
+        content: [{ type: 'text', text: `No auth profiles stored in ${PROFILES_DIR}` }],
+        structuredContent: { directory: PROFILES_DIR, profiles: [] }
+      };
+    }
 
-🎯 Dropdown Interaction:
-${clickResult}
+    const profiles = files.map(file => {
+      const filePath = path.join(PROFILES_DIR, file);
+      const profile = {
+        name: path.basename(file, '.json'),
+        path: filePath,
+        savedAt: fs.statSync(filePath).mtime.toISOString()
+      };
+      try {
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { ...profile, cookies: state.cookies?.length || 0, origins: state.origins?.length || 0, error: null };
+      } catch (e) {
+        return { ...profile, cookies: 0, origins: 0, error: e.message };
+      }
+    });
 
-📄 Page State After Click:
-- Page Blank: ${isPageBlank ? '❌ YES' : '✅ NO'}
-- Body Content Length: ${bodyContent.length} characters
-- Visible Elements: ${pageState.visibleElements}
-- Current URL: ${pageState.url}
-- Page Title: ${pageState.title}
+    return {
+      content: [{
+        type: 'text',
+        text: `Auth profiles in ${PROFILES_DIR} (${files.length}):\n\n${profiles.map(profile => profile.error
+          ? `- ${profile.name}: ❌ unreadable (${profile.error})`
+          : `- ${profile.name}: ${profile.cookies} cookies, ${profile.origins} origins (saved ${profile.savedAt})`
+        ).join('\n')}`
+      }],
+      structuredContent: { directory: PROFILES_DIR, profiles }
+    };
+  }
 
-🔍 Framework Detection:
-- React Available: ${pageState.hasReact ? '✅' : '❌'}
-- Expo Available: ${pageState.hasExpo ? '✅' : '❌'}
+  async getAuthProfile(args) {
+    this.validateArgs(args, ['name']);
+    const profilePath = this.resolveStorageState({ profile: args.name });
+    const state = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    const now = Date.now() / 1000;
+
+    const cookieInfo = (state.cookies || []).map(cookie => ({
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.expires > 0 ? new Date(cookie.expires * 1000).toISOString() : null,
+      expired: cookie.expires > 0 && cookie.expires < now,
+      httpOnly: !!cookie.httpOnly,
+      secure: !!cookie.secure
+    }));
+    const originInfo = (state.origins || []).map(origin => ({
+      origin: origin.origin,
+      localStorageKeys: origin.localStorage.map(item => item.name)
+    }));
 
-${allErrors.length > 0 ? `
-🚨 ERRORS CAPTURED (${allErrors.length}):
-${allErrors.map((err, i) => `
-${i + 1}. [${err.type.toUpperCase()}] ${err.message || err.text}
-   ${err.location ? `Location: ${err.location.url}:${err.location.lineNumber}:${err.location.columnNumber}` : ''}
-   ${err.stack ? `Stack: ${err.stack.split('\n')[1]?.trim()}` : ''}
-   Time: ${new Date(err.timestamp).toISOString()}
-`).join('')}
-` : '✅ No errors captured'}
+    const cookies = cookieInfo.map(cookie => {
+      const expiry = cookie.expires
+        ? `${cookie.expired ? '❌ expired' : 'expires'} ${cookie.expires}`
+        : 'session cookie';
+      return `- ${cookie.name} @ ${cookie.domain}${cookie.path} (${expiry}${cookie.httpOnly ? ', httpOnly' : ''}${cookie.secure ? ', secure' : ''})`;
+    });
 
-${takeScreenshots ? `
-📸 Screenshots:
-- Before: ${beforeScreenshot}
-- After: ${afterScreenshot}
-` : ''}`
-          }
-        ]
-      };
-    } finally {
-      await context.close();
-      await browser.close();
+    const origins = originInfo.map(origin =>
+      `- ${origin.origin}: ${origin.localStorageKeys.join(', ') || '(empty)'}`
+    );
+
+    return {
+      content: [{
+        type: 'text',
+        text: `Auth profile "${args.name}" (${profilePath}):
+
+🍪 Cookies (${cookies.length}):
+${cookies.join('\n') || '- none'}
+
+💾 localStorage keys (${origins.length} origins):
+${origins.join('\n') || '- none'}`
+      }],
+      structuredContent: { name: args.name, path: profilePath, cookies: cookieInfo, origins: originInfo }
+    };
+  }
+
+  async deleteAuthProfile(args) {
+    this.validateArgs(args, ['name']);
+    const profilePath = this.resolveStorageState({ profile: args.name });
+    fs.unlinkSync(profilePath);
+
+    return {
+      content: [{ type: 'text', text: `✅ Deleted auth profile "${args.name}"` }],
+      structuredContent: { name: args.name, deleted: true }
+    };
+  }
+
+  // Visual baselines
+  getBaselineDir(name) {
+    if (!/^[\w.-]+$/.test(name || '')) {
+      throw new Error(`Invalid baseline name: ${name}. Use letters, digits, dot, dash and underscore`);
     }
+    return path.join(BASELINES_DIR, name);
   }
 
-  async extractContent(args) {
-    this.validateArgs(args, ['url']);
-    const { url, includeLinks = true, format = 'markdown', browser: browserType = 'chromium' } = args;
+  readBaseline(name) {
+    const dir = this.getBaselineDir(name);
+    const metaPath = path.join(dir, 'baseline.json');
+    if (!fs.existsSync(metaPath)) {
+      throw new Error(`Unknown baseline: ${name}. Use list_baselines to see stored baselines`);
+    }
+    return {
+      ...JSON.parse(fs.readFileSync(metaPath, 'utf8')),
+      imagePath: path.join(dir, 'baseline.png'),
+      candidatePath: path.join(dir, 'candidate.png')
+    };
+  }
+
+  writeBaselineMeta(baseline) {
+    const { imagePath, candidatePath, ...meta } = baseline;
+    fs.writeFileSync(path.join(this.getBaselineDir(meta.name), 'baseline.json'), JSON.stringify(meta, null, 2));
+  }
+
+  resolveBaselineSettings(args, defaults = {}) {
+    const settings = {
+      url: args.url ?? defaults.url,
+      browser: args.browser ?? defaults.browser ?? 'chromium',
+      device: args.device ?? defaults.device ?? null,
+      viewport: args.viewport ?? defaults.viewport ?? null,
+      fullPage: args.fullPage ?? defaults.fullPage ?? true,
+      waitForSPA: args.waitForSPA ?? defaults.waitForSPA ?? true,
+      selector: args.selector ?? defaults.selector ?? null,
+      clip: args.clip ?? defaults.clip ?? null,
+      mask: args.mask ?? defaults.mask ?? [],
+      ignoreSelectors: args.ignoreSelectors ?? defaults.ignoreSelectors ?? [],
+      profile: args.profile ?? defaults.profile ?? null
+    };
+
+    if (!settings.url) throw new Error('Missing required field: url');
+    if (settings.viewport && !(settings.viewport.width > 0 && settings.viewport.height > 0)) {
+      throw new Error('viewport needs positive width and height');
+    }
+    return settings;
+  }
 
-    const { browser, context } = await this.getBrowser(browserType);
-    const page = await context.newPage();
+  // Baselines are always captured in a fresh page so session state never changes the viewport
+  async captureBaseline(settings, args) {
+    const { url, browser, device, viewport, fullPage, waitForSPA, selector, clip, mask, ignoreSelectors, profile } = settings;
+    // A session's tab inherits its context's engine and emulation, which would silently override the baseline's
+    if (args.sessionId) {
+      const session = this.getSession(args.sessionId);
+      if (session.browserType !== browser || (session.device || null) !== device) {
+        throw new Error(`Session ${session.id} uses ${session.browserType}${session.device ? ` / ${session.device}` : ''}, but the baseline is captured with ${browser}${device ? ` / ${device}` : ''}. Open a matching session or omit sessionId`);
+      }
+    }
+    const { page, release } = await this.acquirePage({
+      browser,
+      device,
+      sessionId: args.sessionId,
+      profile: args.storageState ? null : profile,
+      storageState: args.storageState
+    }, { freshPage: true });
 
     try {
+      if (viewport) await page.setViewportSize(viewport);
       await page.goto(url, { waitUntil: 'networkidle' });
-      
-      // Wait for React hydration for SPA sites
-      await this.waitForReactHydration(page);
 
-      const content = await page.evaluate(({ includeLinks, format }) => {
-        // Remove non-content elements
-        const removeSelectors = [
-          'nav', 'header', 'footer', 'aside', '.sidebar', '.navigation',
-          '.menu', '.ads', '.advertisement', '.social', '.share',
-          'script', 'style', 'noscript', '.cookie', '.popup'
-        ];
-        
-        removeSelectors.forEach(sel => {
-          document.querySelectorAll(sel).forEach(el => el.remove());
-        });
+      if (waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      } else if (url.includes('expo') || url.includes(':8081')) {
+        await this.waitForReactHydration(page);
+      }
 
-        const result = { content: '', links: [] };
-        let linkCounter = 1;
-        const linkMap = new Map();
+      return await this.captureScreenshot(page, { fullPage, selector, clip, mask, ignoreSelectors });
+    } finally {
+      await release();
+    }
+  }
 
-        const categorizeLink = (href, baseUrl) => {
-          try {
-            const url = new URL(href, baseUrl);
-            const base = new URL(baseUrl);
-            
-            if (url.hostname === base.hostname) return 'internal';
-            if (href.startsWith('#')) return 'anchor';
-            if (href.match(/\.(pdf|doc|docx|zip|tar|gz)$/i)) return 'download';
-            return 'external';
-          } catch {
-            return 'invalid';
-          }
-        };
+  async saveBaseline(args) {
+    this.validateArgs(args, ['name', 'url']);
+    const dir = this.getBaselineDir(args.name);
+    if (fs.existsSync(path.join(dir, 'baseline.json'))) {
+      throw new Error(`Baseline already exists: ${args.name}. Use update_baseline to replace it`);
+    }
 
-        const processElement = (element) => {
-          let text = '';
+    const settings = this.resolveBaselineSettings(args);
+    const screenshot = await this.captureBaseline(settings, args);
+    const { width, height } = await sharp(screenshot).metadata();
+    const now = new Date().toISOString();
+    const baseline = { name: args.name, ...settings, width, height, createdAt: now, updatedAt: now, lastResult: null };
 
-          switch (element.tagName.toLowerCase()) {
-            case 'h1':
-              text += format === 'markdown' ? `# ${element.textContent.trim()}\n\n` : `${element.textContent.trim()}\n${'='.repeat(element.textContent.trim().length)}\n\n`;
-              break;
-            case 'h2':
-              text += format === 'markdown' ? `## ${element.textContent.trim()}\n\n` : `${element.textContent.trim()}\n${'-'.repeat(element.textContent.trim().length)}\n\n`;
-              break;
-            case 'h3':
-            case 'h4':
-            case 'h5':
-            case 'h6':
-              const hLevel = parseInt(element.tagName[1]);
-              text += format === 'markdown' ? `${'#'.repeat(hLevel)} ${element.textContent.trim()}\n\n` : `${element.textContent.trim()}\n\n`;
-              break;
-            case 'p':
-              let pText = element.textContent.trim();
-              if (includeLinks) {
-                const links = element.querySelectorAll('a[href]');
-                links.forEach(link => {
-                  const href = link.getAttribute('href');
-                  const linkText = link.textContent.trim();
-                  if (href && linkText && !linkMap.has(href)) {
-                    linkMap.set(href, {
-                      id: linkCounter,
-                      text: linkText,
-                      url: href,
-                      type: categorizeLink(href, window.location.href)
-                    });
-                    result.links.push(linkMap.get(href));
-                    linkCounter++;
-                  }
-                  if (linkMap.has(href)) {
-                    pText = pText.replace(linkText, `${linkText} [${linkMap.get(href).id}]`);
-                  }
-                });
-              }
-              text += `${pText}\n\n`;
-              break;
-            case 'ul':
-            case 'ol':
-              const items = element.querySelectorAll('li');
-              items.forEach((item, i) => {
-                const bullet = element.tagName.toLowerCase() === 'ul' ? '-' : `${i + 1}.`;
-                text += `${bullet} ${item.textContent.trim()}\n`;
-              });
-              text += '\n';
-              break;
-            case 'pre':
-              text += format === 'markdown' ? `\`\`\`\n${element.textContent.trim()}\n\`\`\`\n\n` : `${element.textContent.trim()}\n\n`;
-              break;
-            case 'code':
-              text += format === 'markdown' ? `\`${element.textContent.trim()}\`` : element.textContent.trim();
-              break;
-            case 'blockquote':
-              text += format === 'markdown' ? `> ${element.textContent.trim()}\n\n` : `"${element.textContent.trim()}"\n\n`;
-              break;
-          }
-          return text;
-        };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'baseline.png'), screenshot);
+    this.writeBaselineMeta(baseline);
 
-        // Process main content elements
-        const contentElements = document.querySelectorAll('h1, h2, h3, h4, h5, h6, p, ul, ol, pre, code, blockquote');
-        contentElements.forEach(el => {
-          result.content += processElement(el);
-        });
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Saved baseline "${args.name}" (${width}x${height}) from ${settings.url}
+Browser: ${settings.browser}${settings.device ? `\nDevice: ${settings.device}` : ''}${settings.viewport ? `\nViewport: ${settings.viewport.width}x${settings.viewport.height}` : ''}
+📁 ${path.join(dir, 'baseline.png')}
+
+Run check_against_baseline with "name": "${args.name}" to detect regressions.`
+      }],
+      structuredContent: { ...this.describeBaseline(this.readBaseline(args.name)), path: path.join(dir, 'baseline.png') }
+    };
+  }
 
-        return result;
-      }, { includeLinks, format });
+  async updateBaseline(args) {
+    this.validateArgs(args, ['name']);
+    const existing = this.readBaseline(args.name);
+    const settings = this.resolveBaselineSettings(args, existing);
+    const screenshot = await this.captureBaseline(settings, args);
+    const { width, height } = await sharp(screenshot).metadata();
+    const baseline = { ...existing, ...settings, width, height, updatedAt: new Date().toISOString(), lastResult: null };
 
-      let output = content.content;
+    fs.writeFileSync(existing.imagePath, screenshot);
+    fs.rmSync(existing.candidatePath, { force: true });
+    this.writeBaselineMeta(baseline);
 
-      if (includeLinks && content.links.length > 0) {
-        output += '\n---\n## Links Found:\n';
-        content.links.forEach(link => {
-          output += `[${link.id}] ${link.url} (${link.type})\n`;
-        });
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Re-captured baseline "${args.name}" (${existing.width}x${existing.height} → ${width}x${height}) from ${settings.url}
+📁 ${existing.imagePath}`
+      }],
+      structuredContent: { ...this.describeBaseline(baseline), path: existing.imagePath }
+    };
+  }
+
+  async checkAgainstBaseline(args) {
+    this.validateArgs(args, ['name']);
+    const {
+      name,
+      threshold = 0.1,
+      diffThreshold = PIXEL_DIFF.threshold,
+      metric = 'perceptual',
+      analyzeLayout = true,
+      analyzeColors = true,
+      analyzeTypography = true,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel
+    } = args;
+
+    const baseline = this.readBaseline(name);
+    // Only the URL may be overridden; everything else has to match the stored capture
+    const settings = this.resolveBaselineSettings({ url: args.url, profile: args.profile }, baseline);
+    const artifacts = this.artifacts.startRun('check_against_baseline', { label: artifactLabel || name, url: settings.url });
+
+    try {
+      const current = await this.captureBaseline(settings, args);
+      fs.writeFileSync(baseline.candidatePath, current);
+
+      const { diffImages, ...analysis } = await this.analyzeVisualDifferences(
+        fs.readFileSync(baseline.imagePath),
+        current,
+        { analyzeLayout, analyzeColors, analyzeTypography, threshold, diffThreshold, metric, renderDiff: true }
+      );
+      // A page that grew or shrank is a regression whatever the pixels in the shared area say
+      const { source: baselineSize, target: currentSize, match: sizeMatches } = analysis.dimensions;
+      const sizeChanged = !sizeMatches;
+      const passed = analysis.similar && !sizeChanged;
+
+      let currentPath = null;
+      let diffPath = null;
+      let sideBySidePath = null;
+      if (saveToDisk) {
+        currentPath = artifacts.write('current.png', current, { url: settings.url });
+        diffPath = artifacts.write('diff.png', diffImages.diff);
+        sideBySidePath = artifacts.write('side-by-side.png', diffImages.sideBySide);
+      }
+
+      let images = null;
+      if (inlineImage || !saveToDisk) {
+        const imageOptions = inlineImage || true;
+        images = await Promise.all([
+          this.toImageContent(current, imageOptions),
+          this.toImageContent(diffImages.diff, imageOptions)
+        ]);
       }
 
+      baseline.lastResult = {
+        checkedAt: new Date().toISOString(),
+        url: settings.url,
+        similarity: analysis.similarity,
+        passed,
+        sizeChanged,
+        changedRatio: analysis.pixelDiff.changedRatio,
+        regionCount: analysis.pixelDiff.regionCount,
+        diffPath,
+        approved: false
+      };
+      this.writeBaselineMeta(baseline);
+
       return {
-        content: [{
-          type: 'text',
-          text: `Content extracted from ${url}:\n\n${output}`
-        }]
+        content: [
+          {
+            type: 'text',
+            text: `🧪 Baseline check "${name}" against ${settings.url}
+
+📊 VISUAL SIMILARITY: ${(analysis.similarity * 100).toFixed(1)}% ${passed ? '✅ PASS' : '❌ FAIL'}${sizeChanged ? `
+📐 SIZE CHANGED: baseline ${baselineSize.width}x${baselineSize.height} → current ${currentSize.width}x${currentSize.height}` : ''}
+
+${saveToDisk ? `📸 Images:
+- Baseline: ${baseline.imagePath}
+- Current: ${currentPath}
+- Diff: ${diffPath}
+- Side-by-side: ${sideBySidePath}` : '📸 Images not saved to disk'}${images ? '\n🖼️ Inline images attached: current, diff' : ''}
+
+${this.formatAnalysisResults(analysis)}${passed ? '' : `If the change is intended, run approve_baseline with "name": "${name}" to accept the current screenshot.`}`
+          },
+          ...(images ? images.map(image => image.content) : [])
+        ],
+        structuredContent: {
+          name,
+          url: settings.url,
+          similarity: analysis.similarity,
+          passed,
+          sizeChanged,
+          analysis,
+          baselinePath: baseline.imagePath,
+          candidatePath: baseline.candidatePath,
+          screenshots: { currentPath, diffPath, sideBySidePath },
+          images: images ? { current: images[0].info, diff: images[1].info } : null
+        }
       };
     } finally {
-      await context.close();
-      await browser.close();
+      artifacts.finish();
     }
   }
 
-  async isSPA(page) {
-    // Runtime detection of SPA frameworks
-    return await page.evaluate(() => {
-      return !!(
-        window.React ||
-        window.Vue ||
-        window.angular ||
-        window.ng ||
-        window.__REACT_DEVTOOLS_GLOBAL_HOOK__ ||
-        document.querySelector('[data-reactroot]') ||
-        document.querySelector('#root') ||
-        document.querySelector('#app') ||
-        document.querySelector('[ng-version]') ||
-        document.querySelector('[data-vue-app]') ||
-        document.querySelector('script[src*="react"]') ||
-        document.querySelector('script[src*="vue"]') ||
-        document.querySelector('script[src*="angular"]') ||
-        document.querySelector('meta[name="generator"][content*="React"]') ||
-        document.querySelector('meta[name="generator"][content*="Vue"]') ||
-        document.querySelector('meta[name="generator"][content*="Angular"]')
-      );
-    });
+  async approveBaseline(args) {
+    this.validateArgs(args, ['name']);
+    const baseline = this.readBaseline(args.name);
+    if (!fs.existsSync(baseline.candidatePath)) {
+      throw new Error(`No pending screenshot for baseline ${args.name}. Run check_against_baseline first`);
+    }
+
+    const { width, height } = await sharp(baseline.candidatePath).metadata();
+    fs.renameSync(baseline.candidatePath, baseline.imagePath);
+    const approved = {
+      ...baseline,
+      width,
+      height,
+      updatedAt: new Date().toISOString(),
+      lastResult: baseline.lastResult && { ...baseline.lastResult, approved: true }
+    };
+    this.writeBaselineMeta(approved);
+
+    return {
+      content: [{
+        type: 'text',
+        text: `✅ Approved the last checked screenshot as baseline "${args.name}" (${width}x${height})
+📁 ${baseline.imagePath}`
+      }],
+      structuredContent: { ...this.describeBaseline(approved), path: baseline.imagePath }
+    };
   }
 
-  async waitForSPAReady(page, timeout = 10000) {
-    try {
-      // Wait for common frameworks
-      await page.waitForFunction(() => {
-        return window.React || 
-               window.Vue || 
-               window.angular || 
-               window.ng ||
-               document.querySelector('[data-reactroot]') ||
-               document.querySelector('#root') ||
-               document.querySelector('#app') ||
-               document.querySelector('.vue-app') ||
-               document.querySelector('[ng-version]');
-      }, { timeout: 5000 });
+  describeBaseline(baseline) {
+    return {
+      name: baseline.name,
+      url: baseline.url,
+      browser: baseline.browser,
+      device: baseline.device,
+      viewport: baseline.viewport,
+      fullPage: baseline.fullPage,
+      selector: baseline.selector ?? null,
+      clip: baseline.clip ?? null,
+      mask: baseline.mask ?? [],
+      ignoreSelectors: baseline.ignoreSelectors ?? [],
+      width: baseline.width,
+      height: baseline.height,
+      createdAt: baseline.createdAt,
+      updatedAt: baseline.updatedAt,
+      pendingApproval: baseline.lastResult?.passed === false && fs.existsSync(baseline.candidatePath),
+      lastResult: baseline.lastResult
+    };
+  }
 
-      // Wait for loading indicators to disappear
-      const loadingSelectors = [
-        '[data-testid*="loading"]',
-        '[data-testid*="spinner"]',
-        '.loading', '.spinner', '.loader',
-        '[aria-label*="loading"]',
-        '[class*="loading"]',
-        '[class*="spinner"]'
-      ];
+  async listBaselines() {
+    const names = fs.existsSync(BASELINES_DIR)
+      ? fs.readdirSync(BASELINES_DIR).filter(name => fs.existsSync(path.join(BASELINES_DIR, name, 'baseline.json')))
+      : [];
+
+    if (names.length === 0) {
+      return {
+        content: [{ type: 'text', text: `No baselines stored in ${BASELINES_DIR}` }],
+        structuredContent: { directory: BASELINES_DIR, baselines: [] }
+      };
+    }
+
+    const baselines = names.map(name => this.describeBaseline(this.readBaseline(name)));
+
+    return {
+      content: [{
+        type: 'text',
+        text: `Baselines in ${BASELINES_DIR} (${baselines.length}):\n\n${baselines.map(baseline => {
+          const result = baseline.lastResult
+            ? `last check ${baseline.lastResult.passed ? '✅' : '❌'} ${(baseline.lastResult.similarity * 100).toFixed(1)}% at ${baseline.lastResult.checkedAt}${baseline.pendingApproval ? ' (pending approval)' : ''}`
+            : 'never checked';
+          return `- ${baseline.name}: ${baseline.url} [${baseline.device || baseline.browser}${baseline.viewport ? ` ${baseline.viewport.width}x${baseline.viewport.height}` : ''}], ${result}`;
+        }).join('\n')}`
+      }],
+      structuredContent: { directory: BASELINES_DIR, baselines }
+    };
+  }
 
-      for (const selector of loadingSelectors) {
-        try {
-          await page.waitForSelector(selector, { state: 'detached', timeout: 2000 });
-        } catch (e) {
-          // Selector not found or didn't disappear - continue
-        }
-      }
+  async deleteBaseline(args) {
+    this.validateArgs(args, ['name']);
+    const baseline = this.readBaseline(args.name);
+    fs.rmSync(this.getBaselineDir(baseline.name), { recursive: true, force: true });
 
-      // Additional wait for content to stabilize
-      await page.waitForTimeout(1000);
-      
-    } catch (e) {
-      // Fallback: just wait a bit longer
-      await page.waitForTimeout(3000);
-    }
+    return {
+      content: [{ type: 'text', text: `✅ Deleted baseline "${args.name}"` }],
+      structuredContent: { name: args.name, deleted: true }
+    };
   }
 
-  async takeScreenshot(args) {
+  async auditAccessibility(args) {
     this.validateArgs(args, ['url']);
-    const { url, browser: browserType = 'chromium', device, fullPage = true, waitForSPA = true } = args;
+    const {
+      url,
+      selector,
+      actions = [],
+      rules = Object.keys(A11Y_RULES),
+      device,
+      waitForSPA = true,
+      maxViolations = A11Y_AUDIT.maxViolations,
+      inlineImage,
+      saveToDisk = true,
+      artifactLabel
+    } = args;
 
-    const { browser, context } = await this.getBrowser(browserType, device);
-    const page = await context.newPage();
+    const unknownRules = rules.filter(rule => !A11Y_RULES[rule]);
+    if (unknownRules.length > 0) {
+      throw new Error(`Unknown accessibility rule(s): ${unknownRules.join(', ')}. Available: ${Object.keys(A11Y_RULES).join(', ')}`);
+    }
+
+    const artifacts = this.artifacts.startRun('audit_accessibility', { label: artifactLabel, url });
+    const { page, session, release } = await this.acquirePage(args);
 
     try {
-      await page.goto(url, { waitUntil: 'networkidle' });
-      
-      if (waitForSPA && await this.isSPA(page)) {
-        await this.waitForSPAReady(page);
-      } else if (url.includes('expo') || url.includes(':8081')) {
-        await this.waitForReactHydration(page);
+      if (!device && !session) {
+        await this.setupMobileViewport(page);
       }
 
-      const screenshot = await page.screenshot({ 
-        fullPage,
-        type: 'png'
-      });
-
-      // Save screenshot to file for reference
-      const screenshotPath = `/tmp/screenshot-${Date.now()}.png`;
-      fs.writeFileSync(screenshotPath, screenshot);
-
-      // Get basic page analysis
-      const pageAnalysis = await page.evaluate(() => {
-        const body = document.body;
-        const visibleElements = Array.from(document.querySelectorAll('*')).filter(el => {
-          const style = window.getComputedStyle(el);
-          return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
-        });
+      const response = await this.navigate(page, url, session);
+      if (response && waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      }
 
-        return {
-          title: document.title,
-          bodyText: body.textContent?.trim().substring(0, 500) + '...',
-          visibleElementCount: visibleElements.length,
-          hasContent: body.textContent?.trim().length > 100,
-          mainElements: {
-            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
-            paragraphs: document.querySelectorAll('p').length,
-            buttons: document.querySelectorAll('button').length,
-            inputs: document.querySelectorAll('input').length,
-            tables: document.querySelectorAll('table').length,
-            lists: document.querySelectorAll('ul, ol').length
+      // Audit the state the actions leave behind (opened menus, validation errors, ...)
+      const run = actions.length > 0
+        ? await this.runActions(page, actions, { artifacts, inlineImage, saveToDisk })
+        : null;
+
+      const audit = await this.runAccessibilityRules(page, { selector, rules });
+      if (audit.error) throw new Error(audit.error);
+
+      const violations = audit.violations.map(violation => ({
+        rule: violation.rule,
+        severity: violation.severity || A11Y_RULES[violation.rule].severity,
+        selector: violation.selector,
+        html: violation.html,
+        message: violation.message,
+        remediation: A11Y_RULES[violation.rule].remediation
+      })).sort((a, b) => A11Y_SEVERITIES.indexOf(a.severity) - A11Y_SEVERITIES.indexOf(b.severity));
+
+      const counts = Object.fromEntries(A11Y_SEVERITIES.map(severity => [
+        severity,
+        violations.filter(violation => violation.severity === severity).length
+      ]));
+      const reported = violations.slice(0, maxViolations);
+
+      const severityIcons = { critical: '🔴', serious: '🟠', moderate: '🟡', minor: '🔵' };
+      const sections = rules
+        .map(rule => {
+          const found = reported.filter(violation => violation.rule === rule);
+          if (found.length === 0) return null;
+          const lines = [`❌ ${rule}: ${A11Y_RULES[rule].description} (${found.length})`];
+          for (const violation of found) {
+            lines.push(`  ${severityIcons[violation.severity]} ${violation.selector}: ${violation.message}`);
           }
-        };
-      });
+          lines.push(`  💡 ${A11Y_RULES[rule].remediation}`);
+          return lines.join('\n');
+        })
+        .filter(Boolean);
+      const passedRules = rules.filter(rule => !violations.some(violation => violation.rule === rule));
+
+      let text = `Accessibility audit of ${page.url()}${selector ? ` (scope: ${selector})` : ''}:\n\n`;
+      if (run) text += `🎬 Actions:\n${run.results.join('\n')}\n\n`;
+      text += violations.length === 0
+        ? `✅ No violations (${rules.length} rules checked)`
+        : `⚠️ ${violations.length} violation${violations.length === 1 ? '' : 's'}: ${A11Y_SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}`;
+      if (sections.length > 0) text += `\n\n${sections.join('\n\n')}`;
+      if (reported.length < violations.length) text += `\n\n... ${violations.length - reported.length} more violations not shown`;
+      if (passedRules.length > 0 && violations.length > 0) text += `\n\n✅ Passed: ${passedRules.join(', ')}`;
+      if (audit.incomplete.length > 0) {
+        text += `\n\n❔ Not checked (${audit.incomplete.length}):\n${audit.incomplete.slice(0, 10).map(item => `  - ${item.selector}: ${item.reason}`).join('\n')}`;
+      }
 
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Screenshot captured from ${url}
-
-📸 Screenshot saved to: ${screenshotPath}
+        content: [{ type: 'text', text }, ...(run ? run.images : [])],
+        structuredContent: {
+          url: page.url(),
+          scope: selector || null,
+          rules,
+          passed: violations.length === 0,
+          counts,
+          violations: reported,
+          truncated: reported.length < violations.length,
+          incomplete: audit.incomplete,
+          actions: run ? run.actionResults : null
+        }
+      };
+    } finally {
+      artifacts.finish();
+      await release();
+    }
+  }
 
-📄 Page Analysis:
-- Title: ${pageAnalysis.title}
-- Has Content: ${pageAnalysis.hasContent ? '✅' : '❌'}
-- Visible Elements: ${pageAnalysis.visibleElementCount}
+  async runAccessibilityRules(page, { selector, rules }) {
+    return await page.evaluate(({ selector, rules, focusJump }) => {
+      const scope = selector ? document.querySelector(selector) : document.body;
+      if (!scope) return { error: `No element matches ${selector}` };
 
-📊 Content Elements:
-- Headings: ${pageAnalysis.mainElements.headings}
-- Paragraphs: ${pageAnalysis.mainElements.paragraphs}
-- Buttons: ${pageAnalysis.mainElements.buttons}
-- Inputs: ${pageAnalysis.mainElements.inputs}
-- Tables: ${pageAnalysis.mainElements.tables}
-- Lists: ${pageAnalysis.mainElements.lists}
+      const violations = [];
+      const incomplete = [];
+      const enabled = new Set(rules);
 
-📝 Page Content Preview:
-${pageAnalysis.bodyText}`
+      const selectorFor = el => {
+        const isUnique = css => {
+          try {
+            return document.querySelectorAll(css).length === 1;
+          } catch (e) {
+            return false;
           }
-        ],
-        screenshotPath: screenshotPath
+        };
+        if (el.id && isUnique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+        const testId = el.getAttribute('data-testid');
+        if (testId && isUnique(`[data-testid=${JSON.stringify(testId)}]`)) return `[data-testid=${JSON.stringify(testId)}]`;
+
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+          if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+            parts.unshift(`#${CSS.escape(node.id)}`);
+            break;
+          }
+          const tag = node.tagName.toLowerCase();
+          const siblings = node.parentElement
+            ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName)
+            : [];
+          parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
       };
-    } finally {
-      await context.close();
-      await browser.close();
-    }
-  }
 
-  async compareScreenshots(args) {
-    this.validateArgs(args, ['urlA', 'urlB']);
-    const { 
-      urlA, 
-      urlB, 
-      browser: browserType = 'chromium', 
-      threshold = 0.1,
-      analyzeLayout = true,
-      analyzeColors = true,
-      analyzeTypography = true,
-      waitForSPA = true
-    } = args;
+      const report = (rule, el, message, severity) => {
+        const html = el.outerHTML || '';
+        violations.push({
+          rule,
+          severity,
+          selector: selectorFor(el),
+          html: html.slice(0, html.indexOf('>') + 1).slice(0, 200),
+          message
+        });
+      };
 
-    const { browser, context } = await this.getBrowser(browserType);
-    
-    try {
-      // Take screenshots
-      const [pageA, pageB] = await Promise.all([
-        context.newPage(),
-        context.newPage()
-      ]);
+      const isHidden = el => {
+        if (el.closest('[aria-hidden="true"]')) return true;
+        const style = window.getComputedStyle(el);
+        return el.getClientRects().length === 0 || style.visibility === 'hidden' || style.display === 'none';
+      };
 
-      await Promise.all([
-        pageA.goto(urlA, { waitUntil: 'networkidle' }),
-        pageB.goto(urlB, { waitUntil: 'networkidle' })
-      ]);
+      const textOf = el => {
+        let text = '';
+        for (const node of el.childNodes) {
+          if (node.nodeType === Node.TEXT_NODE) {
+            text += node.textContent;
+          } else if (node.nodeType === Node.ELEMENT_NODE && node.getAttribute('aria-hidden') !== 'true') {
+            text += ` ${node.getAttribute('aria-label') || (node.tagName === 'IMG' ? node.getAttribute('alt') || '' : textOf(node))} `;
+          }
+        }
+        return text.replace(/\s+/g, ' ').trim();
+      };
 
-      // Wait for SPAs to be ready
-      if (waitForSPA) {
-        const waitPromises = [];
-        if (await this.isSPA(pageA)) waitPromises.push(this.waitForSPAReady(pageA));
-        if (await this.isSPA(pageB)) waitPromises.push(this.waitForSPAReady(pageB));
-        await Promise.all(waitPromises);
-      } else {
-        // Fallback to existing React hydration logic
-        if (urlA.includes('expo') || urlA.includes(':8081')) {
-          await this.waitForReactHydration(pageA);
+      // Simplified accessible name computation: labelledby, aria-label, native labelling, content, title
+      const nameOf = el => {
+        const labelledBy = (el.getAttribute('aria-labelledby') || '')
+          .split(/\s+/)
+          .map(id => id && document.getElementById(id))
+          .filter(Boolean)
+          .map(label => textOf(label))
+          .join(' ')
+          .trim();
+        if (labelledBy) return labelledBy;
+        const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+        if (ariaLabel) return ariaLabel;
+
+        const tag = el.tagName;
+        if (tag === 'IMG' || (tag === 'INPUT' && el.type === 'image')) {
+          const alt = (el.getAttribute('alt') || '').trim();
+          if (alt) return alt;
+        } else if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tag)) {
+          const labels = Array.from(el.labels || []).map(label => textOf(label)).join(' ').trim();
+          if (labels) return labels;
+          if (['button', 'submit', 'reset'].includes(el.type)) return el.value || (el.type === 'button' ? '' : el.type);
+        } else if (tag === 'svg') {
+          const title = el.querySelector('title');
+          if (title?.textContent.trim()) return title.textContent.trim();
+        } else {
+          const content = textOf(el);
+          if (content) return content;
         }
-        if (urlB.includes('expo') || urlB.includes(':8081')) {
-          await this.waitForReactHydration(pageB);
+        return (el.getAttribute('title') || '').trim();
+      };
+
+      const roleOf = el => (el.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase();
+      const all = [scope, ...scope.querySelectorAll('*')];
+
+      if (enabled.has('invalid-role')) {
+        const validRoles = new Set([
+          'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+          'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+          'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+          'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+          'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter',
+          'navigation', 'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup',
+          'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+          'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist',
+          'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+        ]);
+        for (const el of all) {
+          const value = (el.getAttribute('role') || '').trim();
+          if (!el.hasAttribute('role')) continue;
+          // Fallback role lists are fine as long as one token is a real role
+          const tokens = value.toLowerCase().split(/\s+/).filter(Boolean);
+          if (!tokens.some(token => validRoles.has(token) || /^(doc|graphics)-/.test(token))) {
+            report('invalid-role', el, value ? `role="${value}" is not a WAI-ARIA role` : 'Empty role attribute');
+          }
         }
       }
 
-      const [screenshotA, screenshotB] = await Promise.all([
-        pageA.screenshot({ fullPage: true, type: 'png' }),
-        pageB.screenshot({ fullPage: true, type: 'png' })
-      ]);
-
-      // Save screenshots for reference
-      const timestampA = Date.now();
-      const timestampB = timestampA + 1;
-      const pathA = `/tmp/compare-source-${timestampA}.png`;
-      const pathB = `/tmp/compare-target-${timestampB}.png`;
-      
-      fs.writeFileSync(pathA, screenshotA);
-      fs.writeFileSync(pathB, screenshotB);
+      if (enabled.has('accessible-name')) {
+        const namedRoles = new Set([
+          'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+          'option', 'slider', 'spinbutton', 'treeitem', 'combobox', 'textbox', 'searchbox', 'listbox', 'progressbar', 'meter', 'dialog'
+        ]);
+        const candidates = all.filter(el => {
+          const role = roleOf(el);
+          if (role === 'none' || role === 'presentation') return false;
+          // Native fields are covered by form-label
+          if (['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName)) return ['button', 'submit', 'reset'].includes(el.type);
+          return el.tagName === 'BUTTON' || (el.tagName === 'A' && el.hasAttribute('href')) || namedRoles.has(role);
+        });
+        for (const el of candidates) {
+          if (isHidden(el) || nameOf(el)) continue;
+          const role = roleOf(el) || (el.tagName === 'A' ? 'link' : 'button');
+          report('accessible-name', el, `${role} has no accessible name`);
+        }
+      }
 
-      // Get page content analysis for both pages
-      const [analysisA, analysisB] = await Promise.all([
-        pageA.evaluate(() => ({
-          title: document.title,
-          bodyText: document.body.textContent?.trim().substring(0, 300),
-          visibleElements: Array.from(document.querySelectorAll('*')).filter(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && style.visibility !== 'hidden';
-          }).length,
-          mainElements: {
-            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
-            paragraphs: document.querySelectorAll('p').length,
-            buttons: document.querySelectorAll('button').length,
-            tables: document.querySelectorAll('table').length,
-            tableRows: document.querySelectorAll('tr').length
-          }
-        })),
-        pageB.evaluate(() => ({
-          title: document.title,
-          bodyText: document.body.textContent?.trim().substring(0, 300),
-          visibleElements: Array.from(document.querySelectorAll('*')).filter(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && style.visibility !== 'hidden';
-          }).length,
-          mainElements: {
-            headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
-            paragraphs: document.querySelectorAll('p').length,
-            buttons: document.querySelectorAll('button').length,
-            tables: document.querySelectorAll('table').length,
-            tableRows: document.querySelectorAll('tr').length
+      if (enabled.has('image-alt')) {
+        for (const el of all) {
+          const role = roleOf(el);
+          if (isHidden(el) || role === 'none' || role === 'presentation') continue;
+          if (el.tagName === 'IMG') {
+            if (!el.hasAttribute('alt') && !nameOf(el)) report('image-alt', el, `Image has no alt attribute (${(el.getAttribute('src') || '').slice(0, 80)})`);
+          } else if (el.tagName === 'INPUT' && el.type === 'image') {
+            if (!nameOf(el)) report('image-alt', el, 'Image button has no alt text');
+          } else if (role === 'img' && !nameOf(el)) {
+            report('image-alt', el, 'Element with role="img" has no accessible name');
           }
-        }))
-      ]);
-
-      // Analyze images
-      const analysis = await this.analyzeVisualDifferences(
-        screenshotA, 
-        screenshotB, 
-        { analyzeLayout, analyzeColors, analyzeTypography, threshold }
-      );
+        }
+      }
 
-      // Content comparison
-      const contentComparison = {
-        titles: {
-          source: analysisA.title,
-          target: analysisB.title,
-          match: analysisA.title === analysisB.title
-        },
-        elementCounts: {
-          source: analysisA.visibleElements,
-          target: analysisB.visibleElements,
-          difference: Math.abs(analysisA.visibleElements - analysisB.visibleElements)
-        },
-        structuralElements: {
-          headings: { source: analysisA.mainElements.headings, target: analysisB.mainElements.headings },
-          paragraphs: { source: analysisA.mainElements.paragraphs, target: analysisB.mainElements.paragraphs },
-          buttons: { source: analysisA.mainElements.buttons, target: analysisB.mainElements.buttons },
-          tables: { source: analysisA.mainElements.tables, target: analysisB.mainElements.tables },
-          tableRows: { source: analysisA.mainElements.tableRows, target: analysisB.mainElements.tableRows }
+      if (enabled.has('form-label')) {
+        const unlabelledTypes = new Set(['hidden', 'button', 'submit', 'reset', 'image']);
+        for (const el of all) {
+          if (!['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName) || unlabelledTypes.has(el.type) || isHidden(el)) continue;
+          if (nameOf(el)) continue;
+          const placeholder = (el.getAttribute('placeholder') || '').trim();
+          report('form-label', el, placeholder
+            ? `Field is only described by its placeholder "${placeholder}"`
+            : `${el.tagName.toLowerCase()}${el.tagName === 'INPUT' ? `[type=${el.type}]` : ''} has no label`);
         }
-      };
+      }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `Visual comparison between ${urlA} and ${urlB}:
+      if (enabled.has('heading-order')) {
+        const headings = all
+          .map(el => {
+            const match = el.tagName.match(/^H([1-6])$/);
+            const level = roleOf(el) === 'heading'
+              ? parseInt(el.getAttribute('aria-level') || (match ? match[1] : '2'), 10)
+              : match ? parseInt(match[1], 10) : null;
+            return level && !isHidden(el) ? { el, level } : null;
+          })
+          .filter(Boolean);
+
+        let previous = null;
+        for (const heading of headings) {
+          if (!nameOf(heading.el)) report('heading-order', heading.el, `Empty h${heading.level}`, 'minor');
+          if (previous && heading.level > previous.level + 1) {
+            report('heading-order', heading.el, `Heading level jumps from h${previous.level} to h${heading.level}`);
+          }
+          previous = heading;
+        }
+        if (!selector && !headings.some(heading => heading.level === 1)) {
+          report('heading-order', headings[0]?.el || document.body, 'Page has no level-one heading', 'minor');
+        }
+      }
 
-📸 Screenshots saved:
-- Source: ${pathA}
-- Target: ${pathB}
+      if (enabled.has('focus-order')) {
+        const focusableSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, [tabindex], [contenteditable="true"]';
+        const isFocusable = el => el.matches(focusableSelector) && !el.disabled && el.getAttribute('tabindex') !== '-1';
 
-📊 VISUAL SIMILARITY: ${(analysis.similarity * 100).toFixed(1)}% ${analysis.similar ? '✅ PASS' : '❌ FAIL'}
+        const stops = [];
+        for (const el of all) {
+          if (!isFocusable(el)) continue;
+          if (el.closest('[aria-hidden="true"]')) {
+            const style = window.getComputedStyle(el);
+            if (el.getClientRects().length > 0 && style.visibility !== 'hidden') {
+              report('focus-order', el, 'Focusable element is inside aria-hidden="true", so screen readers cannot announce it', 'serious');
+            }
+            continue;
+          }
+          if (isHidden(el)) continue;
+          const tabIndex = parseInt(el.getAttribute('tabindex'), 10);
+          if (tabIndex > 0) report('focus-order', el, `tabindex="${tabIndex}" overrides the natural tab order`);
+          stops.push({ el, tabIndex: tabIndex > 0 ? tabIndex : 0, rect: el.getBoundingClientRect() });
+        }
 
-📄 Content Analysis:
-- Source Title: "${contentComparison.titles.source}"
-- Target Title: "${contentComparison.titles.target}"
-- Titles Match: ${contentComparison.titles.match ? '✅' : '❌'}
+        // Custom widgets without tabindex can be clicked but never reached by keyboard
+        const interactiveRoles = new Set(['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'slider', 'spinbutton', 'textbox', 'combobox']);
+        for (const el of all) {
+          if (el.matches(focusableSelector) || !interactiveRoles.has(roleOf(el)) || isHidden(el)) continue;
+          if (el.getAttribute('aria-disabled') === 'true') continue;
+          report('focus-order', el, `role="${roleOf(el)}" element is not keyboard focusable`, 'serious');
+        }
 
-📈 Element Counts:
-- Source Elements: ${contentComparison.elementCounts.source}
-- Target Elements: ${contentComparison.elementCounts.target}
-- Difference: ${contentComparison.elementCounts.difference} elements
+        // Browsers visit positive tabindex values first (ascending), then DOM order
+        const sequence = [
+          ...stops.filter(stop => stop.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+          ...stops.filter(stop => stop.tabIndex === 0)
+        ];
+        const threshold = window.innerHeight * focusJump;
+        for (let i = 1; i < sequence.length; i++) {
+          const previous = sequence[i - 1].rect;
+          const current = sequence[i].rect;
+          if (current.bottom < previous.top - threshold) {
+            report('focus-order', sequence[i].el,
+              `Focus moves back up the page by ${Math.round(previous.top - current.top)}px after ${selectorFor(sequence[i - 1].el)}`, 'minor');
+          }
+        }
+      }
 
-🏗️ Structural Comparison:
-- Headings: ${contentComparison.structuralElements.headings.source} → ${contentComparison.structuralElements.headings.target}
-- Paragraphs: ${contentComparison.structuralElements.paragraphs.source} → ${contentComparison.structuralElements.paragraphs.target}
-- Buttons: ${contentComparison.structuralElements.buttons.source} → ${contentComparison.structuralElements.buttons.target}
-- Tables: ${contentComparison.structuralElements.tables.source} → ${contentComparison.structuralElements.tables.target}
-- Table Rows: ${contentComparison.structuralElements.tableRows.source} → ${contentComparison.structuralElements.tableRows.target}
+      if (enabled.has('color-contrast')) {
+        const parseColor = value => {
+          const match = (value || '').match(/^rgba?\(([^)]+)\)$/);
+          if (!match) return null;
+          const parts = match[1].split(/[\s,/]+/).filter(Boolean)
+            .map(part => part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part));
+          return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+        };
+        const blend = (top, bottom) => ({
+          r: top.r * top.a + bottom.r * (1 - top.a),
+          g: top.g * top.a + bottom.g * (1 - top.a),
+          b: top.b * top.a + bottom.b * (1 - top.a),
+          a: 1
+        });
+        const luminance = ({ r, g, b }) => {
+          const [R, G, B] = [r, g, b].map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+          });
+          return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+        };
+        const hex = ({ r, g, b }) => `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+        // Only ancestor backgrounds are considered; images and gradients make the result unknowable
+        const backgroundOf = el => {
+          const layers = [];
+          for (let node = el; node; node = node.parentElement) {
+            const style = window.getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+            const color = parseColor(style.backgroundColor);
+            if (color && color.a > 0) {
+              layers.push(color);
+              if (color.a >= 1) break;
+            }
+          }
+          return layers.reverse().reduce((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+        };
 
-${this.formatAnalysisResults(analysis)}`
+        const textElements = new Set();
+        const walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+          const parent = walker.currentNode.parentElement;
+          if (parent && walker.currentNode.textContent.trim() && !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) {
+            textElements.add(parent);
           }
-        ],
-        analysis,
-        contentComparison,
-        screenshots: { pathA, pathB }
-      };
-    } finally {
-      await context.close();
-      await browser.close();
-    }
-  }
+        }
 
-  async analyzeVisualDifferences(imageA, imageB, options) {
-    const { analyzeLayout, analyzeColors, analyzeTypography, threshold } = options;
-    
-    // Convert images to Sharp objects for processing
-    const imgA = sharp(imageA);
-    const imgB = sharp(imageB);
-    
-    const [metaA, metaB] = await Promise.all([
-      imgA.metadata(),
-      imgB.metadata()
-    ]);
+        for (const el of textElements) {
+          if (isHidden(el) || el.closest(':disabled, [aria-disabled="true"]')) continue;
+          const style = window.getComputedStyle(el);
+          // Opacity compounds down the tree, so a faded container fades its text too
+          let opacity = 1;
+          for (let node = el; node; node = node.parentElement) opacity *= parseFloat(window.getComputedStyle(node).opacity);
+          if (opacity === 0) continue;
+          const background = backgroundOf(el);
+          const foreground = parseColor(style.color);
+          if (!background || !foreground) {
+            incomplete.push({
+              rule: 'color-contrast',
+              selector: selectorFor(el),
+              reason: background ? `Unsupported color value ${style.color}` : 'Background image or gradient behind text'
+            });
+            continue;
+          }
 
-    const analysis = {
-      dimensions: {
-        source: { width: metaA.width, height: metaA.height },
-        target: { width: metaB.width, height: metaB.height },
-        match: metaA.width === metaB.width && metaA.height === metaB.height
-      },
-      layout: {},
-      colors: {},
-      typography: {},
-      similarity: 0
-    };
+          const text = blend({ ...foreground, a: foreground.a * opacity }, background);
+          const [lighter, darker] = [luminance(text), luminance(background)].sort((a, b) => b - a);
+          const ratio = (lighter + 0.05) / (darker + 0.05);
+          const fontSize = parseFloat(style.fontSize);
+          const large = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+          const required = large ? 3 : 4.5;
+          if (ratio < required) {
+            report('color-contrast', el,
+              `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${hex(text)} on ${hex(background)}, ${fontSize}px${large ? ' large text' : ''})`);
+          }
+        }
+      }
 
-    // Resize images to same dimensions for comparison
-    const minWidth = Math.min(metaA.width, metaB.width);
-    const minHeight = Math.min(metaA.height, metaB.height);
+      return { violations, incomplete };
+    }, { selector, rules, focusJump: A11Y_AUDIT.focusJump });
+  }
 
-    const [bufferA, bufferB] = await Promise.all([
-      imgA.resize(minWidth, minHeight).raw().toBuffer(),
-      imgB.resize(minWidth, minHeight).raw().toBuffer()
-    ]);
+  async getAccessibilityTree(args) {
+    this.validateArgs(args, ['url']);
+    const {
+      url,
+      selector,
+      interestingOnly = true,
+      maxDepth = Infinity,
+      maxNodes = A11Y_TREE.maxNodes,
+      waitForSPA = true
+    } = args;
 
-    if (analyzeLayout) {
-      analysis.layout = await this.analyzeLayout(bufferA, bufferB, minWidth, minHeight);
-    }
+    const { page, session, release } = await this.acquirePage(args);
+    let element = null;
 
-    if (analyzeColors) {
-      analysis.colors = await this.analyzeColors(bufferA, bufferB);
-    }
+    try {
+      const response = await this.navigate(page, url, session);
+      if (response && waitForSPA && await this.isSPA(page)) {
+        await this.waitForSPAReady(page);
+      }
 
-    if (analyzeTypography) {
-      analysis.typography = await this.analyzeTypography(bufferA, bufferB, minWidth, minHeight);
-    }
+      let rootSelector = 'body';
+      if (selector) {
+        ({ element, usedSelector: rootSelector } = await this.findElement(page, selector));
+      }
+      const yaml = await page.locator(rootSelector).first().ariaSnapshot({ timeout: TIMEOUTS.DEFAULT });
+      const parsed = this.parseAriaSnapshot(yaml);
+      const snapshot = interestingOnly ? this.pruneAccessibilityTree(parsed) : parsed;
+      if (snapshot.children.length === 0) {
+        throw new Error(selector
+          ? `${selector} is not exposed in the accessibility tree (hidden, aria-hidden or presentational)`
+          : 'The page has no accessibility tree');
+      }
 
-    // Calculate overall similarity
-    let totalDiff = 0;
-    const totalPixels = minWidth * minHeight * 3; // RGB channels
-    
-    for (let i = 0; i < bufferA.length; i++) {
-      totalDiff += Math.abs(bufferA[i] - bufferB[i]);
-    }
-    
-    analysis.similarity = 1 - (totalDiff / (totalPixels * 255));
-    analysis.similar = analysis.similarity >= (1 - threshold);
+      const { tree, lines, nodeCount, truncated } = this.formatAccessibilityTree(snapshot, {
+        includeRoot: false,
+        maxDepth,
+        maxNodes
+      });
 
-    return analysis;
-  }
+      const title = await page.title();
+      const header = selector
+        ? `Accessibility tree of ${selector} on ${page.url()}`
+        : `Accessibility tree of ${page.url()}${title ? ` ("${title}")` : ''}`;
+      const footer = truncated ? `\n\n... truncated at ${nodeCount} nodes${Number.isFinite(maxDepth) ? ` / depth ${maxDepth}` : ''}` : '';
 
-  async analyzeLayout(bufferA, bufferB, width, height) {
-    // Grid-based layout analysis
-    const gridSize = 20; // 20x20 grid
-    const cellWidth = Math.floor(width / gridSize);
-    const cellHeight = Math.floor(height / gridSize);
-    
-    const layoutDiffs = [];
-    
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
-        const cellDiff = this.compareCellContent(
-          bufferA, bufferB, 
-          col * cellWidth, row * cellHeight, 
-          cellWidth, cellHeight, 
-          width
-        );
-        
-        if (cellDiff > 0.3) { // Significant difference threshold
-          const position = this.getCellPosition(row, col, gridSize);
-          layoutDiffs.push({
-            region: `${position.vertical}-${position.horizontal}`,
-            difference: cellDiff,
-            coordinates: { row, col }
-          });
+      return {
+        content: [{
+          type: 'text',
+          text: `${header}:\n\n${lines.length > 0 ? lines.join('\n') : '(empty)'}${footer}`
+        }],
+        structuredContent: {
+          url: page.url(),
+          root: selector || null,
+          interestingOnly,
+          nodeCount,
+          truncated,
+          tree
         }
-      }
+      };
+    } finally {
+      if (element) await element.dispose();
+      await release();
     }
+  }
 
-    return {
-      gridAnalysis: `${layoutDiffs.length} regions with significant layout differences`,
-      majorDifferences: layoutDiffs.slice(0, 5), // Top 5 differences
-      alignment: this.detectAlignmentDifferences(layoutDiffs)
+  // Turns Playwright's aria snapshot YAML ("- role "name" [flag, key=value]: text" lines,
+  // nested by indentation, "/url" style props) back into { role, name, value, states, children } nodes
+  parseAriaSnapshot(yaml) {
+    const root = { role: 'fragment', name: '', children: [] };
+    const stack = [{ indent: -1, node: root }];
+    const valueRoles = ['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider'];
+
+    const unquote = value => {
+      if (value.startsWith('"')) {
+        try {
+          return JSON.parse(value.replace(/\\x([0-9a-f]{2})/gi, '\\u00$1'));
+        } catch (e) {
+          return value;
+        }
+      }
+      if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+      return value;
     };
-  }
 
-  compareCellContent(bufferA, bufferB, startX, startY, cellWidth, cellHeight, imageWidth) {
-    let totalDiff = 0;
-    let pixelCount = 0;
-    
-    for (let y = startY; y < startY + cellHeight; y++) {
-      for (let x = startX; x < startX + cellWidth; x++) {
-        const pixelIndex = (y * imageWidth + x) * 3;
-        if (pixelIndex + 2 < bufferA.length) {
-          totalDiff += Math.abs(bufferA[pixelIndex] - bufferB[pixelIndex]); // R
-          totalDiff += Math.abs(bufferA[pixelIndex + 1] - bufferB[pixelIndex + 1]); // G
-          totalDiff += Math.abs(bufferA[pixelIndex + 2] - bufferB[pixelIndex + 2]); // B
-          pixelCount += 3;
+    for (const line of yaml.split('\n')) {
+      const match = line.match(/^( *)- (.*)$/);
+      if (!match) continue;
+      const indent = match[1].length;
+      let rest = match[2];
+
+      // Keys needing YAML quoting are wrapped in single quotes; otherwise the first ": " or trailing ":" ends the key
+      let key;
+      if (rest.startsWith("'")) {
+        let close = 1;
+        while (close < rest.length && !(rest[close] === "'" && rest[close + 1] !== "'")) {
+          close += rest[close] === "'" ? 2 : 1;
         }
+        key = unquote(rest.slice(0, close + 1));
+        rest = rest.slice(close + 1);
+      } else {
+        const separator = rest.search(/:(\s|$)/);
+        key = separator === -1 ? rest : rest.slice(0, separator);
+        rest = separator === -1 ? '' : rest.slice(separator);
       }
-    }
-    
-    return pixelCount > 0 ? totalDiff / (pixelCount * 255) : 0;
-  }
+      const text = rest.startsWith(': ') ? unquote(rest.slice(2).trim()) : null;
 
-  getCellPosition(row, col, gridSize) {
-    const verticalPos = row < gridSize / 3 ? 'top' : 
-                      row > (2 * gridSize / 3) ? 'bottom' : 'center';
-    const horizontalPos = col < gridSize / 3 ? 'left' : 
-                         col > (2 * gridSize / 3) ? 'right' : 'center';
-    
-    return { vertical: verticalPos, horizontal: horizontalPos };
-  }
+      while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+      const parent = stack[stack.length - 1].node;
 
-  detectAlignmentDifferences(layoutDiffs) {
-    const regions = layoutDiffs.map(d => d.region);
-    const alignmentIssues = [];
-    
-    if (regions.some(r => r.includes('center-left')) && regions.some(r => r.includes('center-center'))) {
-      alignmentIssues.push('Content appears centered in source but left-aligned in target');
-    }
-    if (regions.some(r => r.includes('center-right')) && regions.some(r => r.includes('center-center'))) {
-      alignmentIssues.push('Content appears centered in source but right-aligned in target');
-    }
-    
-    return alignmentIssues;
-  }
+      // Props such as "- /url: /home" describe the parent
+      if (key.startsWith('/')) {
+        parent[key.slice(1)] = text ?? '';
+        continue;
+      }
 
-  async analyzeColors(bufferA, bufferB) {
-    const colorDiffs = [];
-    const sampleSize = 1000; // Sample 1000 pixels for color analysis
-    
-    for (let i = 0; i < sampleSize; i++) {
-      const pixelIndex = Math.floor(Math.random() * (bufferA.length / 3)) * 3;
-      
-      const colorA = {
-        r: bufferA[pixelIndex],
-        g: bufferA[pixelIndex + 1],
-        b: bufferA[pixelIndex + 2]
-      };
-      
-      const colorB = {
-        r: bufferB[pixelIndex],
-        g: bufferB[pixelIndex + 1],
-        b: bufferB[pixelIndex + 2]
-      };
-      
-      const diff = Math.sqrt(
-        Math.pow(colorA.r - colorB.r, 2) +
-        Math.pow(colorA.g - colorB.g, 2) +
-        Math.pow(colorA.b - colorB.b, 2)
-      );
-      
-      if (diff > 30) { // Significant color difference
-        colorDiffs.push({
-          source: `rgb(${colorA.r}, ${colorA.g}, ${colorA.b})`,
-          target: `rgb(${colorB.r}, ${colorB.g}, ${colorB.b})`,
-          difference: Math.round(diff)
-        });
+      const roleMatch = key.match(/^(\S+)\s*/);
+      if (!roleMatch) continue;
+      const node = { role: roleMatch[1], name: '', children: [] };
+      let attributes = key.slice(roleMatch[0].length);
+      const nameMatch = attributes.match(/^"(?:[^"\\]|\\.)*"\s*/);
+      if (nameMatch) {
+        node.name = unquote(nameMatch[0].trim());
+        attributes = attributes.slice(nameMatch[0].length);
+      }
+      for (const [, flag, value] of attributes.matchAll(/\[([\w-]+)(?:=([^\]]*))?\]/g)) {
+        node[flag] = value === undefined ? true : /^\d+$/.test(value) ? Number(value) : value;
       }
-    }
 
-    return {
-      significantDifferences: colorDiffs.length,
-      examples: colorDiffs.slice(0, 10), // Top 10 color differences
-      summary: colorDiffs.length > 50 ? 'Major color palette differences detected' :
-               colorDiffs.length > 10 ? 'Moderate color differences detected' :
-               'Minor or no color differences detected'
-    };
-  }
+      if (node.role === 'text') {
+        node.name = text ?? '';
+      } else if (text !== null) {
+        if (valueRoles.includes(node.role)) node.value = text;
+        else node.children.push({ role: 'text', name: text, children: [] });
+      }
 
-  async analyzeTypography(bufferA, bufferB, width, height) {
-    // Text region detection through edge analysis
-    const textRegions = this.detectTextRegions(bufferA, bufferB, width, height);
-    
-    return {
-      textRegionsAnalyzed: textRegions.length,
-      differences: textRegions.filter(r => r.hasSignificantDifference),
-      summary: textRegions.length > 0 ? 
-        `Analyzed ${textRegions.length} text regions, ${textRegions.filter(r => r.hasSignificantDifference).length} show typography differences` :
-        'No clear text regions detected for typography analysis'
-    };
+      parent.children.push(node);
+      stack.push({ indent, node });
+    }
+    return root;
   }
 
-  detectTextRegions(bufferA, bufferB, width, height) {
-    // Simplified text detection - look for high contrast areas that might be text
-    const regions = [];
-    const blockSize = 50; // 50x50 pixel blocks
-    
-    for (let y = 0; y < height - blockSize; y += blockSize) {
-      for (let x = 0; x < width - blockSize; x += blockSize) {
-        const contrastA = this.calculateContrast(bufferA, x, y, blockSize, width);
-        const contrastB = this.calculateContrast(bufferB, x, y, blockSize, width);
-        
-        if (contrastA > 0.3 || contrastB > 0.3) { // Likely text region
-          const contrastDiff = Math.abs(contrastA - contrastB);
-          regions.push({
-            x, y, 
-            contrastA, 
-            contrastB,
-            hasSignificantDifference: contrastDiff > 0.1
-          });
-        }
-      }
-    }
-    
-    return regions;
+  // Unnamed wrappers are replaced by their children, so the nesting that remains is meaningful
+  pruneAccessibilityTree(node) {
+    const children = (node.children || []).flatMap(child => {
+      const pruned = this.pruneAccessibilityTree(child);
+      return A11Y_TREE.uninteresting.includes(child.role) && !child.name ? pruned.children : [pruned];
+    });
+    return { ...node, children };
   }
 
-  calculateContrast(buffer, startX, startY, blockSize, imageWidth) {
-    let minBrightness = 255;
-    let maxBrightness = 0;
-    
-    for (let y = startY; y < startY + blockSize; y++) {
-      for (let x = startX; x < startX + blockSize; x++) {
-        const pixelIndex = (y * imageWidth + x) * 3;
-        if (pixelIndex + 2 < buffer.length) {
-          const brightness = (buffer[pixelIndex] + buffer[pixelIndex + 1] + buffer[pixelIndex + 2]) / 3;
-          minBrightness = Math.min(minBrightness, brightness);
-          maxBrightness = Math.max(maxBrightness, brightness);
-        }
+  formatAccessibilityTree(snapshot, { includeRoot, maxDepth, maxNodes }) {
+    const lines = [];
+    let nodeCount = 0;
+    let truncated = false;
+
+    const quote = value => JSON.stringify(String(value));
+    const visit = (node, depth) => {
+      if (nodeCount >= maxNodes) {
+        truncated = true;
+        return null;
       }
-    }
-    
-    return (maxBrightness - minBrightness) / 255;
-  }
+      nodeCount++;
 
-  formatAnalysisResults(analysis) {
-    let result = `📊 VISUAL COMPARISON RESULTS\n\n`;
-    
-    // Dimensions
-    result += `📐 Dimensions:\n`;
-    result += `- Source: ${analysis.dimensions.source.width}x${analysis.dimensions.source.height}\n`;
-    result += `- Target: ${analysis.dimensions.target.width}x${analysis.dimensions.target.height}\n`;
-    result += `- Match: ${analysis.dimensions.match ? '✅' : '❌'}\n\n`;
-    
-    // Overall similarity
-    result += `🎯 Overall Similarity: ${(analysis.similarity * 100).toFixed(1)}% ${analysis.similar ? '✅' : '❌'}\n\n`;
-    
-    // Layout analysis
-    if (analysis.layout.gridAnalysis) {
-      result += `📋 Layout Analysis:\n`;
-      result += `- ${analysis.layout.gridAnalysis}\n`;
-      if (analysis.layout.alignment.length > 0) {
-        result += `- Alignment issues: ${analysis.layout.alignment.join(', ')}\n`;
+      const states = {};
+      for (const key of A11Y_TREE.states) {
+        // false is kept on purpose: collapsed menus and unchecked boxes report expanded/checked=false
+        if (node[key] !== undefined && node[key] !== '') states[key] = node[key];
       }
-      result += `\n`;
-    }
-    
-    // Color analysis
-    if (analysis.colors.summary) {
-      result += `🎨 Color Analysis:\n`;
-      result += `- ${analysis.colors.summary}\n`;
-      if (analysis.colors.examples.length > 0) {
-        result += `- Example differences:\n`;
-        analysis.colors.examples.slice(0, 3).forEach(diff => {
-          result += `  • ${diff.source} → ${diff.target} (diff: ${diff.difference})\n`;
-        });
+      const flags = Object.entries(states).map(([key, value]) => value === true ? key : `${key}=${typeof value === 'string' ? quote(value) : value}`);
+      const hasValue = node.value !== undefined && node.value !== '';
+      if (hasValue) flags.push(`value=${quote(node.value)}`);
+
+      lines.push(`${'  '.repeat(depth)}- ${node.role}${node.name ? ` ${quote(node.name)}` : ''}${flags.length > 0 ? ` [${flags.join(', ')}]` : ''}`);
+
+      const result = { role: node.role, name: node.name || '', value: hasValue ? node.value : null, states, children: [] };
+      if (node.children?.length > 0) {
+        if (depth + 1 >= maxDepth) {
+          truncated = true;
+          lines.push(`${'  '.repeat(depth + 1)}- ... ${node.children.length} more`);
+        } else {
+          for (const child of node.children) {
+            const childResult = visit(child, depth + 1);
+            if (childResult) result.children.push(childResult);
+          }
+        }
       }
-      result += `\n`;
+      return result;
+    };
+
+    if (includeRoot) {
+      const tree = visit(snapshot, 0);
+      return { tree, lines, nodeCount, truncated };
     }
-    
-    // Typography analysis
-    if (analysis.typography.summary) {
-      result += `📝 Typography Analysis:\n`;
-      result += `- ${analysis.typography.summary}\n\n`;
+
+    const tree = { role: snapshot.role, name: snapshot.name || '', value: null, states: {}, children: [] };
+    for (const child of snapshot.children || []) {
+      const childResult = visit(child, 0);
+      if (childResult) tree.children.push(childResult);
     }
-    
-    return result;
+    return { tree, lines, nodeCount, truncated };
   }
 
   async run() {
@@ -2424,7 +10175,10 @@ ${this.formatAnalysisResults(analysis)}`
   }
 }
 
-export { WebScraperServer };
+export { WebScraperServer, RobotsTxt };
 
-const server = new WebScraperServer();
-server.run().catch(console.error);
+// Start only when run as a program (directly or through the npm bin link), not when imported by the tests
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new WebScraperServer();
+  server.run().catch(console.error);
+}
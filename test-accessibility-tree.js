@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WebScraperServer } from './server.js';
+
+const server = new WebScraperServer();
+const OPTIONS = { includeRoot: false, maxDepth: 50, maxNodes: 1000 };
+
+// Shaped like locator.ariaSnapshot() output
+const SNAPSHOT = `- banner:
+  - link "Home":
+    - /url: /
+  - navigation "Main":
+    - list:
+      - listitem:
+        - link "Docs" [active]:
+          - /url: /docs
+- main:
+  - heading "Sign in" [level=1]
+  - textbox "Email": ann@example.com
+  - checkbox "Remember me" [checked]
+  - button "Menu" [expanded=false]
+  - 'link "Note: it''s here"'
+  - paragraph: Plain text
+  - text: "Price: \\x2410"`;
+
+test('parses roles, names, flags and props', () => {
+  const root = server.parseAriaSnapshot(SNAPSHOT);
+  assert.equal(root.role, 'fragment');
+  const [banner, main] = root.children;
+  assert.equal(banner.role, 'banner');
+
+  const home = banner.children[0];
+  assert.deepEqual({ role: home.role, name: home.name, url: home.url }, { role: 'link', name: 'Home', url: '/' });
+
+  const docs = banner.children[1].children[0].children[0].children[0];
+  assert.equal(docs.name, 'Docs');
+  assert.equal(docs.active, true);
+  assert.equal(docs.url, '/docs');
+
+  const [heading, textbox, checkbox, menu, quoted, paragraph, text] = main.children;
+  assert.equal(heading.level, 1);
+  assert.equal(textbox.value, 'ann@example.com');
+  assert.equal(checkbox.checked, true);
+  assert.equal(menu.expanded, 'false');
+  assert.equal(quoted.name, "Note: it's here");
+  assert.deepEqual(paragraph.children, [{ role: 'text', name: 'Plain text', children: [] }]);
+  assert.equal(text.name, 'Price: $10');
+});
+
+test('formats an indented outline with states and values', () => {
+  const { lines, nodeCount, truncated } = server.formatAccessibilityTree(server.parseAriaSnapshot(SNAPSHOT), OPTIONS);
+  assert.equal(truncated, false);
+  assert.equal(nodeCount, lines.length);
+  assert.deepEqual(lines.slice(0, 7), [
+    '- banner',
+    '  - link "Home" [url="/"]',
+    '  - navigation "Main"',
+    '    - list',
+    '      - listitem',
+    '        - link "Docs" [active, url="/docs"]',
+    '- main'
+  ]);
+  assert.ok(lines.includes('  - heading "Sign in" [level=1]'));
+  assert.ok(lines.includes('  - textbox "Email" [value="ann@example.com"]'));
+  assert.ok(lines.includes('  - checkbox "Remember me" [checked]'));
+});
+
+test('structured tree mirrors the outline', () => {
+  const { tree } = server.formatAccessibilityTree(server.parseAriaSnapshot(SNAPSHOT), OPTIONS);
+  assert.equal(tree.role, 'fragment');
+  const textbox = tree.children[1].children[1];
+  assert.deepEqual(textbox, { role: 'textbox', name: 'Email', value: 'ann@example.com', states: {}, children: [] });
+  assert.deepEqual(tree.children[1].children[0].states, { level: 1 });
+});
+
+test('maxDepth and maxNodes truncate', () => {
+  const snapshot = server.parseAriaSnapshot(SNAPSHOT);
+
+  const shallow = server.formatAccessibilityTree(snapshot, { ...OPTIONS, maxDepth: 2 });
+  assert.equal(shallow.truncated, true);
+  assert.ok(shallow.lines.includes('    - ... 1 more'));
+
+  const small = server.formatAccessibilityTree(snapshot, { ...OPTIONS, maxNodes: 3 });
+  assert.equal(small.truncated, true);
+  assert.equal(small.nodeCount, 3);
+});
+
+test('includeRoot keeps the root node in the outline', () => {
+  const { lines } = server.formatAccessibilityTree({ role: 'form', name: 'Login', children: [{ role: 'button', name: 'Go' }] }, { ...OPTIONS, includeRoot: true });
+  assert.deepEqual(lines, ['- form "Login"', '  - button "Go"']);
+});
+
+test('interestingOnly drops unnamed wrappers and keeps their children', () => {
+  const snapshot = server.parseAriaSnapshot(`- generic:
+  - generic:
+    - button "Save"
+  - none:
+    - text: Saved
+- generic "Toolbar":
+  - presentation:
+    - link "Help"`);
+
+  const pruned = server.formatAccessibilityTree(server.pruneAccessibilityTree(snapshot), OPTIONS);
+  assert.deepEqual(pruned.lines, ['- button "Save"', '- text "Saved"', '- generic "Toolbar"', '  - link "Help"']);
+
+  const full = server.formatAccessibilityTree(snapshot, OPTIONS);
+  assert.equal(full.nodeCount, 8);
+});
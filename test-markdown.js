@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chromium } from 'playwright';
+import { WebScraperServer } from './server.js';
+
+// The converter runs inside the page, so these tests need a browser (npm run install-browsers)
+const browser = await chromium.launch().catch(() => null);
+const skip = browser ? false : 'Chromium is not installed';
+after(() => browser?.close());
+
+const server = new WebScraperServer();
+
+const ARTICLE = `<!doctype html><html><head><title>Doc Title</title></head><body>
+<header class="site-header"><a href="/">Logo</a><nav><a href="/a">A</a><a href="/b">B</a></nav></header>
+<div id="wrap">
+  <aside class="sidebar"><ul><li><a href="/x">Related link</a></li></ul></aside>
+  <article class="post">
+    <header><h1>Hello <em>World</em></h1><p class="byline">By Ann</p></header>
+    <p>This is the first paragraph, with <strong>bold</strong>, <em>italic</em> and a <a href="https://example.com/x(1)">link here</a> in the middle, plus more words to score well.</p>
+    <p>Second paragraph has <code>inline()</code> code and a line<br>break, and it is long enough to count, really it is, with commas, too.</p>
+    <pre class="language-js"><code>const a = 1;
+if (a) {
+  run();
+}</code></pre>
+    <ul><li>One<ul><li>Nested A</li><li>Nested B</li></ul></li><li><p>Two</p></li></ul>
+    <ol start="3"><li>Three</li><li>Four</li></ol>
+    <table>
+      <caption>Commands</caption>
+      <tr><th>Step</th><th>Run</th></tr>
+      <tr><td>Pen | blue</td><td>$1</td></tr>
+      <tr><td>Install</td><td><pre>npm install
+
+npm test | tee log</pre></td></tr>
+      <tr><td>Two<br>lines</td><td><p>First</p><p>Second</p></td></tr>
+      <tr><td colspan="2">Total</td></tr>
+    </table>
+    <blockquote><p>Quote line one.</p><p>Quote two.</p></blockquote>
+    <div style="display:none">HIDDEN TEXT</div>
+  </article>
+</div>
+<footer>Copyright</footer>
+</body></html>`;
+
+const convert = async (html, options) => {
+  const page = await browser.newPage();
+  try {
+    await page.setContent(html);
+    return await server.extractPageContent(page, options);
+  } finally {
+    await page.close();
+  }
+};
+
+test('inline formatting, links, lists and code blocks', { skip }, async () => {
+  const { content, title, contentSelector } = await convert(ARTICLE, { includeLinks: true, format: 'markdown' });
+  assert.equal(title, 'Hello World');
+  assert.equal(contentSelector, '#wrap > article');
+  assert.ok(content.startsWith('# Hello *World*\n\nBy Ann\n'));
+  assert.ok(content.includes('with **bold**, *italic* and a [link here](https://example.com/x%281%29) in the middle'));
+  assert.ok(content.includes('`inline()` code and a line  \nbreak'));
+  assert.ok(content.includes('```js\nconst a = 1;\nif (a) {\n  run();\n}\n```'));
+  assert.ok(content.includes('- One\n  - Nested A\n  - Nested B\n- Two'));
+  assert.ok(content.includes('3. Three\n4. Four'));
+  assert.ok(content.includes('> Quote line one.\n>\n> Quote two.'));
+});
+
+test('boilerplate and hidden elements are dropped', { skip }, async () => {
+  const { content } = await convert(ARTICLE, { includeLinks: true, format: 'markdown' });
+  for (const text of ['Logo', 'Related link', 'Copyright', 'HIDDEN TEXT']) {
+    assert.ok(!content.includes(text), text);
+  }
+});
+
+test('table rows stay on one line', { skip }, async () => {
+  const { content } = await convert(ARTICLE, { includeLinks: false, format: 'markdown' });
+  assert.ok(content.includes([
+    '**Commands**',
+    '',
+    '| Step | Run |',
+    '| --- | --- |',
+    '| Pen \\| blue | $1 |',
+    '| Install | `npm install`<br>`npm test \\| tee log` |',
+    '| Two<br>lines | First<br>Second |',
+    '| Total | |'
+  ].join('\n')), content);
+});
+
+test('plain text keeps link references and flattens cells', { skip }, async () => {
+  const { content, links } = await convert(ARTICLE, { includeLinks: true, format: 'text' });
+  assert.ok(content.startsWith('Hello World\n===========\n'));
+  assert.ok(content.includes('a link here [1] in the middle'));
+  assert.ok(content.includes('| Install | npm install npm test \\| tee log |'));
+  assert.deepEqual(links, [{ id: 1, text: 'link here', url: 'https://example.com/x(1)', type: 'external' }]);
+});
+
+test('merged sibling blocks report their common ancestor', { skip }, async () => {
+  const paragraph = `<p>${'Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor, ut labore et dolore. '.repeat(3)}</p>`;
+  const { content, contentSelector } = await convert(`<html><body>
+<div id="page"><div class="part">${paragraph.repeat(3)}</div><div class="part">${paragraph.repeat(3)}</div></div>
+</body></html>`, { includeLinks: false, format: 'markdown' });
+  assert.equal(contentSelector, '#page');
+  assert.equal(content.split('\n\n').length, 6);
+});
+
+test('selector limits the conversion to one element', { skip }, async () => {
+  const { content, contentSelector } = await convert(ARTICLE, { includeLinks: false, format: 'markdown', selector: 'blockquote' });
+  assert.equal(contentSelector, '#wrap > article > blockquote');
+  assert.equal(content, '> Quote line one.\n>\n> Quote two.\n');
+});
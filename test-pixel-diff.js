@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WebScraperServer } from './server.js';
+
+const server = new WebScraperServer();
+const WIDTH = 64;
+const HEIGHT = 64;
+
+// Raw RGB, white with black rectangles: the format both metrics read
+const image = (...rects) => {
+  const buffer = Buffer.alloc(WIDTH * HEIGHT * 3, 255);
+  for (const { x, y, width, height } of rects) {
+    for (let row = y; row < y + height; row++) {
+      buffer.fill(0, (row * WIDTH + x) * 3, (row * WIDTH + x + width) * 3);
+    }
+  }
+  return buffer;
+};
+
+test('identical images have no changes', () => {
+  const a = image({ x: 10, y: 10, width: 20, height: 20 });
+  const diff = server.computePixelDiff(a, Buffer.from(a), WIDTH, HEIGHT);
+  assert.equal(diff.changedPixels, 0);
+  assert.equal(diff.changedRatio, 0);
+  assert.deepEqual(diff.regions, []);
+  assert.equal(server.computeSSIM(a, Buffer.from(a), WIDTH, HEIGHT, diff.mask), 1);
+});
+
+test('a new block is reported as one tight region', () => {
+  const diff = server.computePixelDiff(image(), image({ x: 40, y: 8, width: 10, height: 6 }), WIDTH, HEIGHT);
+  assert.equal(diff.changedPixels, 60);
+  assert.equal(diff.changedRatio, 60 / (WIDTH * HEIGHT));
+  assert.deepEqual(diff.regions, [{ x: 40, y: 8, width: 10, height: 6, changedPixels: 60 }]);
+});
+
+test('separate changes become separate regions, largest first', () => {
+  const diff = server.computePixelDiff(
+    image(),
+    image({ x: 2, y: 2, width: 4, height: 4 }, { x: 40, y: 40, width: 10, height: 10 }),
+    WIDTH, HEIGHT
+  );
+  assert.equal(diff.regions.length, 2);
+  assert.deepEqual(diff.regions.map(region => region.changedPixels), [100, 16]);
+});
+
+test('perceptual metric ignores one-pixel shifts, rgb does not', () => {
+  const a = image({ x: 10, y: 10, width: 20, height: 20 });
+  const b = image({ x: 11, y: 10, width: 20, height: 20 });
+  assert.equal(server.computePixelDiff(a, b, WIDTH, HEIGHT, 0.1, 'perceptual').changedPixels, 0);
+  assert.equal(server.computePixelDiff(a, b, WIDTH, HEIGHT, 0.1, 'rgb').changedPixels, 40);
+});
+
+test('threshold decides how far a colour may move', () => {
+  const a = image();
+  const b = Buffer.from(a);
+  b.fill(220, 0, 3);
+  assert.equal(server.computePixelDiff(a, b, WIDTH, HEIGHT, 0.1, 'rgb').changedPixels, 1);
+  assert.equal(server.computePixelDiff(a, b, WIDTH, HEIGHT, 0.2, 'rgb').changedPixels, 0);
+});
+
+test('SSIM drops for real changes and ignores blank background', () => {
+  const a = image({ x: 8, y: 8, width: 16, height: 16 });
+  const b = image({ x: 8, y: 8, width: 16, height: 16 }, { x: 40, y: 40, width: 8, height: 8 });
+  const diff = server.computePixelDiff(a, b, WIDTH, HEIGHT);
+  const ssim = server.computeSSIM(a, b, WIDTH, HEIGHT, diff.mask);
+  // Only the windows holding content count, so one changed window out of a few weighs heavily
+  assert.ok(ssim < 0.9, `ssim ${ssim}`);
+  assert.ok(ssim >= 0);
+});
+
+test('SSIM treats windows without a changed pixel as identical', () => {
+  const a = image({ x: 8, y: 8, width: 16, height: 16 });
+  const b = image({ x: 9, y: 8, width: 16, height: 16 });
+  const noChanges = new Uint8Array(WIDTH * HEIGHT);
+  assert.equal(server.computeSSIM(a, b, WIDTH, HEIGHT, noChanges), 1);
+});
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotsTxt } from './server.js';
+
+const ROBOTS = `# Example
+User-agent: Googlebot
+Disallow: /
+
+User-agent: *
+User-agent: otherbot
+Disallow: /admin
+Allow: /admin/public
+Disallow: /*.php$
+Disallow: /search?
+Crawl-delay: 2
+
+Sitemap: https://example.com/sitemap.xml`;
+
+const allowed = (robots, path) => robots.isAllowed(`https://example.com${path}`);
+
+test('longest matching rule wins, Allow on ties', () => {
+  const robots = new RobotsTxt(ROBOTS);
+  assert.equal(allowed(robots, '/'), true);
+  assert.equal(allowed(robots, '/admin'), false);
+  assert.equal(allowed(robots, '/admin/users'), false);
+  assert.equal(allowed(robots, '/admin/public/help'), true);
+
+  const tie = new RobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+  assert.equal(allowed(tie, '/page'), true);
+});
+
+test('wildcards, end anchors and query strings', () => {
+  const robots = new RobotsTxt(ROBOTS);
+  assert.equal(allowed(robots, '/index.php'), false);
+  assert.equal(allowed(robots, '/index.php?x=1'), true);
+  assert.equal(allowed(robots, '/search?q=shoes'), false);
+  assert.equal(allowed(robots, '/searching'), true);
+});
+
+test('crawl delay and sitemaps', () => {
+  const robots = new RobotsTxt(ROBOTS);
+  assert.equal(robots.crawlDelay, 2);
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('a specific group replaces the * group', () => {
+  const robots = new RobotsTxt(ROBOTS, 'Googlebot');
+  assert.equal(allowed(robots, '/anything'), false);
+  assert.equal(robots.crawlDelay, null);
+});
+
+test('agents match by product token, case-insensitively', () => {
+  for (const userAgent of ['googlebot', 'GOOGLEBOT', 'Googlebot/2.1 (+http://www.google.com/bot.html)']) {
+    assert.equal(allowed(new RobotsTxt(ROBOTS, userAgent), '/anything'), false, userAgent);
+  }
+  // "bot" is part of "Googlebot" but a different crawler
+  assert.equal(allowed(new RobotsTxt(ROBOTS, 'bot'), '/anything'), true);
+});
+
+test('an empty User-agent matches no crawler', () => {
+  const robots = new RobotsTxt('User-agent:\nDisallow: /\n\nUser-agent: *\nDisallow: /private');
+  assert.equal(allowed(robots, '/page'), true);
+  assert.equal(allowed(robots, '/private'), false);
+});
+
+test('no robots.txt allows everything', () => {
+  const robots = new RobotsTxt('');
+  assert.equal(allowed(robots, '/admin'), true);
+  assert.deepEqual(robots.rules, []);
+  assert.equal(robots.url, null);
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WebScraperServer } from './server.js';
+
+const server = new WebScraperServer();
+
+test('urlset entries with optional fields', () => {
+  const parsed = server.parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://example.com/</loc>
+    <lastmod>2025-02-01</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>1.0</priority>
+  </url>
+  <url><loc>https://example.com/about</loc></url>
+</urlset>`);
+
+  assert.equal(parsed.type, 'urlset');
+  assert.deepEqual(parsed.entries, [
+    { loc: 'https://example.com/', lastmod: '2025-02-01', changefreq: 'daily', priority: 1 },
+    { loc: 'https://example.com/about', lastmod: null, changefreq: null, priority: null }
+  ]);
+});
+
+test('entities, CDATA and extension tags', () => {
+  const parsed = server.parseSitemap(`<urlset xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <url>
+    <loc>https://example.com/search?a=1&amp;b=2</loc>
+    <image:image><image:loc>https://example.com/photo.png</image:loc></image:image>
+  </url>
+  <url><loc><![CDATA[https://example.com/raw?x=1&y=2]]></loc></url>
+</urlset>`);
+
+  assert.deepEqual(parsed.entries.map(entry => entry.loc), [
+    'https://example.com/search?a=1&b=2',
+    'https://example.com/raw?x=1&y=2'
+  ]);
+});
+
+test('sitemap index', () => {
+  const parsed = server.parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/posts.xml.gz</loc><lastmod>2025-01-01</lastmod></sitemap>
+  <sitemap><loc>https://example.com/pages.xml</loc></sitemap>
+</sitemapindex>`);
+
+  assert.equal(parsed.type, 'index');
+  assert.deepEqual(parsed.entries.map(entry => entry.loc), ['https://example.com/posts.xml.gz', 'https://example.com/pages.xml']);
+  assert.equal(parsed.entries[0].lastmod, '2025-01-01');
+});
+
+test('plain-text sitemap', () => {
+  const parsed = server.parseSitemap('https://example.com/a\r\n\n  https://example.com/b  \nnot a url\n');
+  assert.equal(parsed.type, 'text');
+  assert.deepEqual(parsed.entries.map(entry => entry.loc), ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('entries without a loc are dropped', () => {
+  const parsed = server.parseSitemap('<urlset><url><lastmod>2025-01-01</lastmod></url><url><loc>https://example.com/</loc></url></urlset>');
+  assert.equal(parsed.entries.length, 1);
+});
+
+test('an HTML page is rejected', () => {
+  assert.throws(() => server.parseSitemap('<!doctype html><html><body>Not found</body></html>'), /Not a sitemap/);
+});
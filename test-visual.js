@@ -19,7 +19,7 @@ async function testVisualTools() {
       urlB: 'https://httpbin.org/html'
     });
     console.log('✅ Comparison tool works');
-    console.log('Analysis preview:', comparisonResult.analysis.similarity);
+    console.log('Analysis preview:', comparisonResult.structuredContent.similarity);
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);